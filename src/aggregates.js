@@ -0,0 +1,71 @@
+/**
+ * Supported aggregate types
+ */
+const aggregateTypes = ['count', 'sum', 'avg', 'min', 'max'];
+
+/**
+ * Aggregate counting Model instances
+ */
+function count() {
+  return { type : 'count' };
+}
+
+/**
+ * Aggregate summing numeric values by dot-prop key, ignoring other values
+ */
+function sum(key) {
+  return { type : 'sum', key };
+}
+
+/**
+ * Aggregate averaging numeric values by dot-prop key, ignoring other values, or null if none
+ */
+function avg(key) {
+  return { type : 'avg', key };
+}
+
+/**
+ * Aggregate finding the least number, string, or date by dot-prop key, ignoring other values,
+ * or null if none
+ */
+function min(key) {
+  return { type : 'min', key };
+}
+
+/**
+ * Aggregate finding the greatest number, string, or date by dot-prop key, ignoring other
+ * values, or null if none
+ */
+function max(key) {
+  return { type : 'max', key };
+}
+
+/**
+ * Get the value of an aggregate of nothing
+ */
+function emptyValue(aggregate) {
+  return aggregate.type === 'count' || aggregate.type === 'sum' ? 0 : null;
+}
+
+/**
+ * Ensure aggregates by name are supported, throwing otherwise
+ */
+function check(aggregates) {
+  for (const [name, aggregate] of Object.entries(aggregates)) {
+    const valid = aggregate != null && aggregateTypes.includes(aggregate.type)
+      && (aggregate.type === 'count' || typeof aggregate.key === 'string');
+
+    if (!valid) throw new Error(`Invalid aggregate \`${name}\``);
+  }
+}
+
+// Exports
+module.exports = {
+  count,
+  sum,
+  avg,
+  min,
+  max,
+  emptyValue,
+  check,
+};
@@ -0,0 +1,55 @@
+// Require dependencies
+const { assert } = require('chai');
+
+// Require local dependencies
+const DbApi       = require('./dbapi');
+const DbModel     = require('./model');
+const DbPlug      = require('./dbplug');
+const DbSession   = require('./session');
+
+/**
+ * Public DB API class
+ */
+class Db {
+  /**
+   * Construct public DB API class
+   */
+  constructor(dbPlug) {
+    // Ensure dbPlug is a DbPlug instance
+    assert.instanceOf(dbPlug, DbPlug, 'dbPlug must be a DbPlug instance');
+
+    // Construct and store an internal DB API class
+    this._dbApi = new DbApi(dbPlug);
+
+    // Bind methods to self
+    this.register = this.register.bind(this);
+    this.session = this.session.bind(this);
+  }
+
+  /**
+   * Register a Model class with this database
+   */
+  async register(Model) {
+    // Ensure Model is Model class
+    assert.instanceOf(Model.prototype, DbModel, 'Model must be a DbModel extension');
+
+    // Set internal DB class for the Model to be previously constructed internal DB API class
+    Model.__db = this._dbApi;
+
+    // Tell dbg to prepare for new collection
+    await this._dbApi.initCollection(Model);
+  }
+
+  /**
+   * Create a session keeping one Model instance per stored Model instance found in it, such as for
+   * the duration of a request, and saving all its changed Model instances on `flush`. Finds of
+   * registered Models are only in the session while an async function runs in it by `run`, or
+   * through its own find methods
+   */
+  session() {
+    return new DbSession(this._dbApi);
+  }
+}
+
+// Export module
+module.exports = Db;
@@ -1,7 +1,15 @@
 
 
 // Require dependencies
-const pluralize = require('pluralize');
+const pluralize            = require('pluralize');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Require local dependencies
+const DbFeed     = require('./feed');
+const Relations  = require('./relations');
+const Aggregates = require('./aggregates');
+
+const { ConflictError } = require('./errors');
 
 /**
  * Get the appropriate collection ID for a Model
@@ -27,14 +35,25 @@ class DbApi {
   constructor(dbPlug) {
     this._plug = dbPlug;
 
+    // Store session of each async context running in one
+    this._sessions = new AsyncLocalStorage();
+
     // Bind API methods to self
+    this.runInSession = this.runInSession.bind(this);
     this.save = this.save.bind(this);
     this.findById = this.findById.bind(this);
     this.find = this.find.bind(this);
+    this.batches = this.batches.bind(this);
     this.findOne = this.findOne.bind(this);
     this.count = this.count.bind(this);
+    this.aggregate = this.aggregate.bind(this);
+    this.distinct = this.distinct.bind(this);
+    this.toNative = this.toNative.bind(this);
+    this.explain = this.explain.bind(this);
     this.removeById = this.removeById.bind(this);
     this.remove = this.remove.bind(this);
+    this.update = this.update.bind(this);
+    this.watch = this.watch.bind(this);
 
     // Bind raw methods to self
     this.getRawCursor = this.getRawCursor.bind(this);
@@ -64,9 +83,37 @@ class DbApi {
   }
 
   /**
-   * Save a Model instance to database
+   * Run an async function in a session, so Model instances found while it runs are the session's
+   * kept Model instances
    */
-  async save(model, updates, modelId = null) {
+  async runInSession(session, fn) {
+    return await this._sessions.run(session, fn);
+  }
+
+  /**
+   * Replace fetched Model instances with the kept Model instances of the current session, if any,
+   * populating them with related Model instances, and running hooks on those not found before
+   */
+  async _found(Model, models, populates) {
+    const session = this._sessions.getStore();
+    const found = session != null ? models.map(model => session.add(model)) : models;
+
+    // Populate Model instances with requested related Model instances
+    await Relations.populate(Model, found, populates);
+
+    // Run hooks on all newly fetched Model instances
+    await Promise.all(found.filter((model, i) => model === models[i]).map((model) => {
+      return model.runHooks('afterFind');
+    }));
+
+    return found;
+  }
+
+  /**
+   * Save a Model instance to database, with its updated keys and atomic operations, throwing a
+   * `ConflictError` if stored data doesn't match an optional object of values by dot-prop key
+   */
+  async save(model, updates, modelId = null, ops = [], match = null) {
     // Get collection ID of provided Model instance
     const collectionId = modelInstanceCollectionId(model);
 
@@ -75,15 +122,19 @@ class DbApi {
       // Insert Model instance data and return the associated ID
       return await this._plug.insert(collectionId, model.get());
     }
-    // Update stored Model instance data using existing associated ID and return null
-    await this._plug.updateById(collectionId, model.get('_id'), model.get(), updates);
+    // Update stored Model instance data using existing associated ID if it matches
+    const matched = await this._plug.updateById(collectionId, model.get('_id'), model.get(), updates, ops, match);
+
+    // Throw if stored data was changed so it no longer matches, and return null
+    if (match != null && !matched) throw new ConflictError(model.constructor.name, modelId);
     return null;
   }
 
   /**
-   * Save a Model instance to database
+   * Replace a Model instance in database, throwing a `ConflictError` if stored data doesn't
+   * match an optional object of values by dot-prop key
    */
-  async replace(model, modelId = null) {
+  async replace(model, modelId = null, match = null) {
     // Get collection ID of provided Model instance
     const collectionId = modelInstanceCollectionId(model);
 
@@ -92,28 +143,39 @@ class DbApi {
       // Insert Model instance data and return the associated ID
       return await this._plug.insert(collectionId, model.get());
     }
-    // Update stored Model instance data using existing associated ID and return null
-    await this._plug.replaceById(collectionId, model.get('_id'), model.get());
+    // Replace stored Model instance data using existing associated ID if it matches
+    const matched = await this._plug.replaceById(collectionId, model.get('_id'), model.get(), match);
+
+    // Throw if stored data was changed so it no longer matches, and return null
+    if (match != null && !matched) throw new ConflictError(model.constructor.name, modelId);
     return null;
   }
 
   /**
-   * Find a stored Model instance by Model and an ID
+   * Find a stored Model instance by Model and an ID, optionally only fetching selected fields
    */
-  async findById(Model, id) {
+  async findById(Model, id, selection = null) {
     // Get collection ID of provided Model
     const collectionId = modelCollectionId(Model);
 
+    // Return the current session's kept Model instance without fetching it again
+    const session = this._sessions.getStore();
+    const kept = session != null ? session.get(Model, id) : null;
+
+    if (kept != null) return kept;
+
     // Find single Model instance data matching provided ID
-    const foundValue = await this._plug.findById(collectionId, id);
+    const foundValue = await this._plug.findById(collectionId, id, selection);
 
     // Return null if no data was found
     if (foundValue == null) {
       return null;
     }
 
-    // Return Model instance constructed from fetched data
-    return new Model(foundValue.object, id);
+    // Construct Model instance from fetched data, and return it or the kept Model instance
+    const [model] = await this._found(Model, [new Model(foundValue.object, id, selection)], []);
+
+    return model;
   }
 
   /**
@@ -151,11 +213,30 @@ class DbApi {
     // Iterate fetched instance data
     for (const foundValue of foundValues) {
       // Add new Model instance created from fetched data to Model instance array
-      models.push(new Model(foundValue.object, foundValue.id));
+      models.push(new Model(foundValue.object, foundValue.id, query.selection));
     }
 
-    // Return array of Model instances
-    return models;
+    // Return array of Model instances, or the kept Model instances
+    return await this._found(Model, models, query.populates);
+  }
+
+  /**
+   * Find stored Model instances by Model and provided internal query in batches of provided size,
+   * only fetching each batch once the previous has been used
+   */
+  async* batches(Model, query, size) {
+    // Get collection ID of provided Model
+    const collectionId = modelCollectionId(Model);
+
+    // Iterate batches of Model instance data matching provided query
+    for await (const foundValues of this._plug.batches(collectionId, query, size)) {
+      // Construct Model instances from fetched data
+      const models = foundValues.map((foundValue) => {
+        return new Model(foundValue.object, foundValue.id, query.selection);
+      });
+
+      yield await this._found(Model, models, query.populates);
+    }
   }
 
   /**
@@ -173,8 +254,11 @@ class DbApi {
       return null;
     }
 
-    // Return Model instance constructed from fetched data
-    return new Model(foundValue.object, foundValue.id);
+    // Construct Model instance from fetched data, and return it or the kept Model instance
+    const model = new Model(foundValue.object, foundValue.id, query.selection);
+    const [found] = await this._found(Model, [model], query.populates);
+
+    return found;
   }
 
   /**
@@ -199,6 +283,73 @@ class DbApi {
     return await this._plug.sum(collectionId, query, key);
   }
 
+  /**
+   * Aggregate stored Model instances by Model, provided internal query, and aggregates by name,
+   * resolving an array of results by group, or a single result if not grouped
+   */
+  async aggregate(Model, query, aggregates) {
+    // Get collection ID of provided Model
+    const collectionId = modelCollectionId(Model);
+
+    // Aggregate Model instances matching provided query, grouped by the query's group keys
+    const rows = await this._plug.aggregate(collectionId, query, query.groups, aggregates);
+
+    // Create results of group key values and aggregated values by name
+    const results = rows.map((row) => {
+      const result = {};
+
+      query.groups.forEach((groupKey, i) => {
+        result[groupKey] = row.group[i];
+      });
+
+      return Object.assign(result, row.values);
+    });
+
+    if (query.groups.length > 0) return results;
+
+    // Return the single result, aggregating nothing if nothing matched
+    if (results.length > 0) return results[0];
+
+    return Object.entries(aggregates).reduce((result, [name, aggregate]) => {
+      return Object.assign(result, { [name] : Aggregates.emptyValue(aggregate) });
+    }, {});
+  }
+
+  /**
+   * Get the unique values by dot-prop key of stored Model instances by Model and provided
+   * internal query
+   */
+  async distinct(Model, query, key) {
+    // Get collection ID of provided Model
+    const collectionId = modelCollectionId(Model);
+
+    // Return unique values of Model instances matching provided query
+    return await this._plug.distinct(collectionId, query, key);
+  }
+
+  /**
+   * Get the plug-specific native query finding stored Model instances by Model and provided
+   * internal query
+   */
+  async toNative(Model, query) {
+    // Get collection ID of provided Model
+    const collectionId = modelCollectionId(Model);
+
+    // Return native query finding Model instances matching provided query
+    return await this._plug.toNative(collectionId, query);
+  }
+
+  /**
+   * Explain finding stored Model instances by Model and provided internal query
+   */
+  async explain(Model, query) {
+    // Get collection ID of provided Model
+    const collectionId = modelCollectionId(Model);
+
+    // Return native query and plan finding Model instances matching provided query
+    return await this._plug.explain(collectionId, query);
+  }
+
   /**
    * Remove a stored Model instance by Model and an ID
    */
@@ -221,6 +372,53 @@ class DbApi {
     await this._plug.remove(collectionId, query);
   }
 
+  /**
+   * Update stored Model instances by Model, provided internal query, and object of changes,
+   * resolving the amount of modified Model instances
+   */
+  async update(Model, query, changes) {
+    // Get collection ID of provided Model
+    const collectionId = modelCollectionId(Model);
+
+    // Update Model instances matching provided query
+    return await this._plug.update(collectionId, query, changes);
+  }
+
+  /**
+   * Watch stored Model instances by Model and provided internal query, resolving a change feed
+   */
+  async watch(Model, query) {
+    // Get collection ID of provided Model
+    const collectionId = modelCollectionId(Model);
+
+    // Create feed that turns plug changes into changes with Model instances
+    const feed = new DbFeed(async (change) => {
+      // Use new data, or old data for removals
+      const object = change.newValue != null ? change.newValue : change.oldValue;
+
+      // Construct Model instance from changed data
+      const model = object != null ? new Model(object, change.id) : null;
+
+      // Run hooks on the constructed Model instance
+      if (model != null) await model.runHooks('afterFind');
+
+      // Return normalised change with Model instance
+      return {
+        type     : change.type,
+        id       : change.id,
+        model,
+        oldValue : change.oldValue,
+        newValue : change.newValue,
+      };
+    });
+
+    // Open plug feed of changes matching provided query
+    await feed.open(listener => this._plug.watch(collectionId, query, listener));
+
+    // Return opened feed
+    return feed;
+  }
+
   /**
    * Tell a database plug to prepare database for a new Model
    */
@@ -229,7 +427,7 @@ class DbApi {
     const collectionId = modelCollectionId(Model);
 
     // Tell plug to prepare for new collection
-    this._plug.initCollection(collectionId, indexes);
+    await this._plug.initCollection(collectionId, indexes);
   }
 
   async createIndex(Model, name, indexes) {
@@ -237,7 +435,7 @@ class DbApi {
     const collectionId = modelCollectionId(Model);
 
     // Tell plug to prepare for new collection
-    this._plug.createIndex(collectionId, name, indexes);
+    await this._plug.createIndex(collectionId, name, indexes);
   }
 }
 
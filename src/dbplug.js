@@ -1,10 +1,204 @@
-
+// Require local dependencies
+const { NotImplementedError } = require('./errors');
 
 /**
- * Extendable DbPlug class
+ * Extendable DbPlug class, every method must be implemented by extending plugs
+ *
+ * Plugs treat null and missing values as equal: a key is null if its value is null, it is
+ * missing, or a parent key is missing or isn't an object. Filtering by null, `exists(key, false)`
+ * and `type(key, 'null')` all match exactly those keys, so an array containing null isn't null
+ *
+ * Only arrays match `elem`, `size` and `all`, never other values. Element filters with keys only
+ * match object elements, and comparisons only match elements of the same type as the value
  */
 class DbPlug {
+  /**
+   * Throw error for a method not implemented by the extending plug
+   */
+  _notImplemented(method) {
+    throw new NotImplementedError(this.constructor.name, method);
+  }
+
+  /**
+   * Prepare database for new collection of provided collection ID
+   */
+  async initCollection() {
+    this._notImplemented('initCollection');
+  }
+
+  /**
+   * Create an index by collection ID, index name, and object of indexed keys and directions
+   */
+  async createIndex() {
+    this._notImplemented('createIndex');
+  }
+
+  /**
+   * Return a copy of a raw cursor by provided collection ID
+   */
+  async getRawCursor() {
+    this._notImplemented('getRawCursor');
+  }
+
+  /**
+   * Return a copy of a raw table by provided collection ID
+   */
+  async getRawTable() {
+    this._notImplemented('getRawTable');
+  }
+
+  /**
+   * Return a copy of the raw internal database
+   */
+  async getRawDb() {
+    this._notImplemented('getRawDb');
+  }
+
+  /**
+   * Find Model data by collection ID and Model ID, resolving `{ id, object }` or null
+   *
+   * Plugs only fetch the fields of an optional selection, which is `{ fields, exclude }` of
+   * non-overlapping dot-prop keys to fetch, or to not fetch if excluding. Queries have the same
+   * selection as `query.selection` for `find` and `findOne`
+   */
+  async findById() {
+    this._notImplemented('findById');
+  }
+
+  /**
+   * Find Model data by collection ID and constructed query,
+   * resolving an array of `{ id, object }`
+   */
+  async find() {
+    this._notImplemented('find');
+  }
+
+  /**
+   * Find Model data by collection ID and constructed query in batches of up to provided size,
+   * returning an async iterable of arrays of `{ id, object }` that only fetches each batch from
+   * the database once the previous has been used
+   */
+  batches() {
+    this._notImplemented('batches');
+  }
+
+  /**
+   * Find single Model data by collection ID and constructed query,
+   * resolving `{ id, object }` or null
+   */
+  async findOne() {
+    this._notImplemented('findOne');
+  }
+
+  /**
+   * Get count of Model data by collection ID and constructed query
+   */
+  async count() {
+    this._notImplemented('count');
+  }
+
+  /**
+   * Get sum of data by provided key of all matching Model data
+   * by collection ID and constructed query
+   */
+  async sum() {
+    this._notImplemented('sum');
+  }
+
+  /**
+   * Aggregate matching Model data by collection ID, constructed query, dot-prop keys to group by,
+   * and aggregates by name, resolving an array of `{ group, values }` sorted by group, where
+   * `group` is an array of the values of the group keys and `values` are aggregated values by
+   * name. Null and missing values are grouped together, and without group keys all matching
+   * Model data is aggregated as one group, which can be omitted if there is none
+   */
+  async aggregate() {
+    this._notImplemented('aggregate');
+  }
+
+  /**
+   * Get the unique values by dot-prop key of all matching Model data by collection ID and
+   * constructed query, in no particular order, where each element of array values is a value and
+   * null and missing values are ignored
+   */
+  async distinct() {
+    this._notImplemented('distinct');
+  }
+
+  /**
+   * Get the plug-specific native query that finding Model data by collection ID and constructed
+   * query would run, such as a cursor of the database's client or SQL with its parameters
+   */
+  async toNative() {
+    this._notImplemented('toNative');
+  }
+
+  /**
+   * Explain finding Model data by collection ID and constructed query, resolving
+   * `{ native, plan }` of the native query and the database's own plan for running it, plus any
+   * plug-specific details
+   */
+  async explain() {
+    this._notImplemented('explain');
+  }
+
+  /**
+   * Remove matching Model data from database by collection ID and Model ID
+   */
+  async removeById() {
+    this._notImplemented('removeById');
+  }
+
+  /**
+   * Remove matching Model data from database by collection ID and constructed query
+   */
+  async remove() {
+    this._notImplemented('remove');
+  }
+
+  /**
+   * Update all matching Model data by collection ID, constructed query, and object of changes by
+   * dot-prop key, where null values unset keys, resolving the amount of Model data modified
+   */
+  async update() {
+    this._notImplemented('update');
+  }
+
+  /**
+   * Replace matching Model data from database by collection ID, Model ID, replacement data, and
+   * optional object of values by dot-prop key the stored data must match, where null matches
+   * missing values, resolving whether matching stored data was found
+   */
+  async replaceById() {
+    this._notImplemented('replaceById');
+  }
+
+  /**
+   * Update matching Model data from database by collection ID, Model ID, replacement data,
+   * set of updated keys, array of atomic operations on other keys, either
+   * `{ type : 'increment', key, amount }` or `{ type : 'push', key, values }`, and optional
+   * object of values by dot-prop key the stored data must match, resolving whether matching
+   * stored data was found
+   */
+  async updateById() {
+    this._notImplemented('updateById');
+  }
+
+  /**
+   * Watch changes to Model data by collection ID and constructed query, calling a listener with
+   * errors or `{ type, id, oldValue, newValue }` changes and resolving an async close function.
+   * Plugs document values they can't provide, which are always null
+   */
+  async watch() {
+    this._notImplemented('watch');
+  }
 
+  /**
+   * Insert Model data into database by collection ID and return Model ID
+   */
+  async insert() {
+    this._notImplemented('insert');
+  }
 }
 
 // Export module
@@ -0,0 +1,63 @@
+/**
+ * Error thrown when a database plug doesn't implement a required method
+ */
+class NotImplementedError extends Error {
+  /**
+   * Construct not implemented error class
+   */
+  constructor(plugName, method) {
+    super(`${plugName} does not implement \`${method}\``);
+
+    // Set error name and details
+    this.name = 'NotImplementedError';
+    this.plugName = plugName;
+    this.method = method;
+  }
+}
+
+/**
+ * Error thrown when Model instance data doesn't match the Model's schema
+ */
+class ValidationError extends Error {
+  /**
+   * Construct validation error class from array of `{ path, message }` failures
+   */
+  constructor(errors) {
+    super(`Validation failed: ${errors.map(error => error.message).join(', ')}`);
+
+    // Set error name and failures
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+
+  /**
+   * Get dot-prop paths of all failures
+   */
+  get paths() {
+    return this.errors.map(error => error.path);
+  }
+}
+
+/**
+ * Error thrown when a versioned Model instance's data was saved by another writer first
+ */
+class ConflictError extends Error {
+  /**
+   * Construct conflict error class from Model name and Model instance ID
+   */
+  constructor(modelName, id) {
+    super(`${modelName} \`${id}\` was changed by another writer`);
+
+    // Set error name and details
+    this.name = 'ConflictError';
+    this.modelName = modelName;
+    this.id = id;
+  }
+}
+
+// Export classes
+module.exports = {
+  NotImplementedError,
+  ValidationError,
+  ConflictError,
+};
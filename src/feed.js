@@ -0,0 +1,144 @@
+// Require dependencies
+const { EventEmitter } = require('events');
+
+/**
+ * Change feed class, emitting normalised `change` events and iterable with `for await`
+ *
+ * Changes are `{ type, id, model, oldValue, newValue }` where type is `insert`, `update`,
+ * or `remove`, and values are null where the plug can't provide them
+ */
+class DbFeed extends EventEmitter {
+  /**
+   * Construct change feed class with an async function transforming plug changes
+   */
+  constructor(transform) {
+    super();
+
+    // Store transform, and promise that resolves when all received changes are transformed
+    this._transform = transform;
+    this._receiving = Promise.resolve();
+
+    // Function that closes the underlying plug feed, set once opened
+    this._close = null;
+    this._closed = false;
+
+    // Changes buffered for iteration, and pending iteration promises
+    this._iterating = false;
+    this._buffer = [];
+    this._pending = [];
+    this._error = null;
+
+    // Bind public methods to self
+    this.open = this.open.bind(this);
+    this.close = this.close.bind(this);
+  }
+
+  /**
+   * Open the underlying plug feed by a function given a listener and resolving a close function
+   */
+  async open(watch) {
+    this._close = await watch((err, change) => this._receive(err, change));
+  }
+
+  /**
+   * Receive an error or change from the underlying plug feed, keeping changes in order
+   */
+  _receive(err, change) {
+    this._receiving = this._receiving.then(async () => {
+      // Deliver errors as they are
+      if (err != null) {
+        this._fail(err);
+        return;
+      }
+
+      // Transform and deliver change
+      this._push(await this._transform(change));
+    }).catch(transformErr => this._fail(transformErr));
+  }
+
+  /**
+   * Deliver a change to listeners and iterators
+   */
+  _push(change) {
+    // Ignore changes after closing
+    if (this._closed) return;
+
+    this.emit('change', change);
+
+    // Only buffer changes if being iterated
+    if (!this._iterating) return;
+
+    // Resolve pending iteration or buffer change until requested
+    if (this._pending.length > 0) {
+      this._pending.shift().resolve({ value : change, done : false });
+    } else {
+      this._buffer.push(change);
+    }
+  }
+
+  /**
+   * Deliver an error to listeners and iterators
+   */
+  _fail(err) {
+    // Only emit if there are listeners, as unhandled error events throw
+    if (this.listenerCount('error') > 0) this.emit('error', err);
+
+    // Store error for iteration, rejecting pending iteration
+    this._error = err;
+
+    for (const pending of this._pending.splice(0)) {
+      pending.reject(err);
+    }
+  }
+
+  /**
+   * Close this feed and the underlying plug feed
+   */
+  async close() {
+    // Ignore closing more than once
+    if (this._closed) return;
+    this._closed = true;
+
+    // Finish pending iteration
+    for (const pending of this._pending.splice(0)) {
+      pending.resolve({ value : undefined, done : true });
+    }
+
+    // Close underlying plug feed
+    if (this._close != null) await this._close();
+
+    this.emit('close');
+  }
+
+  /**
+   * Iterate changes until the feed is closed
+   */
+  [Symbol.asyncIterator]() {
+    this._iterating = true;
+
+    return {
+      next : async () => {
+        // Deliver buffered changes first
+        if (this._buffer.length > 0) return { value : this._buffer.shift(), done : false };
+
+        // Throw stored errors
+        if (this._error != null) throw this._error;
+
+        // Finish if closed
+        if (this._closed) return { value : undefined, done : true };
+
+        // Wait for next change
+        return new Promise((resolve, reject) => this._pending.push({ resolve, reject }));
+      },
+
+      // Close feed when iteration is stopped early
+      return : async () => {
+        await this.close();
+        return { value : undefined, done : true };
+      },
+    };
+  }
+}
+
+// Exports
+module.exports = DbFeed;
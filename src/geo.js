@@ -0,0 +1,121 @@
+/**
+ * Radius of the earth in meters, as used for spherical distances by MongoDB
+ */
+const earthRadius = 6378100;
+
+/**
+ * Create a GeoJSON point from a longitude and latitude
+ */
+function point(lng, lat) {
+  return { type : 'Point', coordinates : [lng, lat] };
+}
+
+/**
+ * Check if a value is a pair of finite longitude and latitude numbers
+ */
+function isCoordinates(value) {
+  return value instanceof Array && value.length === 2 && value.every(Number.isFinite);
+}
+
+/**
+ * Get the `[lng, lat]` coordinates of a GeoJSON point, or null if the value isn't one
+ */
+function pointCoordinates(value) {
+  const valid = value != null && typeof value === 'object' && value.type === 'Point'
+    && isCoordinates(value.coordinates);
+
+  return valid ? value.coordinates : null;
+}
+
+/**
+ * Normalise a GeoJSON polygon, or an array of `[lng, lat]` coordinates of its outline, to a
+ * GeoJSON polygon with closed rings, throwing if it is invalid
+ */
+function toPolygon(polygon) {
+  const isGeoJson = polygon != null && polygon.type === 'Polygon';
+  const rings = isGeoJson ? polygon.coordinates : [polygon];
+
+  // Ensure there is an outline and every ring has at least three coordinates
+  const isRing = ring => ring instanceof Array && ring.length >= 3 && ring.every(isCoordinates);
+  const valid = (isGeoJson || polygon instanceof Array) && rings instanceof Array
+    && rings.length > 0 && rings.every(isRing);
+
+  if (!valid) throw new Error('Invalid polygon');
+
+  // Close each ring by repeating its first coordinates last if not already
+  return {
+    type        : 'Polygon',
+    coordinates : rings.map((ring) => {
+      const [first] = ring;
+      const last = ring[ring.length - 1];
+
+      return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+    }),
+  };
+}
+
+/**
+ * Get the distance in meters between two `[lng, lat]` coordinates, over a spherical earth
+ */
+function distance([lng1, lat1], [lng2, lat2]) {
+  const radians = degrees => degrees * Math.PI / 180;
+
+  // Use the haversine formula, which is accurate for small distances
+  const latSin = Math.sin(radians(lat2 - lat1) / 2);
+  const lngSin = Math.sin(radians(lng2 - lng1) / 2);
+  const latCos = Math.cos(radians(lat1)) * Math.cos(radians(lat2));
+  const h = (latSin * latSin) + (latCos * lngSin * lngSin);
+
+  return 2 * earthRadius * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Get the edges of a closed ring that a ray cast along a latitude could cross, as the coordinates
+ * of their start, the latitude of their end, and their longitude change per latitude
+ */
+function ringEdges(ring) {
+  const edges = [];
+
+  for (let i = 0; i < ring.length - 1; i += 1) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+
+    // Horizontal edges are never crossed
+    if (lat1 !== lat2) {
+      edges.push({
+        lng1, lat1, lat2, slope : (lng2 - lng1) / (lat2 - lat1),
+      });
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Check if `[lng, lat]` coordinates are inside a GeoJSON polygon, treating coordinates as planar
+ * and excluding holes
+ */
+function polygonContains(polygon, [lng, lat]) {
+  // Check if a ray cast from the point crosses an odd amount of a ring's edges
+  const ringContains = ring => ringEdges(ring).filter((edge) => {
+    const crossesLat = (edge.lat1 > lat) !== (edge.lat2 > lat);
+    return crossesLat && lng < (edge.slope * (lat - edge.lat1)) + edge.lng1;
+  }).length % 2 === 1;
+
+  const [outline, ...holes] = polygon.coordinates;
+
+  return ringContains(outline) && !holes.some(ringContains);
+}
+
+// Exports
+module.exports = {
+  earthRadius,
+
+  point,
+  isCoordinates,
+  pointCoordinates,
+  toPolygon,
+  distance,
+  ringEdges,
+  polygonContains,
+};
@@ -1,57 +1,42 @@
-
-
-// Require dependencies
-const { assert } = require('chai');
-
 // Require local dependencies
-const DbApi       = require('./dbapi');
-const DbModel     = require('./model');
-
-const DbPlug      = require('./dbplug');
-
-const MongoPlug   = require('./plugs/mongo');
-const RethinkPlug = require('./plugs/rethink');
-
-/**
- * Public DB API class
- */
-class Db {
-  /**
-   * Construct public DB API class
-   */
-  constructor(dbPlug) {
-    // Ensure dbPlug is a DbPlug instance
-    assert.instanceOf(dbPlug, DbPlug, 'dbPlug must be a DbPlug instance');
-
-    // Construct and store an internal DB API class
-    this._dbApi = new DbApi(dbPlug);
-
-    // Bind methods to self
-    this.register = this.register.bind(this);
-  }
-
-  /**
-   * Register a Model class with this database
-   */
-  async register(Model) {
-    // Ensure Model is Model class
-    assert.instanceOf(Model.prototype, DbModel, 'Model must be a DbModel extension');
-
-    // Set internal DB class for the Model to be previously constructed internal DB API class
-    Model.__db = this._dbApi;
-
-    // Tell dbg to prepare for new collection
-    await this._dbApi.initCollection(Model);
-  }
-}
+const Db           = require('./db');
+const DbModel      = require('./model');
+const DbPlug       = require('./dbplug');
+const DbQuery      = require('./query');
+const DbSession    = require('./session');
+const suite        = require('./suite');
+const errors       = require('./errors');
+const aggregates   = require('./aggregates');
+const geo          = require('./geo');
+
+const MongoPlug    = require('./plugs/mongo');
+const MemoryPlug   = require('./plugs/memory');
+const RethinkPlug  = require('./plugs/rethink');
 
 // Export classes
 module.exports = {
   Db,
   DbModel,
+  DbPlug,
+  DbQuery,
+  DbSession,
+
+  suite,
+  errors,
+  aggregates,
+  geo,
 
   plugs   : {
     MongoPlug,
+    MemoryPlug,
     RethinkPlug,
+
+    // Plugs with optional dependencies are only required once used
+    get SqlitePlug() {
+      return module.require('./plugs/sqlite');
+    },
+    get PostgresPlug() {
+      return module.require('./plugs/postgres');
+    },
   },
 };
@@ -5,8 +5,35 @@ const DotProp    = require('dot-prop');
 const { assert } = require('chai');
 
 // Require local dependencies
-const DbQuery = require('./query');
-const DbApi   = require('./dbapi');
+const DbQuery    = require('./query');
+const DbApi      = require('./dbapi');
+const Schema     = require('./schema');
+
+const { ValidationError, ConflictError } = require('./errors');
+
+/**
+ * Names of hooks that can be overridden or registered
+ */
+const hookNames = ['beforeSave', 'afterSave', 'beforeRemove', 'afterRemove', 'afterFind'];
+
+/**
+ * Registered hooks by name, in maps by the Model class they were registered for
+ */
+const classHooks = new WeakMap();
+
+/**
+ * Check if a dot-prop key selects the same data as or data containing another
+ */
+function keyContains(parentKey, key) {
+  return parentKey === key || key.startsWith(`${parentKey}.`);
+}
+
+/**
+ * Check if two dot-prop keys select the same data or data nested in the other
+ */
+function keysOverlap(key1, key2) {
+  return keyContains(key1, key2) || keyContains(key2, key1);
+}
 
 /**
  * Extendable Model class
@@ -15,13 +42,22 @@ class DbModel {
   /**
    * Construct Model class
    */
-  constructor(data = {}, id = null) {
+  constructor(data = {}, id = null, selection = null) {
     // Set internal data from provided argument
     this.__data = data;
 
-    // Internal array for storing updates
+    // Set selection of fields the internal data was fetched by, if only partially fetched
+    this.__selection = selection;
+
+    // Internal array for storing updates, with data not loaded by ID needing a full update
     this.__updates = new Set();
-    this.__fullUpdate = true;
+    this.__fullUpdate = id == null;
+
+    // Internal array for storing atomic operations, written by database operators
+    this.__ops = [];
+
+    // Internal map for storing populated related Model instances by relation name
+    this.__related = new Map();
 
     // Set internal ID from provided argument
     this.__id = id;
@@ -29,12 +65,21 @@ class DbModel {
     // Bind public methods to self
     this.get = this.get.bind(this);
     this.set = this.set.bind(this);
+    this.setRelated = this.setRelated.bind(this);
     this.unset = this.unset.bind(this);
     this.increment = this.increment.bind(this);
     this.decrement = this.decrement.bind(this);
+    this.push = this.push.bind(this);
+    this.validate = this.validate.bind(this);
     this.save = this.save.bind(this);
+    this.replace = this.replace.bind(this);
+    this.retrySave = this.retrySave.bind(this);
+    this.retryReplace = this.retryReplace.bind(this);
     this.remove = this.remove.bind(this);
     this.refresh = this.refresh.bind(this);
+    this.isDirty = this.isDirty.bind(this);
+    this.isPartial = this.isPartial.bind(this);
+    this.runHooks = this.runHooks.bind(this);
   }
 
   /**
@@ -49,6 +94,39 @@ class DbModel {
     };
   }
 
+  /**
+   * Model schema of field definitions by key, or null to allow any data
+   *
+   * Fields are defined as a type name, or an object with `type`, `required`, `default`, `enum`,
+   * `min`, `max`, and nested `fields` for objects or `items` for arrays
+   */
+  static get schema() {
+    return null;
+  }
+
+  /**
+   * Model relations by name
+   *
+   * Relations are defined as `{ type, Model, key }`, where `belongsTo` relations store the related
+   * Model instance's ID in this Model's `key`, defaulting to the relation name followed by `Id`,
+   * and `hasMany` or `hasOne` relations are stored by related Model instances storing this Model
+   * instance's ID in their `key`, defaulting to this Model's camel-cased name followed by `Id`.
+   * `Model` can also be a function returning the related Model to allow circular relations
+   */
+  static get relations() {
+    return {};
+  }
+
+  /**
+   * Model version dot-prop key, or null to not use versions
+   *
+   * Versions start at 0 and are incremented on every save or replace, which only write if the
+   * stored version is still the loaded version, throwing a `ConflictError` otherwise
+   */
+  static get versionKey() {
+    return null;
+  }
+
   static async createIndex(name, indexes) {
     await this.__db.createIndex(this, name, indexes);
   }
@@ -75,10 +153,27 @@ class DbModel {
       return this.__id;
     }
 
+    // Return populated related Model instances, or data of single related Model instances
+    const [relationName, ...relatedKeyParts] = key.split('.');
+
+    if (this.__related.has(relationName)) {
+      const related = this.__related.get(relationName);
+
+      if (relatedKeyParts.length === 0) return related;
+      return related instanceof DbModel ? related.get(relatedKeyParts.join('.')) : undefined;
+    }
+
     // Return stored value selected by dot-prop key
     return DotProp.get(this.__data, key);
   }
 
+  /**
+   * Set populated related Model instances by relation name, which are returned by `get`
+   */
+  setRelated(name, related) {
+    this.__related.set(name, related);
+  }
+
   /**
    * Set internal data by dot-prop key and value, or object containing update information
    */
@@ -86,13 +181,20 @@ class DbModel {
     // If only argument is an Object, merge Object with internal data
     if (key instanceof Object && value == null) {
       const updateObj = key;
+
+      // Update merged keys of partial data, as a full update would remove fields not fetched
+      if (this.__selection != null) {
+        for (const updatedKey of Object.keys(updateObj)) this.__addUpdate(updatedKey);
+      } else {
+        this.__fullUpdate = true;
+      }
+
       Object.assign(this.__data, updateObj);
-      this.__fullUpdate = true;
       return;
     }
 
     // Add change to internal updates set
-    this.__updates.add(key);
+    this.__addUpdate(key);
 
     // Set internal value selected by dot-prop key
     DotProp.set(this.__data, key, value);
@@ -108,8 +210,8 @@ class DbModel {
 
       for (const key of keys) {
         // Delete prop by key
+        this.__addUpdate(key);
         DotProp.delete(this.__data, key);
-        this.__updates.add(key);
       }
 
       return;
@@ -117,17 +219,39 @@ class DbModel {
 
     // Delete all internal data if provided key is not defined
     if (key == null) {
+      // Remove fetched keys of partial data, as a full update would also remove fields not fetched
+      if (this.__selection != null) {
+        this.__addFetchedUpdates(this.__data);
+      } else {
+        this.__fullUpdate = true;
+      }
+
       // Redefine internal data object
       this.__data = {};
-      this.__fullUpdate = true;
       return;
     }
 
+    // Add change to internal updates set
+    this.__addUpdate(key);
+
     // Delete prop by key
     DotProp.delete(this.__data, key);
+  }
 
-    // Add change to internal updates set
-    this.__updates.add(key);
+  /**
+   * Add updates for all fetched keys of partially fetched data, descending into objects that were
+   * only partially fetched
+   */
+  __addFetchedUpdates(data, path = '') {
+    for (const [prop, propVal] of Object.entries(data)) {
+      const key = path.length > 0 ? `${path}.${prop}` : prop;
+
+      if (!this.__fetched(key) && propVal != null && propVal.constructor === Object) {
+        this.__addFetchedUpdates(propVal, key);
+      } else {
+        this.__addUpdate(key);
+      }
+    }
   }
 
   /**
@@ -136,13 +260,13 @@ class DbModel {
   increment(key, amt = 1) {
     // TODO: Support incrementing multiple using an object
 
-    // Get current value of prop selected by dot-prop key
-    const currValue = DotProp.get(this.__data, key);
+    // Add atomic increment to internal operations
+    this.__addOp('increment', key, amt);
+
+    // Get current value of prop selected by dot-prop key, treating non-numbers as 0 as databases do
+    const currValue = Number(DotProp.get(this.__data, key)) || 0;
     // Set value of prop selected by dot-prop key to be plus the increment amount (default 1)
     DotProp.set(this.__data, key, currValue + amt);
-
-    // Add change to internal updates set
-    this.__updates.add(key);
   }
 
   /**
@@ -151,13 +275,13 @@ class DbModel {
   decrement(key, amt = 1) {
     // TODO: Support decrementing multiple using an object
 
-    // Get current value of prop selected by dot-prop key
-    const currValue = DotProp.get(this.__data, key);
+    // Add atomic increment by negative amount to internal operations
+    this.__addOp('increment', key, -amt);
+
+    // Get current value of prop selected by dot-prop key, treating non-numbers as 0 as databases do
+    const currValue = Number(DotProp.get(this.__data, key)) || 0;
     // Set value of prop selected by dot-prop key to be minus the increment amount (default 1)
     DotProp.set(this.__data, key, currValue - amt);
-
-    // Add change to internal updates set
-    this.__updates.add(key);
   }
 
   /**
@@ -170,59 +294,337 @@ class DbModel {
     // Ensure currValue is not an existing non-array field
     assert.instanceOf(currValue, Array, "Can't push to non-array field");
 
+    // Add atomic push to internal operations
+    this.__addOp('push', key, val);
+
     // Push to array
     currValue.push(val);
 
     // Set value of prop to be array
     DotProp.set(this.__data, key, currValue);
+  }
 
-    // Add change to internal updates set
-    this.__updates.add(key);
+  /**
+   * Get the dot-prop key to write an about to be changed key by, which is the key itself unless
+   * nested in an array or other non-object value, as only nested object keys can be written the
+   * same way by every database
+   */
+  __updateKey(key) {
+    const keyParts = key.split('.');
+
+    for (let i = 1; i < keyParts.length; i += 1) {
+      const parentKey = keyParts.slice(0, i).join('.');
+      const parentVal = DotProp.get(this.__data, parentKey);
+
+      // Missing parents are created by databases
+      if (parentVal == null) break;
+
+      // Write the whole non-object parent instead
+      if (typeof parentVal !== 'object' || parentVal instanceof Array || parentVal instanceof Date) {
+        return parentKey;
+      }
+    }
+
+    return key;
   }
 
   /**
-   * Save this Model instance's data updates to the database
+   * Add an about to be changed dot-prop key to internal updates, writing overlapping operations
+   * as updates instead
    */
-  async save() {
-    // Use replace instead of has been fully updated in any way
-    if (this.__fullUpdate) {
-      return await this.replace();
+  __addUpdate(key) {
+    const updateKey = this.__updateKey(key);
+
+    // Overlapping operations are written by updates as the already changed local data
+    const overlappingOps = this.__ops.filter(op => keysOverlap(op.key, updateKey));
+    this.__ops = this.__ops.filter(op => !overlappingOps.includes(op));
+
+    // Add changes to internal updates set, keeping only the outermost of nested keys
+    for (const updatedKey of [updateKey, ...overlappingOps.map(op => op.key)]) {
+      const existingKeys = Array.from(this.__updates);
+
+      // Ignore keys written by existing updates
+      if (existingKeys.some(existingKey => keyContains(existingKey, updatedKey))) continue;
+
+      // Remove existing updates written by this update
+      for (const existingKey of existingKeys) {
+        if (keyContains(updatedKey, existingKey)) this.__updates.delete(existingKey);
+      }
+
+      this.__updates.add(updatedKey);
+    }
+  }
+
+  /**
+   * Add an atomic `increment` by amount or `push` of value to internal operations by dot-prop key
+   */
+  __addOp(type, key, val) {
+    // Write as an update instead if fully updating, nested in a non-object value, or overlapping
+    // existing updates or operations, as those write the already changed local data
+    const overlapsUpdate = Array.from(this.__updates)
+      .some(updatedKey => keysOverlap(updatedKey, key));
+
+    const existingOp = this.__ops.find(op => op.type === type && op.key === key);
+    const overlapsOp = this.__ops.some(op => op !== existingOp && keysOverlap(op.key, key));
+
+    if (this.__fullUpdate || this.__updateKey(key) !== key || overlapsUpdate || overlapsOp) {
+      this.__addUpdate(key);
+      return;
     }
 
+    // Combine operations of the same type on the same key
+    if (existingOp != null) {
+      if (type === 'increment') existingOp.amount += val;
+      if (type === 'push') existingOp.values.push(val);
+      return;
+    }
+
+    this.__ops.push(type === 'increment' ? { type, key, amount : val } : { type, key, values : [val] });
+  }
+
+  /**
+   * Check if a dot-prop key was fully fetched, which is every key unless partially fetched
+   */
+  __fetched(key) {
+    // Every key is fetched without a selection
+    if (this.__selection == null) return true;
+
+    const { fields, exclude } = this.__selection;
+
+    // Excluded keys and keys with excluded nested keys aren't fully fetched
+    if (exclude) return !fields.some(field => keysOverlap(field, key));
+
+    // Only included keys and their nested keys are fetched
+    return fields.some(field => keyContains(field, key));
+  }
+
+  /**
+   * Check if this Model instance has changes not yet saved to the database, which new Model
+   * instances always have
+   */
+  isDirty() {
+    return this.__fullUpdate || this.__updates.size > 0 || this.__ops.length > 0;
+  }
+
+  /**
+   * Check if this Model instance's data was only partially fetched by a selection of fields
+   */
+  isPartial() {
+    return this.__selection != null;
+  }
+
+  /**
+   * Apply schema defaults to and validate this Model instance's data, throwing on failure
+   */
+  validate() {
+    let { schema } = this.constructor;
+
+    // Allow any data if no schema
+    if (schema == null) return;
+
+    // Only check fields that were fully fetched, as others aren't known
+    if (this.__selection != null) {
+      const fetchedKeys = Object.keys(schema).filter(key => this.__fetched(key));
+
+      schema = fetchedKeys.reduce((fetchedSchema, key) => {
+        return Object.assign(fetchedSchema, { [key] : schema[key] });
+      }, {});
+    }
+
+    // Set defaults for missing fields
+    for (const [key, value] of Schema.defaults(schema, this.__data)) {
+      this.set(key, value);
+    }
+
+    // Validate data against schema
+    const errors = Schema.validate(schema, this.__data);
+
+    // Throw all failures together
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  /**
+   * Overridable hook called before this Model instance's data is saved or replaced
+   */
+  async beforeSave() {
+    // Do nothing unless overridden
+  }
+
+  /**
+   * Overridable hook called after this Model instance's data is saved or replaced
+   */
+  async afterSave() {
+    // Do nothing unless overridden
+  }
+
+  /**
+   * Overridable hook called before this Model instance's data is removed
+   */
+  async beforeRemove() {
+    // Do nothing unless overridden
+  }
+
+  /**
+   * Overridable hook called after this Model instance's data is removed
+   */
+  async afterRemove() {
+    // Do nothing unless overridden
+  }
+
+  /**
+   * Overridable hook called after this Model instance's data is fetched from the database
+   */
+  async afterFind() {
+    // Do nothing unless overridden
+  }
+
+  /**
+   * Register a hook for this Model and its extensions, called with the Model instance
+   */
+  static hook(name, fn) {
+    // Ensure hook name is known
+    assert.include(hookNames, name, 'Invalid hook name');
+
+    // Create own map of hooks so hooks aren't shared with parent Models
+    if (!classHooks.has(this)) {
+      classHooks.set(this, new Map(hookNames.map(hookName => [hookName, []])));
+    }
+
+    // Add hook to hooks by name
+    classHooks.get(this).get(name).push(fn);
+  }
+
+  /**
+   * Run the overridable hook and then all registered hooks by name, parent Models' hooks first
+   */
+  async runHooks(name) {
+    // Run overridable hook
+    await this[name]();
+
+    // Collect Model classes from the top parent down to this Model instance's class
+    const classes = [];
+    let Class = this.constructor;
+
+    while (Class !== Function.prototype) {
+      classes.unshift(Class);
+      Class = Object.getPrototypeOf(Class);
+    }
+
+    // Run registered hooks in order, any throwing aborts the operation
+    for (const HookedClass of classes) {
+      if (!classHooks.has(HookedClass)) continue;
+
+      for (const fn of classHooks.get(HookedClass).get(name)) {
+        await fn(this);
+      }
+    }
+  }
+
+  /**
+   * Run save hooks around validating and writing this Model instance's data to the database
+   */
+  async __commit(replace) {
     // Ensure model is registered before saving model data
     assert.instanceOf(this.constructor.__db, DbApi, 'Model must be registered.');
 
-    // Call internal DB API to save changes to this Model instance
-    const id = await this.constructor.__db.save(this, this.__updates, this.__id);
+    // Ensure partial data isn't replaced, which would remove fields not fetched
+    assert.isFalse(replace && this.__selection != null, "Partially fetched Model instances can't be replaced.");
+
+    // Run hooks, which can still change data
+    await this.runHooks('beforeSave');
+
+    // Ensure data is valid before saving
+    this.validate();
+
+    // Set next version, only writing if the stored version is still the loaded version
+    const { versionKey } = this.constructor;
+    const version = versionKey != null ? this.get(versionKey) : null;
+    const match = versionKey != null && this.__id != null ? { [versionKey] : version } : null;
+
+    if (versionKey != null) {
+      this.set(versionKey, this.__id != null ? (Number(version) || 0) + 1 : version || 0);
+    }
+
+    // Call internal DB API to replace this Model instance or save changes to it
+    let id = null;
+
+    try {
+      id = replace || this.__fullUpdate
+        ? await this.constructor.__db.replace(this, this.__id, match)
+        : await this.constructor.__db.save(this, this.__updates, this.__id, this.__ops, match);
+    } catch (err) {
+      // Restore loaded version so saving again still checks it
+      if (versionKey != null) DotProp.set(this.__data, versionKey, version);
+
+      throw err;
+    }
 
     // Set ID if ID returned
     if (id != null) {
       this.__id = id;
     }
 
+    // Run hooks, which can still see the saved updates
+    await this.runHooks('afterSave');
+
     // Reset internally stored updates
     this.__updates = new Set();
     this.__fullUpdate = false;
+    this.__ops = [];
+  }
+
+  /**
+   * Save this Model instance's data updates to the database
+   */
+  async save() {
+    // Replace instead if has been fully updated in any way
+    await this.__commit(false);
   }
 
   /**
    * Save this Model instance's data to the database
    */
   async replace() {
-    // Ensure model is registered before saving model data
-    assert.instanceOf(this.constructor.__db, DbApi, 'Model must be registered.');
+    await this.__commit(true);
+  }
 
-    // Call internal DB API to replace this Model instance
-    const id = await this.constructor.__db.replace(this, this.__id);
+  /**
+   * Apply changes using an async function given this Model instance and save them, refreshing
+   * and applying them again if saving conflicts, for up to the provided amount of attempts
+   */
+  async retrySave(change, attempts = 3) {
+    await this.__retry(change, attempts, false);
+  }
 
-    // Set ID if ID returned
-    if (id != null) {
-      this.__id = id;
-    }
+  /**
+   * Apply changes using an async function given this Model instance and replace with them,
+   * refreshing and applying them again if replacing conflicts, for up to the provided amount
+   * of attempts
+   */
+  async retryReplace(change, attempts = 3) {
+    await this.__retry(change, attempts, true);
+  }
 
-    // Reset internally stored updates
-    this.__updates = new Set();
-    this.__fullUpdate = false;
+  /**
+   * Apply changes and commit them, refreshing and retrying on conflicts
+   */
+  async __retry(change, attempts, replace) {
+    for (let attempt = 1; attempt <= attempts; attempt += 1) {
+      await change(this);
+
+      try {
+        await this.__commit(replace);
+        return;
+      } catch (err) {
+        // Only retry conflicts while there are attempts left
+        if (!(err instanceof ConflictError) || attempt >= attempts) throw err;
+      }
+
+      // Get data saved by the other writer before applying changes again
+      await this.refresh();
+    }
   }
 
   /**
@@ -237,9 +639,15 @@ class DbModel {
     // Ensure this Model instance is stored in database
     assert.isNotNull(this.__id, 'Model must be stored in database to remove.');
 
+    // Run hooks, any throwing aborts removal
+    await this.runHooks('beforeRemove');
+
     // Call internal DB API to remove the data associated with this Model instance by ID
     await this.constructor.__db.removeById(this.constructor, this.__id);
 
+    // Run hooks, which can still see the removed ID
+    await this.runHooks('afterRemove');
+
     // Nullify internal ID as no longer exists in database
     this.__id = null;
   }
@@ -256,9 +664,15 @@ class DbModel {
 
     // Replace this Model instance's internal data with fetched data from the database
     this.__data = await this.constructor.__db.findDataById(this.constructor, this.__id);
+    this.__selection = null;
 
     // Reset internally stored updates
     this.__updates = new Set();
+    this.__fullUpdate = false;
+    this.__ops = [];
+
+    // Run hooks on the fetched data
+    await this.runHooks('afterFind');
   }
 
   /**
@@ -273,14 +687,17 @@ class DbModel {
   }
 
   /**
-   * Find model by ID
+   * Find model by ID, optionally only fetching fields as selected by `select`
    */
-  static async findById(id) {
+  static async findById(id, fields = null) {
     // Ensure model is registered before finding by ID
     assert.instanceOf(this.__db, DbApi, 'Model must be registered.');
 
+    // Parse selected fields
+    const selection = fields != null ? this.__query().select(fields).selection : null;
+
     // Return model found by ID
-    return await this.__db.findById(this, id);
+    return await this.__db.findById(this, id, selection);
   }
 
   /**
@@ -289,6 +706,17 @@ class DbModel {
   // Find Model instances by simple filter
   static async find(filter = {}) { return await this.__query().where(filter).find(); }
 
+  // Iterate Model instances by simple filter
+  static iterate(filter = {}) { return this.__query().where(filter).iterate(); }
+
+  // Iterate batches of Model instances by simple filter
+  static batches(size, filter = {}) { return this.__query().where(filter).batches(size); }
+
+  // Find a page of Model instances after an optional cursor by simple filter
+  static async paginate(options = {}, filter = {}) {
+    return await this.__query().where(filter).paginate(options);
+  }
+
   // Find single Model instance by simple filter
   static async findOne(filter = {}) { return await this.__query().where(filter).findOne(); }
 
@@ -298,9 +726,27 @@ class DbModel {
   // Sum stored Model instance values by simple filter
   static async sum(key, filter = {}) { return await this.__query().where(filter).sum(key); }
 
+  // Aggregate stored Model instance values by simple filter
+  static async aggregate(aggregates, filter = {}) {
+    return await this.__query().where(filter).aggregate(aggregates);
+  }
+
+  // Get unique stored Model instance values by simple filter
+  static async distinct(key, filter = {}) {
+    return await this.__query().where(filter).distinct(key);
+  }
+
   // Remove stored Model instance by simple filter
   static async remove(filter = {}) { return await this.__query().where(filter).remove(); }
 
+  // Update stored Model instances by simple filter and changes
+  static async update(filter, changes) {
+    return await this.__query().where(filter).update(changes);
+  }
+
+  // Watch changes to stored Model instances by simple filter
+  static async watch(filter = {}) { return await this.__query().where(filter).watch(); }
+
   /**
    * Query constructor methods
    */
@@ -310,6 +756,12 @@ class DbModel {
   // Create a query builder with initial `elem` set
   static elem(...args) { return this.__query().elem(...args); }
 
+  // Create a query builder with initial `size` set
+  static size(...args) { return this.__query().size(...args); }
+
+  // Create a query builder with initial `all` set
+  static all(...args) { return this.__query().all(...args); }
+
   // Create a query builder with initial `skip` set
   static skip(...args) { return this.__query().skip(...args); }
 
@@ -337,6 +789,9 @@ class DbModel {
   // Create a query builder with initial `and` set
   static and(...args) { return this.__query().and(...args); }
 
+  // Create a query builder with initial `not` set
+  static not(...args) { return this.__query().not(...args); }
+
   // Create a query builder with initial `gt` set
   static gt(...args) { return this.__query().gt(...args); }
 
@@ -348,6 +803,30 @@ class DbModel {
 
   // Create a query builder with initial `lte` set
   static lte(...args) { return this.__query().lte(...args); }
+
+  // Create a query builder with initial `populate` set
+  static populate(...args) { return this.__query().populate(...args); }
+
+  // Create a query builder with initial `select` set
+  static select(...args) { return this.__query().select(...args); }
+
+  // Create a query builder with initial `search` set
+  static search(...args) { return this.__query().search(...args); }
+
+  // Create a query builder with initial `exists` set
+  static exists(...args) { return this.__query().exists(...args); }
+
+  // Create a query builder with initial `type` set
+  static type(...args) { return this.__query().type(...args); }
+
+  // Create a query builder with initial `near` set
+  static near(...args) { return this.__query().near(...args); }
+
+  // Create a query builder with initial `within` set
+  static within(...args) { return this.__query().within(...args); }
+
+  // Create a query builder with initial `group` set
+  static group(...args) { return this.__query().group(...args); }
 }
 
 // Exports
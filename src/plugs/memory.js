@@ -0,0 +1,987 @@
+// Require dependencies
+const crypto           = require('crypto');
+const DotProp          = require('dot-prop');
+const { EventEmitter } = require('events');
+
+// Require local dependencies
+const DbPlug = require('../dbplug');
+const Geo    = require('../geo');
+
+/**
+ * Order in which differently typed values are sorted, mirroring MongoDB's BSON ordering
+ */
+const typeOrder = ['null', 'number', 'string', 'object', 'array', 'boolean', 'date', 'regexp'];
+
+/**
+ * Generate a new random Model ID in the same format as a MongoDB ObjectId
+ */
+function generateId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Deeply clone a stored value so stored data can't be modified by reference
+ */
+function cloneValue(value) {
+  // Clone arrays by cloning all of their elements
+  if (value instanceof Array) {
+    return value.map(cloneValue);
+  }
+
+  // Clone dates by their timestamp
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  // Clone plain objects by cloning all of their values
+  if (value != null && typeof value === 'object' && !(value instanceof RegExp)) {
+    const clonedObj = {};
+
+    for (const [prop, propVal] of Object.entries(value)) {
+      clonedObj[prop] = cloneValue(propVal);
+    }
+
+    return clonedObj;
+  }
+
+  // Return primitives as they are
+  return value;
+}
+
+/**
+ * Select only the included or all but the excluded fields of a selection in an object
+ */
+function selectFields(object, selection) {
+  // Select all fields without a selection
+  if (selection == null) return object;
+
+  // Remove excluded fields
+  if (selection.exclude) {
+    for (const field of selection.fields) DotProp.delete(object, field);
+    return object;
+  }
+
+  // Copy included fields that exist
+  const selected = {};
+
+  for (const field of selection.fields) {
+    const fieldVal = DotProp.get(object, field);
+
+    if (fieldVal !== undefined) DotProp.set(selected, field, fieldVal);
+  }
+
+  return selected;
+}
+
+/**
+ * Get the name of the type of a value, as used for comparisons and sorting
+ */
+function valueType(value) {
+  if (value == null) return 'null';
+  if (value instanceof Array) return 'array';
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regexp';
+
+  // Return native type for all other values
+  return typeof value;
+}
+
+/**
+ * Deeply check if two values are equal
+ */
+function deepEqual(a, b) {
+  const aType = valueType(a);
+  const bType = valueType(b);
+
+  // Values of different types are never equal
+  if (aType !== bType) return false;
+
+  if (aType === 'array') {
+    // Arrays must have equal elements in equal order
+    return a.length === b.length && a.every((aElem, i) => deepEqual(aElem, b[i]));
+  }
+
+  if (aType === 'object') {
+    const aKeys = Object.keys(a);
+    const bKeys = Object.keys(b);
+
+    // Objects must have equal keys with equal values
+    return aKeys.length === bKeys.length && aKeys.every(key => deepEqual(a[key], b[key]));
+  }
+
+  if (aType === 'date') {
+    // Dates must have equal timestamps
+    return a.getTime() === b.getTime();
+  }
+
+  // Compare remaining values strictly
+  return a === b;
+}
+
+/**
+ * Compare two values of the same type, returning null if they are not comparable
+ */
+function compareValues(a, b) {
+  const aType = valueType(a);
+
+  // Only numbers, strings and dates of the same type can be compared
+  if (aType !== valueType(b) || !['number', 'string', 'date'].includes(aType)) {
+    return null;
+  }
+
+  // Compare dates by their timestamps
+  const aVal = aType === 'date' ? a.getTime() : a;
+  const bVal = aType === 'date' ? b.getTime() : b;
+
+  if (aVal < bVal) return -1;
+  if (aVal > bVal) return 1;
+  return 0;
+}
+
+/**
+ * Compare any two values for sorting, ordering differently typed values by type
+ */
+function sortCompare(a, b) {
+  const aType = valueType(a);
+  const bType = valueType(b);
+
+  // Sort differently typed values by type order
+  if (aType !== bType) {
+    return typeOrder.indexOf(aType) - typeOrder.indexOf(bType);
+  }
+
+  // Sort comparable values by value, leave the rest in place
+  return compareValues(a, b) || 0;
+}
+
+/**
+ * Check if a comparison between two values passes a check, failing for incomparable values
+ */
+function comparisonMatches(a, b, check) {
+  // Compare values
+  const comparison = compareValues(a, b);
+
+  // Incomparable values never match
+  return comparison !== null && check(comparison);
+}
+
+/**
+ * Get a value from a stored entry using a dotProp-style key
+ */
+function dotPropValue(entry, key) {
+  // Use the entry's ID for `_id`
+  if (key === '_id') {
+    return entry.id;
+  }
+
+  // Descend into the entry object by each part of the key
+  let value = entry.object;
+
+  for (const keyPart of key.split('.')) {
+    if (value == null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, keyPart)) {
+      return undefined;
+    }
+
+    value = value[keyPart];
+  }
+
+  return value;
+}
+
+/**
+ * Check if a stored value matches a filter value, treating missing and null values as equal
+ */
+function valueMatches(value, filterVal) {
+  // Match regex against strings only
+  if (filterVal instanceof RegExp) {
+    return typeof value === 'string' && filterVal.test(value);
+  }
+
+  // Match null against missing values as well
+  if (filterVal == null) {
+    return value == null;
+  }
+
+  // Match other values by deep equality
+  return deepEqual(value, filterVal);
+}
+
+/**
+ * Check if a stored value sorts after the value of a sort key in its direction, where null and
+ * missing values sort first and only values of the same type are compared
+ */
+function sortsAfter(value, sort) {
+  // Only non-null values sort after null in ascending order
+  if (sort.value == null) return !sort.desc && value != null;
+
+  // Compare values, with null values sorting after all others in descending order
+  return comparisonMatches(value, sort.value, c => (sort.desc ? c < 0 : c > 0))
+    || (sort.desc && value == null);
+}
+
+/**
+ * Aggregate values of stored entries by an aggregate
+ */
+function aggregateEntries(entries, aggregate) {
+  if (aggregate.type === 'count') return entries.length;
+
+  const values = entries.map(entry => dotPropValue(entry, aggregate.key));
+
+  // Sum and average numeric values only
+  const numbers = values.filter(value => typeof value === 'number');
+
+  if (aggregate.type === 'sum') return numbers.reduce((total, value) => total + value, 0);
+
+  if (aggregate.type === 'avg') {
+    if (numbers.length === 0) return null;
+    return numbers.reduce((total, value) => total + value, 0) / numbers.length;
+  }
+
+  // Find least or greatest of numbers, strings and dates only
+  const comparable = values.filter(value => ['number', 'string', 'date'].includes(valueType(value)));
+
+  if (comparable.length === 0) return null;
+
+  return cloneValue(comparable.reduce((found, value) => {
+    const comparison = sortCompare(value, found);
+    return (aggregate.type === 'min' ? comparison < 0 : comparison > 0) ? value : found;
+  }));
+}
+
+/**
+ * Deeply match a stored entry against an object supporting dotprop keys and regex
+ */
+function deepMatch(match, entry) {
+  // Every property of the match object must match
+  return Object.entries(match).every(([filterKey, filterVal]) => {
+    return valueMatches(dotPropValue(entry, filterKey), filterVal);
+  });
+}
+
+/**
+ * Check if a stored value passes an operator condition, such as that of an `elem` filter
+ */
+function conditionMatches(value, condition) {
+  if (condition.op === 'eq') return valueMatches(value, condition.value);
+  if (condition.op === 'ne') return !valueMatches(value, condition.value);
+  if (condition.op === 'in') return condition.value.some(val => valueMatches(value, val));
+  if (condition.op === 'nin') return !condition.value.some(val => valueMatches(value, val));
+
+  // Compare values for the remaining operators
+  const checks = {
+    gt  : c => c > 0,
+    gte : c => c >= 0,
+    lt  : c => c < 0,
+    lte : c => c <= 0,
+  };
+
+  return comparisonMatches(value, condition.value, checks[condition.op]);
+}
+
+/**
+ * Check if an array element passes all conditions, where conditions by key only pass for element
+ * objects
+ */
+function elemMatches(elem, conditions) {
+  return conditions.every((condition) => {
+    if (condition.key == null) return conditionMatches(elem, condition);
+
+    // Get values of element objects as if they were entries themselves
+    return valueType(elem) === 'object'
+      && conditionMatches(dotPropValue({ object : elem }, condition.key), condition);
+  });
+}
+
+/**
+ * Get the relevance of a stored entry to a search, as the amount of words matched in each field
+ */
+function searchScore(entry, searchPt) {
+  let score = 0;
+
+  for (const field of searchPt.fields) {
+    const value = dotPropValue(entry, field);
+
+    for (const regex of searchPt.regexes) {
+      if (valueMatches(value, regex)) score += 1;
+    }
+  }
+
+  return score;
+}
+
+/**
+ * Check if a stored entry matches a single filtering query part
+ */
+function entryMatchesPt(entry, queryPt) {
+  if (queryPt.type === 'filter') {
+    // Match using deep-match-filter from filter
+    return deepMatch(queryPt.filter, entry);
+  }
+
+  if (queryPt.type === 'elem') {
+    const arr = dotPropValue(entry, queryPt.arrKey);
+
+    // Only arrays can have matching elements
+    if (!(arr instanceof Array)) return false;
+
+    return arr.some(elem => elemMatches(elem, queryPt.conditions));
+  }
+
+  if (queryPt.type === 'size') {
+    const arr = dotPropValue(entry, queryPt.key);
+
+    // Match if the value is an array of the length
+    return arr instanceof Array && arr.length === queryPt.size;
+  }
+
+  if (queryPt.type === 'all') {
+    const arr = dotPropValue(entry, queryPt.key);
+
+    // Match if the value is an array with an element matching each of the values
+    return arr instanceof Array
+      && queryPt.vals.every(val => arr.some(elem => valueMatches(elem, val)));
+  }
+
+  if (queryPt.type === 'ne') {
+    // Match if value doesn't match
+    return !valueMatches(dotPropValue(entry, queryPt.key), queryPt.val);
+  }
+
+  if (queryPt.type === 'nin') {
+    // Match if value matches none of the values
+    return !queryPt.vals.some(val => valueMatches(dotPropValue(entry, queryPt.key), val));
+  }
+
+  if (queryPt.type === 'in') {
+    // Match if value matches any of the values
+    return queryPt.vals.some(val => valueMatches(dotPropValue(entry, queryPt.key), val));
+  }
+
+  if (queryPt.type === 'whereOr') {
+    // Match if all query parts of any of the branches match
+    return queryPt.branches.some(pts => pts.every(pt => entryMatchesPt(entry, pt)));
+  }
+
+  if (queryPt.type === 'whereAnd') {
+    // Match if all query parts of all of the branches match
+    return queryPt.branches.every(pts => pts.every(pt => entryMatchesPt(entry, pt)));
+  }
+
+  if (queryPt.type === 'whereNot') {
+    // Match if all query parts of none of the branches match
+    return !queryPt.branches.some(pts => pts.every(pt => entryMatchesPt(entry, pt)));
+  }
+
+  if (queryPt.type === 'gt') {
+    return comparisonMatches(dotPropValue(entry, queryPt.key), queryPt.min, c => c > 0);
+  }
+
+  if (queryPt.type === 'lt') {
+    return comparisonMatches(dotPropValue(entry, queryPt.key), queryPt.max, c => c < 0);
+  }
+
+  if (queryPt.type === 'gte') {
+    return comparisonMatches(dotPropValue(entry, queryPt.key), queryPt.min, c => c >= 0);
+  }
+
+  if (queryPt.type === 'lte') {
+    return comparisonMatches(dotPropValue(entry, queryPt.key), queryPt.max, c => c <= 0);
+  }
+
+  if (queryPt.type === 'search') {
+    // Match if any word matches in any field
+    return searchScore(entry, queryPt) > 0;
+  }
+
+  if (queryPt.type === 'exists') {
+    // Match if the value isn't null or missing, or is if not existing
+    return (dotPropValue(entry, queryPt.key) != null) === queryPt.exists;
+  }
+
+  if (queryPt.type === 'type') {
+    // Match if the value is of the type, where missing values are null
+    return valueType(dotPropValue(entry, queryPt.key)) === queryPt.valueType;
+  }
+
+  if (queryPt.type === 'near') {
+    const coordinates = Geo.pointCoordinates(dotPropValue(entry, queryPt.key));
+
+    // Match if the value is a point within the maximum distance, if any
+    return coordinates != null && (queryPt.maxDistance == null
+      || Geo.distance(coordinates, queryPt.coordinates) <= queryPt.maxDistance);
+  }
+
+  if (queryPt.type === 'within') {
+    const coordinates = Geo.pointCoordinates(dotPropValue(entry, queryPt.key));
+
+    // Match if the value is a point inside the polygon
+    return coordinates != null && Geo.polygonContains(queryPt.polygon, coordinates);
+  }
+
+  if (queryPt.type === 'after') {
+    // Match if sorted after any sort key's value, with the values of all previous keys equal
+    return queryPt.sorts.some((sort, i) => {
+      const previousEqual = queryPt.sorts.slice(0, i).every((prevSort) => {
+        return valueMatches(dotPropValue(entry, prevSort.key), prevSort.value);
+      });
+
+      return previousEqual && sortsAfter(dotPropValue(entry, sort.key), sort);
+    });
+  }
+
+  // Query part does not filter
+  return true;
+}
+
+/**
+ * In-memory database plug class, useful for tests and prototyping
+ */
+class MemoryPlug extends DbPlug {
+  /**
+   * Construct in-memory database plug class
+   */
+  constructor(config = {}) {
+    super();
+
+    // Store config
+    this._config = config;
+
+    // Store map of collection IDs to maps of Model IDs to Model data
+    this._collections = new Map();
+
+    // Store map of collection IDs to sets of index names
+    this._indexes = new Map();
+
+    // Store emitter of changes to all collections
+    this._changes = new EventEmitter();
+    this._changes.setMaxListeners(0);
+
+    // Bind raw methods to self
+    this.getRawCursor = this.getRawCursor.bind(this);
+    this.getRawTable = this.getRawTable.bind(this);
+    this.getRawDb = this.getRawDb.bind(this);
+
+    // Bind internal methods to self
+    this._queryToCursor = this._queryToCursor.bind(this);
+    this._getCollection = this._getCollection.bind(this);
+    this._handleRawModel = this._handleRawModel.bind(this);
+    this._emitChange = this._emitChange.bind(this);
+
+    // Bind public methods to self
+    this.findById = this.findById.bind(this);
+    this.find = this.find.bind(this);
+    this.batches = this.batches.bind(this);
+    this.findOne = this.findOne.bind(this);
+    this.count = this.count.bind(this);
+    this.aggregate = this.aggregate.bind(this);
+    this.distinct = this.distinct.bind(this);
+    this.sum = this.sum.bind(this);
+    this.removeById = this.removeById.bind(this);
+    this.remove = this.remove.bind(this);
+    this.update = this.update.bind(this);
+    this.replaceById = this.replaceById.bind(this);
+    this.updateById = this.updateById.bind(this);
+    this.insert = this.insert.bind(this);
+    this.watch = this.watch.bind(this);
+  }
+
+  /**
+   * Prepare database for new collection of provided collection ID
+   */
+  async initCollection(collectionId) {
+    // Create collection if it doesn't already exist
+    this._getCollection(collectionId);
+  }
+
+  /**
+   * Create an index, which only gets recorded as all queries are evaluated in process
+   */
+  async createIndex(collectionId, name, indexes) {
+    // Generate the same index name as other plugs from index keys
+    const indexName = Object.keys(indexes).sort().join('+');
+
+    // If set of indexes doesn't already exist for specific `collectionId`
+    if (this._indexes.get(collectionId) == null) {
+      // Create set of indexes with this index name included
+      this._indexes.set(collectionId, new Set([indexName]));
+    } else {
+      // Add index name to set of indexes
+      this._indexes.get(collectionId).add(indexName);
+    }
+  }
+
+  /**
+  * Return a copy of a raw cursor by provided collectionId
+  */
+  async getRawCursor(collectionId) {
+    return this._getCollection(collectionId);
+  }
+
+  /**
+  * Return a copy of a raw table by provided collectionId
+  */
+  async getRawTable(collectionId) {
+    return this._getCollection(collectionId);
+  }
+
+  /**
+  * Return a copy of the raw internal database
+  */
+  async getRawDb() {
+    return this._collections;
+  }
+
+  /**
+   * Get a collection by provided collection ID, ensuring collection exists
+   */
+  _getCollection(collectionId) {
+    // Create collection if it doesn't already exist
+    if (!this._collections.has(collectionId)) {
+      this._collections.set(collectionId, new Map());
+    }
+
+    // Return collection by ID
+    return this._collections.get(collectionId);
+  }
+
+  /**
+   * Evaluate a standard constructed query to an array of matching stored entries
+   */
+  _queryToCursor(collectionId, query) {
+    // Create entries from all Model data in the collection
+    let entries = Array.from(this._getCollection(collectionId).entries()).map(([id, object]) => {
+      return { id, object };
+    });
+
+    // Keep only entries matching all filtering query parts
+    entries = entries.filter(entry => query.pts.every(queryPt => entryMatchesPt(entry, queryPt)));
+
+    // Get sort query parts, with the first applied being the most significant
+    const sortPts = query.pts.filter(queryPt => queryPt.type === 'sort' || queryPt.type === 'relevance');
+
+    // Get relevance of each entry to the search if sorting by it
+    const searchPt = query.pts.find(queryPt => queryPt.type === 'search');
+    const scores = new Map();
+
+    if (sortPts.some(queryPt => queryPt.type === 'relevance')) {
+      for (const entry of entries) scores.set(entry, searchScore(entry, searchPt));
+    }
+
+    // Get distance of each entry from the near point, to sort nearest first after other sorts
+    const nearPt = query.pts.find(queryPt => queryPt.type === 'near');
+    const distances = new Map();
+
+    if (nearPt != null) {
+      for (const entry of entries) {
+        const coordinates = Geo.pointCoordinates(dotPropValue(entry, nearPt.key));
+        distances.set(entry, Geo.distance(coordinates, nearPt.coordinates));
+      }
+    }
+
+    // Sort entries by sort query parts
+    if (sortPts.length > 0 || nearPt != null) {
+      entries.sort((a, b) => {
+        for (const sortPt of sortPts) {
+          // Sort most relevant first when sorting by relevance
+          if (sortPt.type === 'relevance') {
+            if (scores.get(a) !== scores.get(b)) return scores.get(b) - scores.get(a);
+            continue;
+          }
+
+          // Compare values by sort key
+          const comparison = sortCompare(
+            dotPropValue(a, sortPt.sortKey),
+            dotPropValue(b, sortPt.sortKey),
+          );
+
+          // Return comparison in requested direction if values differ
+          if (comparison !== 0) return sortPt.desc ? -comparison : comparison;
+        }
+
+        return nearPt != null ? distances.get(a) - distances.get(b) : 0;
+      });
+    }
+
+    // Apply skip and limit query parts after filtering and sorting, as MongoDB does
+    for (const queryPt of query.pts) {
+      if (queryPt.type === 'skip') {
+        entries = entries.slice(queryPt.skipAmount);
+      }
+    }
+
+    for (const queryPt of query.pts) {
+      if (queryPt.type === 'limit') {
+        entries = entries.slice(0, queryPt.limitAmount);
+      }
+    }
+
+    // Return the fully evaluated entries
+    return entries;
+  }
+
+  /**
+   * Emit a change to Model data to all watchers
+   */
+  _emitChange(collectionId, type, id, oldValue, newValue) {
+    this._changes.emit('change', {
+      collectionId,
+      type,
+      id,
+      oldValue,
+      newValue,
+    });
+  }
+
+  /**
+   * Parse stored data into safe Model instance data components
+   */
+  _handleRawModel(entry, selection = null) {
+    // If no Model instance data found, return null
+    if (entry == null) {
+      return null;
+    }
+
+    // Return correctly structured Model instance data, cloned so storage isn't modified
+    return {
+      id     : entry.id,
+      object : selectFields(cloneValue(entry.object), selection),
+    };
+  }
+
+  /**
+   * Find Model data by collection ID and Model ID
+   */
+  async findById(collectionId, id, selection = null) {
+    // Get collection by provided collection ID
+    const collection = this._getCollection(collectionId);
+
+    // If no Model instance data found, return null
+    if (!collection.has(id)) {
+      return null;
+    }
+
+    // Parse stored model data to model data and return
+    return this._handleRawModel({ id, object : collection.get(id) }, selection);
+  }
+
+  /**
+   * Find Model data by collection ID and constructed query
+   */
+  async find(collectionId, query) {
+    // Map and return found Model instance data found by provided query
+    return this._queryToCursor(collectionId, query)
+      .map(entry => this._handleRawModel(entry, query.selection));
+  }
+
+  /**
+   * Find Model data by collection ID and constructed query in batches of provided size
+   */
+  async* batches(collectionId, query, size) {
+    const entries = this._queryToCursor(collectionId, query);
+
+    // Parse and yield each batch of found Model instance data
+    for (let i = 0; i < entries.length; i += size) {
+      yield entries.slice(i, i + size).map(entry => this._handleRawModel(entry, query.selection));
+    }
+  }
+
+  /**
+   * Find single Model data by collection ID and constructed query
+   */
+  async findOne(collectionId, query) {
+    // Parse first found Model instance data and return
+    return this._handleRawModel(this._queryToCursor(collectionId, query)[0], query.selection);
+  }
+
+  /**
+   * Get count of Model data by collection ID and constructed query
+   */
+  async count(collectionId, query) {
+    // Return count of matching Model instance data
+    return this._queryToCursor(collectionId, query).length;
+  }
+
+  /**
+   * Get sum of data by provided key of all matching Model data
+   * by collection ID and constructed query
+   */
+  async sum(collectionId, query, key) {
+    // Sum all numeric values by provided key of matching Model instance data
+    return this._queryToCursor(collectionId, query).reduce((total, entry) => {
+      const value = dotPropValue(entry, key);
+      return typeof value === 'number' ? total + value : total;
+    }, 0);
+  }
+
+  /**
+   * Aggregate matching Model data by collection ID, constructed query, dot-prop keys to group by,
+   * and aggregates by name
+   */
+  async aggregate(collectionId, query, groupKeys, aggregates) {
+    const entries = this._queryToCursor(collectionId, query);
+
+    // Group entries by their group values, treating missing and null values as equal
+    const groups = new Map();
+
+    for (const entry of entries) {
+      const group = groupKeys.map((groupKey) => {
+        const value = dotPropValue(entry, groupKey);
+        return value == null ? null : value;
+      });
+
+      const groupId = JSON.stringify(group.map(value => [valueType(value), value]));
+
+      if (!groups.has(groupId)) groups.set(groupId, { group, entries : [] });
+      groups.get(groupId).entries.push(entry);
+    }
+
+    // Aggregate each group, sorted by group values
+    return Array.from(groups.values()).sort((a, b) => {
+      for (let i = 0; i < groupKeys.length; i += 1) {
+        const comparison = sortCompare(a.group[i], b.group[i]);
+        if (comparison !== 0) return comparison;
+      }
+
+      return 0;
+    }).map(({ group, entries : groupEntries }) => {
+      const values = {};
+
+      for (const [name, aggregate] of Object.entries(aggregates)) {
+        values[name] = aggregateEntries(groupEntries, aggregate);
+      }
+
+      return { group : cloneValue(group), values };
+    });
+  }
+
+  /**
+   * Get the unique values by dot-prop key of all matching Model data by collection ID and
+   * constructed query
+   */
+  async distinct(collectionId, query, key) {
+    const values = [];
+
+    for (const entry of this._queryToCursor(collectionId, query)) {
+      const value = dotPropValue(entry, key);
+
+      // Add each element of arrays, ignoring null and missing values and those already added
+      for (const elem of value instanceof Array ? value : [value]) {
+        if (elem != null && !values.some(other => deepEqual(other, elem))) values.push(elem);
+      }
+    }
+
+    return values.map(cloneValue);
+  }
+
+  /**
+   * Get a copy of the query parts finding Model data by collection ID and constructed query, as
+   * matching is done in memory without a native query language
+   */
+  async toNative(collectionId, query) {
+    return cloneValue(query.pts);
+  }
+
+  /**
+   * Explain finding Model data by collection ID and constructed query, without a plan as every
+   * entry of the collection is matched in turn
+   */
+  async explain(collectionId, query) {
+    return { native : await this.toNative(collectionId, query), plan : null };
+  }
+
+  /**
+   * Remove matching Model data from database by collection ID and Model ID
+   */
+  async removeById(collectionId, id) {
+    // Get collection by provided collection ID
+    const collection = this._getCollection(collectionId);
+
+    // Only remove existing Model instance data
+    if (!collection.has(id)) return;
+
+    // Remove single Model instance data by provided ID
+    const oldObject = collection.get(id);
+    collection.delete(id);
+
+    this._emitChange(collectionId, 'remove', id, oldObject, null);
+  }
+
+  /**
+   * Remove matching Model data from database by collection ID and constructed query
+   */
+  async remove(collectionId, query) {
+    // Get collection by provided collection ID
+    const collection = this._getCollection(collectionId);
+
+    // Remove all matching Model instance data
+    for (const entry of this._queryToCursor(collectionId, query)) {
+      collection.delete(entry.id);
+
+      this._emitChange(collectionId, 'remove', entry.id, entry.object, null);
+    }
+  }
+
+  /**
+   * Update all matching Model data by collection ID, constructed query, and object of changes by
+   * dot-prop key, where null values unset keys, resolving the amount of Model data modified
+   */
+  async update(collectionId, query, changes) {
+    let modifiedCount = 0;
+
+    // Apply changes to all matching Model instance data
+    for (const entry of this._queryToCursor(collectionId, query)) {
+      const oldObject = cloneValue(entry.object);
+
+      for (const [changedKey, changedVal] of Object.entries(changes)) {
+        if (changedVal != null) {
+          DotProp.set(entry.object, changedKey, cloneValue(changedVal));
+        } else {
+          DotProp.delete(entry.object, changedKey);
+        }
+      }
+
+      // Only count and emit Model instance data that actually changed
+      if (!deepEqual(oldObject, entry.object)) {
+        modifiedCount += 1;
+
+        this._emitChange(collectionId, 'update', entry.id, oldObject, entry.object);
+      }
+    }
+
+    return modifiedCount;
+  }
+
+  /**
+   * Replace matching Model data from database by collection ID, Model ID, replacement data, and
+   * optional object of values by dot-prop key the stored data must match
+   */
+  async replaceById(collectionId, id, newObject, match = null) {
+    // Get collection by provided collection ID
+    const collection = this._getCollection(collectionId);
+
+    // Only replace existing Model instance data matching provided values
+    if (!collection.has(id)) return false;
+    if (match != null && !deepMatch(match, { id, object : collection.get(id) })) return false;
+
+    // Clone replacement object without its ID
+    const replaceObject = cloneValue(newObject);
+    delete replaceObject._id;
+
+    // Store replacement object
+    const oldObject = collection.get(id);
+    collection.set(id, replaceObject);
+
+    this._emitChange(collectionId, 'update', id, oldObject, replaceObject);
+
+    return true;
+  }
+
+  /**
+   * Update matching Model data from database by collection ID, Model ID, replacement data,
+   * set of updated keys, array of atomic operations, and optional object of values by dot-prop
+   * key the stored data must match
+   */
+  async updateById(collectionId, id, newObject, updates, ops = [], match = null) {
+    // Get collection by provided collection ID
+    const collection = this._getCollection(collectionId);
+
+    // Only update existing Model instance data matching provided values
+    if (!collection.has(id)) return false;
+    if (match != null && !deepMatch(match, { id, object : collection.get(id) })) return false;
+
+    // Get stored Model instance data, keeping a copy of the data before updating
+    const storedObject = collection.get(id);
+    const oldObject = cloneValue(storedObject);
+
+    // Iterate updated dot-prop keys
+    for (const updatedKey of updates) {
+      const updatedVal = DotProp.get(newObject, updatedKey);
+
+      if (updatedVal != null) {
+        // Set stored key-val to be from new object
+        DotProp.set(storedObject, updatedKey, cloneValue(updatedVal));
+      } else {
+        // Remove the key if not set in new object
+        DotProp.delete(storedObject, updatedKey);
+      }
+    }
+
+    // Apply atomic operations to stored values, treating missing values as empty
+    for (const op of ops) {
+      const storedVal = DotProp.get(storedObject, op.key);
+
+      if (op.type === 'increment') {
+        DotProp.set(storedObject, op.key, (typeof storedVal === 'number' ? storedVal : 0) + op.amount);
+      } else if (op.type === 'push') {
+        DotProp.set(storedObject, op.key, (storedVal instanceof Array ? storedVal : [])
+          .concat(op.values.map(cloneValue)));
+      }
+    }
+
+    this._emitChange(collectionId, 'update', id, oldObject, storedObject);
+
+    return true;
+  }
+
+  /**
+   * Insert Model data into database by collection ID and return Model ID
+   */
+  async insert(collectionId, object) {
+    // Get collection by provided collection ID
+    const collection = this._getCollection(collectionId);
+
+    // Use provided _id if present, otherwise generate a new ID
+    const id = object._id != null ? object._id.toString() : generateId();
+
+    // Clone object without its ID
+    const insertObject = cloneValue(object);
+    delete insertObject._id;
+
+    // Store Model instance data
+    collection.set(id, insertObject);
+
+    this._emitChange(collectionId, 'insert', id, null, insertObject);
+
+    // Return ID of Model instance data in database
+    return id;
+  }
+
+  /**
+   * Watch changes to Model data by collection ID and constructed query, calling listener
+   * for changes where the new data matches, or the old data for removals
+   */
+  async watch(collectionId, query, listener) {
+    // Create listener for changes to all collections
+    const onChange = (change) => {
+      // Ignore changes to other collections
+      if (change.collectionId !== collectionId) return;
+
+      // Match new data, or old data for removals, against filtering query parts
+      const entry = {
+        id     : change.id,
+        object : change.newValue != null ? change.newValue : change.oldValue,
+      };
+
+      if (!query.pts.every(queryPt => entryMatchesPt(entry, queryPt))) return;
+
+      // Call listener with copies of changed data
+      listener(null, {
+        type     : change.type,
+        id       : change.id,
+        oldValue : cloneValue(change.oldValue),
+        newValue : cloneValue(change.newValue),
+      });
+    };
+
+    // Start listening for changes
+    this._changes.on('change', onChange);
+
+    // Return function that stops listening for changes
+    return async () => {
+      this._changes.removeListener('change', onChange);
+    };
+  }
+}
+
+// Exports
+module.exports = MemoryPlug;
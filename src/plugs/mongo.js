@@ -3,10 +3,300 @@
 // Require dependencies
 const { MongoClient, ObjectId } = require('mongodb');
 const MQuery = require('@edenjs/mquery');
+const DotProp = require('dot-prop');
 const p = require('doasync');
 
 // Require local dependencies
 const DbPlug = require('../dbplug');
+const Geo    = require('../geo');
+
+/**
+ * Normalised change types by MongoDB change stream operation types
+ */
+const changeTypes = {
+  insert  : 'insert',
+  update  : 'update',
+  replace : 'update',
+  delete  : 'remove',
+};
+
+/**
+ * Field found data is sorted by when sorting by relevance, removed from found data
+ */
+const relevanceField = '__relevance';
+
+/**
+ * Convert a queried value to an ObjectId if queried by `_id`, as Model IDs are stored as ObjectIds
+ */
+function queryValue(key, val) {
+  return key === '_id' && typeof val === 'string' && ObjectId.isValid(val) ? ObjectId(val) : val;
+}
+
+/**
+ * Create a MongoDB filter value matching null and missing values, but not arrays containing null
+ * as MongoDB otherwise does
+ */
+function nullFilter() {
+  return { $eq : null, $not : { $type : 'array' } };
+}
+
+/**
+ * Create a MongoDB filter matching values by key that aren't null or missing, including arrays
+ * containing null
+ */
+function notNullFilter(key) {
+  return { $or : [{ [key] : { $ne : null } }, { [key] : { $type : 'array' } }] };
+}
+
+/**
+ * MongoDB aggregation types by value type
+ */
+const mongoTypes = {
+  number  : ['double', 'int', 'long', 'decimal'],
+  string  : ['string'],
+  boolean : ['bool'],
+  object  : ['object'],
+  array   : ['array'],
+  date    : ['date'],
+};
+
+/**
+ * Convert a filtered value by key to a MongoDB filter value, where null matches missing values
+ */
+function filterValue(key, val) {
+  return val == null ? nullFilter() : queryValue(key, val);
+}
+
+/**
+ * MongoDB query operators by operator of conditions
+ */
+const mongoOperators = {
+  eq  : '$eq',
+  ne  : '$ne',
+  gt  : '$gt',
+  gte : '$gte',
+  lt  : '$lt',
+  lte : '$lte',
+  in  : '$in',
+  nin : '$nin',
+};
+
+/**
+ * Create a MongoDB filter value from an operator condition, such as that of an `elem` filter
+ */
+function operatorFilter(condition) {
+  // Match regexes with `$regex`, and null against missing values but not arrays containing null
+  if (condition.op === 'eq' && condition.value instanceof RegExp) return { $regex : condition.value };
+  if (condition.op === 'eq' && condition.value == null) return nullFilter();
+
+  return { [mongoOperators[condition.op]] : condition.value };
+}
+
+/**
+ * Create a MongoDB `$elemMatch` filter from the conditions of an `elem` filter, which are either
+ * all by key of element objects or all of elements themselves
+ */
+function elemMatchFilter(conditions) {
+  const propConditions = conditions.filter(condition => condition.key != null);
+
+  // Match properties of element objects with `$and`, which only matches objects
+  if (propConditions.length > 0) {
+    return {
+      $and : propConditions.map(condition => ({ [condition.key] : operatorFilter(condition) })),
+    };
+  }
+
+  // Match elements themselves with operators directly in `$elemMatch`
+  return Object.assign({}, ...conditions.map(operatorFilter));
+}
+
+/**
+ * Create a MongoDB filter matching data sorted after the values of sort keys, where null and
+ * missing values sort first and only values of the same type are compared
+ */
+function afterFilter(sorts) {
+  const orFilters = [];
+
+  sorts.forEach((sort, i) => {
+    // Nothing sorts after null in descending order
+    if (sort.value == null && sort.desc) return;
+
+    // Match if the values of all previous keys are equal
+    const andFilters = sorts.slice(0, i).map((prevSort) => {
+      return { [prevSort.key] : queryValue(prevSort.key, prevSort.value) };
+    });
+
+    // Match if sorted after this key's value, with null values sorting after all others in
+    // descending order
+    const value = queryValue(sort.key, sort.value);
+
+    if (sort.value == null) {
+      andFilters.push({ [sort.key] : { $ne : null } });
+    } else if (sort.desc) {
+      andFilters.push({ $or : [{ [sort.key] : { $lt : value } }, { [sort.key] : null }] });
+    } else {
+      andFilters.push({ [sort.key] : { $gt : value } });
+    }
+
+    orFilters.push({ $and : andFilters });
+  });
+
+  return { $or : orFilters };
+}
+
+/**
+ * Create a MongoDB filter matching GeoJSON points within an optional distance of coordinates,
+ * either sorting nearest first, which requires a `2dsphere` index and is only supported when
+ * finding, or unsorted
+ */
+function nearFilter(queryPt, sorted) {
+  if (sorted) {
+    const nearSphere = { $geometry : Geo.point(...queryPt.coordinates) };
+
+    if (queryPt.maxDistance != null) nearSphere.$maxDistance = queryPt.maxDistance;
+
+    return { [queryPt.key] : { $nearSphere : nearSphere } };
+  }
+
+  // Match any point without a maximum distance
+  if (queryPt.maxDistance == null) return { [`${queryPt.key}.type`] : 'Point' };
+
+  // Match within the maximum distance as a radius in radians
+  const radius = queryPt.maxDistance / Geo.earthRadius;
+
+  return { [queryPt.key] : { $geoWithin : { $centerSphere : [queryPt.coordinates, radius] } } };
+}
+
+/**
+ * Get the filter conditions built up on an MQuery cursor
+ */
+function cursorConditions(cursor) {
+  const { _conditions : conditions } = cursor;
+  return conditions;
+}
+
+/**
+ * Get the name of the collection of an MQuery cursor, or null without a collection
+ */
+function cursorCollectionName(cursor) {
+  const { _collection : collection } = cursor;
+  return collection != null ? collection.collectionName : null;
+}
+
+/**
+ * Create a MongoDB filter matching any word of a search case-insensitively in any of its fields
+ */
+function searchFilter(searchPt) {
+  return {
+    $or : [].concat(...searchPt.fields.map((field) => {
+      return searchPt.regexes.map(regex => ({ [field] : regex }));
+    })),
+  };
+}
+
+/**
+ * Create an aggregation expression of the amount of words of a search matched case-insensitively
+ * in each of its fields, strings only, which requires MongoDB 4.2 for `$regexMatch`
+ */
+function searchScore(searchPt) {
+  return {
+    $add : [].concat(...searchPt.fields.map((field) => {
+      return searchPt.regexes.map((regex) => {
+        // Only match strings, as `$and` stops at the first false expression
+        const matched = {
+          $and : [
+            { $eq : [{ $type : `$${field}` }, 'string'] },
+            { $regexMatch : { input : `$${field}`, regex } },
+          ],
+        };
+
+        return { $cond : [matched, 1, 0] };
+      });
+    })),
+  };
+}
+
+/**
+ * Prefix all field paths of an aggregation expression, which are strings starting with a single
+ * `$`, keeping literals as they are
+ */
+function prefixExprPaths(expr, prefix) {
+  if (typeof expr === 'string') {
+    return expr.startsWith('$') && !expr.startsWith('$$') ? `$${prefix}${expr.slice(1)}` : expr;
+  }
+
+  if (expr instanceof Array) return expr.map(subExpr => prefixExprPaths(subExpr, prefix));
+
+  // Keep values that aren't plain objects, such as IDs and dates
+  if (expr == null || Object.getPrototypeOf(expr) !== Object.prototype) return expr;
+
+  const prefixedExpr = {};
+
+  for (const [exprKey, exprVal] of Object.entries(expr)) {
+    prefixedExpr[exprKey] = exprKey === '$literal' ? exprVal : prefixExprPaths(exprVal, prefix);
+  }
+
+  return prefixedExpr;
+}
+
+/**
+ * Prefix all field keys of a MongoDB filter to match them against changed documents of change
+ * streams, descending into logical operators and expressions, and throw for other operators
+ */
+function prefixFilterKeys(filter, prefix) {
+  const prefixedFilter = {};
+
+  for (const [filterKey, filterVal] of Object.entries(filter)) {
+    if (['$or', '$and', '$nor'].includes(filterKey)) {
+      // Prefix keys of each filter in logical operators
+      prefixedFilter[filterKey] = filterVal.map(subFilter => prefixFilterKeys(subFilter, prefix));
+    } else if (filterKey === '$expr') {
+      // Prefix field paths of expressions
+      prefixedFilter[filterKey] = prefixExprPaths(filterVal, prefix);
+    } else if (filterKey.startsWith('$')) {
+      // Other operators, like text search, can't match prefixed fields of change streams
+      throw new Error(`Filters using \`${filterKey}\` can't narrow a change stream`);
+    } else {
+      // Prefix field key, as keys in operators of field values are relative to the field
+      prefixedFilter[`${prefix}${filterKey}`] = filterVal;
+    }
+  }
+
+  return prefixedFilter;
+}
+
+/**
+ * Convert a selection of fields to a MongoDB projection
+ */
+function selectionProjection(selection) {
+  const projection = {};
+
+  // Include or exclude every field
+  for (const field of selection.fields) {
+    projection[field] = selection.exclude ? 0 : 1;
+  }
+
+  return projection;
+}
+
+/**
+ * Create a MongoDB group accumulator from an aggregate
+ */
+function aggregateAccumulator(aggregate) {
+  if (aggregate.type === 'count') return { $sum : 1 };
+
+  // Sum and average ignore non-numeric values already
+  if (aggregate.type === 'sum') return { $sum : `$${aggregate.key}` };
+  if (aggregate.type === 'avg') return { $avg : `$${aggregate.key}` };
+
+  // Find least or greatest of numbers, strings and dates only, as null values are ignored
+  const comparableTypes = ['double', 'int', 'long', 'decimal', 'string', 'date'];
+  const comparableExpr = {
+    $cond : [{ $in : [{ $type : `$${aggregate.key}` }, comparableTypes] }, `$${aggregate.key}`, null],
+  };
+
+  return { [aggregate.type === 'min' ? '$min' : '$max'] : comparableExpr };
+}
 
 /**
  * MongoDb database plug class
@@ -21,6 +311,9 @@ class MongoPlug extends DbPlug {
     // Store config
     this._config = config;
 
+    // Store map of text indexed keys by collection ID, as collections have one text index at most
+    this._textIndexes = new Map();
+
     // Bind builder to self
     this._build = this._build.bind(this);
 
@@ -31,16 +324,26 @@ class MongoPlug extends DbPlug {
 
     // Bind internal methods to self
     this._queryToCursor = this._queryToCursor.bind(this);
+    this._branchFilter = this._branchFilter.bind(this);
+    this._textIndexed = this._textIndexed.bind(this);
+    this._ranksByMatches = this._ranksByMatches.bind(this);
+    this._queryToPipeline = this._queryToPipeline.bind(this);
+    this._findPipeline = this._findPipeline.bind(this);
 
     // Bind public methods to self
     this.findById = this.findById.bind(this);
     this.find = this.find.bind(this);
+    this.batches = this.batches.bind(this);
     this.findOne = this.findOne.bind(this);
     this.count = this.count.bind(this);
+    this.aggregate = this.aggregate.bind(this);
+    this.distinct = this.distinct.bind(this);
     this.removeById = this.removeById.bind(this);
     this.remove = this.remove.bind(this);
+    this.update = this.update.bind(this);
     this.replaceById = this.replaceById.bind(this);
     this.insert = this.insert.bind(this);
+    this.watch = this.watch.bind(this);
 
     // Start building internal connections and store promise
     this._building = this._build();
@@ -72,6 +375,10 @@ class MongoPlug extends DbPlug {
       await this._db.collection(collectionId).createIndex(indexes, {
         name,
       });
+
+      // Store text indexed keys of created text index
+      const textKeys = Object.keys(indexes).filter(key => indexes[key] === 'text');
+      if (textKeys.length > 0) this._textIndexes.set(collectionId, textKeys);
     } catch (err) { /* who care */ }
   }
 
@@ -100,9 +407,32 @@ class MongoPlug extends DbPlug {
   }
 
   /**
-   * Convert a standard constructed query to an MQuery cursor
+   * Check if a collection by ID has a text index of exactly the provided fields, so text searches
+   * only match the fields being searched
+   */
+  _textIndexed(collectionId, fields) {
+    const textKeys = this._textIndexes.get(collectionId);
+
+    return textKeys != null && textKeys.length === fields.length
+      && fields.every(field => textKeys.includes(field));
+  }
+
+  /**
+   * Check if a query of a collection by ID sorts by relevance to a search without a text index of
+   * exactly its fields, ranking by the amount of words matched, which only aggregations can add
    */
-  _queryToCursor(cursor, query) {
+  _ranksByMatches(collectionId, query) {
+    const searchPt = query.pts.find(queryPt => queryPt.type === 'search');
+
+    return query.pts.some(queryPt => queryPt.type === 'relevance')
+      && !this._textIndexed(collectionId, searchPt.fields);
+  }
+
+  /**
+   * Convert a standard constructed query to an MQuery cursor, optionally sorting nearest first if
+   * near a point, which is only supported when finding
+   */
+  _queryToCursor(cursor, query, nearSorted = false) {
     let neBuf = [];
 
     // Iterate over all parts of the query
@@ -118,46 +448,64 @@ class MongoPlug extends DbPlug {
             delete filter[filterKey];
             // Apply key and regex match to `where` and `regex` cursor method
             cursor = cursor.where(filterKey).regex(filterVal);
+          } else {
+            // Convert value if queried by `_id` or null
+            filter[filterKey] = filterValue(filterKey, filterVal);
           }
         }
 
         // Apply filter object to `where` cursor method
         cursor = cursor.where(filter);
       } else if (queryPt.type === 'elem') {
-        if (typeof queryPt.filter !== 'object') {
-          // Apply supplied matches array to `where` and `elemMatch` cursor method
-          cursor = cursor.where(queryPt.arrKey).elemMatch({
-            $eq : queryPt.filter,
-          });
-        } else {
-          // Apply supplied matches array to `where` and `elemMatch` cursor method
-          cursor = cursor.where(queryPt.arrKey).elemMatch(queryPt.filter);
-        }
+        // Apply filter matching elements to `where` and `elemMatch` cursor method, which only
+        // matches arrays
+        cursor = cursor.where(queryPt.arrKey).elemMatch(elemMatchFilter(queryPt.conditions));
+      } else if (queryPt.type === 'size') {
+        // Apply key and size to `where` and `size` cursor method, which only matches arrays
+        cursor = cursor.where(queryPt.key).size(queryPt.size);
+      } else if (queryPt.type === 'all') {
+        // Apply filter matching arrays containing all values to `and` cursor method, as `$all`
+        // also matches a value equal to its only value
+        const allFilter = queryPt.vals.length > 0
+          ? { $all : queryPt.vals.map(val => (val == null ? null : queryValue(queryPt.key, val))) }
+          : {};
+
+        cursor = cursor.and([{ [queryPt.key] : { ...allFilter, $type : 'array' } }]);
       } else if (queryPt.type === 'ne') {
         const nextPt = query.pts[queryPtKey + 1];
         if (nextPt != null && nextPt.type === 'ne' && nextPt.key === queryPt.key) {
-          neBuf.push(queryPt.val);
+          neBuf.push(queryValue(queryPt.key, queryPt.val));
         } else if (neBuf.length > 0) {
           // Apply supplied negative match and previous
           // matches array to `where` and `nin` cursor method
-          cursor = cursor.where(queryPt.key).nin([...neBuf, queryPt.val]);
+          cursor = cursor.where(queryPt.key).nin([...neBuf, queryValue(queryPt.key, queryPt.val)]);
           neBuf = [];
+        } else if (queryPt.val == null) {
+          // Apply filter matching values that aren't null or missing to `and` cursor method
+          cursor = cursor.and([notNullFilter(queryPt.key)]);
         } else {
           // Apply supplied negative to `where` and `ne` cursor method
-          cursor = cursor.where(queryPt.key).ne(queryPt.val);
+          cursor = cursor.where(queryPt.key).ne(queryValue(queryPt.key, queryPt.val));
         }
       } else if (queryPt.type === 'nin') {
         // Apply supplied values array to `where` and `nin` cursor method
-        cursor = cursor.where(queryPt.key).nin(queryPt.vals);
+        const vals = queryPt.vals.map(val => queryValue(queryPt.key, val));
+        cursor = cursor.where(queryPt.key).nin(vals);
       } else if (queryPt.type === 'in') {
         // Apply supplied values array to `where` and `in` cursor method
-        cursor = cursor.where(queryPt.key).in(queryPt.vals);
+        const vals = queryPt.vals.map(val => queryValue(queryPt.key, val));
+        cursor = cursor.where(queryPt.key).in(vals);
       } else if (queryPt.type === 'whereOr') {
-        // Apply supplied matches array to `or` cursor method
-        cursor = cursor.or(queryPt.matches);
+        // Apply filter matching any branch to `and` cursor method, as `or` adds to one shared
+        // `$or` of all branches of every `or` part
+        cursor = cursor.and([{ $or : queryPt.branches.map(this._branchFilter) }]);
       } else if (queryPt.type === 'whereAnd') {
-        // Apply supplied matches array to `and` cursor method
-        cursor = cursor.and(queryPt.matches);
+        // Apply filters of branches to `and` cursor method
+        cursor = cursor.and(queryPt.branches.map(this._branchFilter));
+      } else if (queryPt.type === 'whereNot') {
+        // Apply filter matching no branch to `and` cursor method, keeping each `not` part apart
+        // like `or` parts
+        cursor = cursor.and([{ $nor : queryPt.branches.map(this._branchFilter) }]);
       } else if (queryPt.type === 'limit') {
         // Apply amt to `limit` cursor method
         cursor = cursor.limit(queryPt.limitAmount);
@@ -179,6 +527,57 @@ class MongoPlug extends DbPlug {
       } else if (queryPt.type === 'lte') {
         // Apply key and max to `where` and `lte` cursor method
         cursor = cursor.where(queryPt.key).lte(queryPt.max);
+      } else if (queryPt.type === 'after') {
+        // Apply filter matching data sorted after the sort keys' values to `and` cursor method
+        cursor = cursor.and([afterFilter(queryPt.sorts)]);
+      } else if (queryPt.type === 'search') {
+        if (this._textIndexed(cursorCollectionName(cursor), queryPt.fields)) {
+          // Apply text search of the collection's text index to `where` cursor method
+          const textSearch = { $search : queryPt.text };
+
+          if (queryPt.language != null) textSearch.$language = queryPt.language;
+
+          cursor = cursor.where({ $text : textSearch });
+        } else {
+          // Apply filter matching words in the fields to `and` cursor method
+          cursor = cursor.and([searchFilter(queryPt)]);
+        }
+      } else if (queryPt.type === 'exists') {
+        // Apply filter matching values that aren't null or missing, or are if not existing, to
+        // `and` cursor method
+        const existsFilter = queryPt.exists
+          ? notNullFilter(queryPt.key)
+          : { [queryPt.key] : nullFilter() };
+
+        cursor = cursor.and([existsFilter]);
+      } else if (queryPt.type === 'type') {
+        // Apply filter matching values of the type itself, not arrays containing it, to `and`
+        // cursor method
+        const typeFilter = queryPt.valueType === 'null'
+          ? { [queryPt.key] : nullFilter() }
+          : { $expr : { $in : [{ $type : `$${queryPt.key}` }, mongoTypes[queryPt.valueType]] } };
+
+        cursor = cursor.and([typeFilter]);
+      } else if (queryPt.type === 'near') {
+        // Apply filter matching points near the coordinates to `where` cursor method
+        cursor = cursor.where(nearFilter(queryPt, nearSorted));
+      } else if (queryPt.type === 'within') {
+        // Apply filter matching points inside the polygon to `and` cursor method
+        cursor = cursor.and([{ [queryPt.key] : { $geoWithin : { $geometry : queryPt.polygon } } }]);
+      } else if (queryPt.type === 'relevance') {
+        const searchPt = query.pts.find(pt => pt.type === 'search');
+
+        if (this._textIndexed(cursorCollectionName(cursor), searchPt.fields)) {
+          // Apply text search score to `select` and `sort` cursor methods, sorting most relevant
+          // first, as MongoDB 4.2 and older only sort by a projected score
+          const score = { $meta : 'textScore' };
+
+          cursor = cursor.select({ [relevanceField] : score }).sort({ [relevanceField] : score });
+        } else {
+          // Apply amount of words matched added by aggregations to `sort` cursor method, sorting
+          // most relevant first
+          cursor = cursor.sort({ [relevanceField] : -1 });
+        }
       }
     }
 
@@ -186,16 +585,66 @@ class MongoPlug extends DbPlug {
     return cursor;
   }
 
+  /**
+   * Convert the query parts of a branch of `or`, `and` or `not` to a MongoDB filter, by building
+   * them on a cursor without a collection
+   */
+  _branchFilter(pts) {
+    return cursorConditions(this._queryToCursor(MQuery(), { pts }));
+  }
+
+  /**
+   * Convert a standard constructed query to the stages of an aggregation pipeline selecting
+   * matching data
+   */
+  _queryToPipeline(collection, query) {
+    // Construct cursor from provided query, to use its conditions and options
+    const cursor = this._queryToCursor(MQuery(collection), query);
+    const pipeline = [{ $match : cursorConditions(cursor) }];
+
+    // Add the amount of words matched to sort by if ranking by it
+    if (this._ranksByMatches(collection.collectionName, query)) {
+      const searchPt = query.pts.find(queryPt => queryPt.type === 'search');
+
+      pipeline.push({ $addFields : { [relevanceField] : searchScore(searchPt) } });
+    }
+
+    if (cursor.options.sort != null) pipeline.push({ $sort : cursor.options.sort });
+    if (cursor.options.skip != null) pipeline.push({ $skip : cursor.options.skip });
+    if (cursor.options.limit != null) pipeline.push({ $limit : cursor.options.limit });
+
+    return pipeline;
+  }
+
+  /**
+   * Convert a standard constructed query ranking by the amount of words matched to an aggregation
+   * pipeline finding matching data, projecting its selected fields
+   */
+  _findPipeline(collection, query) {
+    // Ensure no sort is dropped, as aggregations can only sort nearest first before other sorts
+    if (query.pts.some(queryPt => queryPt.type === 'near')) {
+      throw new Error('Sorting by relevance without a text index can\'t be combined with near');
+    }
+
+    const pipeline = this._queryToPipeline(collection, query);
+
+    if (query.selection != null) pipeline.push({ $project : selectionProjection(query.selection) });
+
+    return pipeline;
+  }
+
   /**
    * Find Model data by collection ID and Model ID
    */
-  async findById(collectionId, id) {
+  async findById(collectionId, id, selection = null) {
     // Wait for building to finish
     await this._building;
 
-    // Construct MQuery cursor from collection ID
+    // Construct MQuery cursor from collection ID, projecting fields of provided selection
     const mQuery = MQuery(this._db.collection(collectionId));
 
+    if (selection != null) mQuery.select(selectionProjection(selection));
+
     // Find single Model instance data by provided ID
     const rawModelRes = await mQuery.findOne({ _id : ObjectId(id) }).exec();
 
@@ -227,17 +676,28 @@ class MongoPlug extends DbPlug {
     // Wait for building to finish
     await this._building;
 
-    // Construct MQuery cursor from collection ID
-    const mQuery = MQuery(this._db.collection(collectionId));
+    // Get DB collection from collection ID
+    const collection = this._db.collection(collectionId);
+
+    // Construct MQuery cursor from collection, projecting selected fields of provided query
+    const mQuery = MQuery(collection);
 
-    // Fetch, map, and return found Model instance
-    // data found by cursor constructed from provided query
-    return (await this._queryToCursor(mQuery, query).find().exec()).map((rawModelRes) => {
+    if (query.selection != null) mQuery.select(selectionProjection(query.selection));
+
+    // Fetch Model instance data found by cursor constructed from provided query, or by an
+    // aggregation if ranking by the amount of words matched
+    const rawModelsRes = this._ranksByMatches(collectionId, query)
+      ? await collection.aggregate(this._findPipeline(collection, query)).toArray()
+      : await this._queryToCursor(mQuery, query, true).find().exec();
+
+    // Map and return found Model instance data
+    return rawModelsRes.map((rawModelRes) => {
       // Get internal ID from returned data
       const fetchedModelId = rawModelRes._id.toString();
 
-      // Delete internal ID from the object
+      // Delete internal ID and relevance from the object
       delete rawModelRes._id;
+      delete rawModelRes[relevanceField];
 
       // Get remaining now sanitized Model instance data
       const fetchedModelObject = rawModelRes;
@@ -253,15 +713,78 @@ class MongoPlug extends DbPlug {
   /**
    * Find single Model data by collection ID and Model ID
    */
+  async* batches(collectionId, query, size) {
+    // Wait for building to finish
+    await this._building;
+
+    // Get DB collection from collection ID
+    const collection = this._db.collection(collectionId);
+
+    // Construct MQuery cursor from collection, projecting selected fields of provided query
+    const mQuery = MQuery(collection);
+
+    if (query.selection != null) mQuery.select(selectionProjection(query.selection));
+
+    // Open native cursor constructed from provided query, or of an aggregation if ranking by the
+    // amount of words matched, fetching batches of provided size
+    const cursor = this._ranksByMatches(collectionId, query)
+      ? collection.aggregate(this._findPipeline(collection, query)).batchSize(size)
+      : this._queryToCursor(mQuery, query, true).find().cursor().batchSize(size);
+
+    try {
+      let batch = [];
+
+      // Fetch Model instance data one at a time, as the native cursor fetches it in batches
+      let rawModelRes = await cursor.next();
+
+      while (rawModelRes != null) {
+        // Get internal ID from returned data
+        const fetchedModelId = rawModelRes._id.toString();
+
+        // Delete internal ID and relevance from the object
+        delete rawModelRes._id;
+        delete rawModelRes[relevanceField];
+
+        // Add correctly structured fetched Model instance data to batch
+        batch.push({
+          id     : fetchedModelId,
+          object : rawModelRes,
+        });
+
+        // Yield full batches
+        if (batch.length >= size) {
+          yield batch;
+          batch = [];
+        }
+
+        rawModelRes = await cursor.next();
+      }
+
+      // Yield remaining partial batch
+      if (batch.length > 0) yield batch;
+    } finally {
+      // Close cursor, even if stopped early
+      await cursor.close();
+    }
+  }
+
   async findOne(collectionId, query) {
     // Wait for building to finish
     await this._building;
 
-    // Construct MQuery cursor from collection ID
-    const mQuery = MQuery(this._db.collection(collectionId));
+    // Get DB collection from collection ID
+    const collection = this._db.collection(collectionId);
 
-    // Construct cursor from provided query, and use it to fetch single Model instance data
-    const rawModelRes = await this._queryToCursor(mQuery, query).findOne().exec();
+    // Construct MQuery cursor from collection, projecting selected fields of provided query
+    const mQuery = MQuery(collection);
+
+    if (query.selection != null) mQuery.select(selectionProjection(query.selection));
+
+    // Construct cursor from provided query, or an aggregation if ranking by the amount of words
+    // matched, and use it to fetch single Model instance data
+    const rawModelRes = this._ranksByMatches(collectionId, query)
+      ? (await collection.aggregate(this._findPipeline(collection, query)).limit(1).toArray())[0]
+      : await this._queryToCursor(mQuery, query, true).findOne().exec();
 
     // If no Model instance data found, return null
     if (rawModelRes == null) {
@@ -271,8 +794,9 @@ class MongoPlug extends DbPlug {
     // Get internal ID from returned data
     const fetchedModelId = rawModelRes._id.toString();
 
-    // Delete internal ID from the object
+    // Delete internal ID and relevance from the object
     delete rawModelRes._id;
+    delete rawModelRes[relevanceField];
 
     // Get remaining now sanitized Model instance data
     const fetchedModelObject = rawModelRes;
@@ -315,6 +839,136 @@ class MongoPlug extends DbPlug {
     return await this._queryToCursor(mQuery, query).sum(`$${key}`).exec();
   }
 
+  /**
+   * Aggregate matching Model data by collection ID, constructed query, dot-prop keys to group by,
+   * and aggregates by name
+   */
+  async aggregate(collectionId, query, groupKeys, aggregates) {
+    // Wait for building to finish
+    await this._building;
+
+    // Get DB collection from collection ID
+    const collection = this._db.collection(collectionId);
+
+    // Construct pipeline from provided query
+    const pipeline = this._queryToPipeline(collection, query);
+
+    // Group by group key values, treating missing and null values as equal
+    const groupId = {};
+
+    groupKeys.forEach((groupKey, i) => {
+      groupId[`g${i}`] = { $ifNull : [`$${groupKey}`, null] };
+    });
+
+    const aggregateEntries = Object.entries(aggregates);
+    const group = { _id : groupKeys.length > 0 ? groupId : null };
+
+    aggregateEntries.forEach(([, aggregate], i) => {
+      group[`a${i}`] = aggregateAccumulator(aggregate);
+    });
+
+    // Aggregate each group, sorted by group values
+    pipeline.push({ $group : group }, { $sort : { _id : 1 } });
+
+    const rawRes = await collection.aggregate(pipeline).toArray();
+
+    // Create group values, with IDs as strings, and aggregated values by name
+    return rawRes.map((rawGroup) => {
+      const values = {};
+
+      aggregateEntries.forEach(([name], i) => {
+        values[name] = rawGroup[`a${i}`];
+      });
+
+      return {
+        group : groupKeys.map((groupKey, i) => {
+          const value = rawGroup._id[`g${i}`];
+          return value instanceof ObjectId ? value.toString() : value;
+        }),
+        values,
+      };
+    });
+  }
+
+  /**
+   * Get the unique values by dot-prop key of all matching Model data by collection ID and
+   * constructed query
+   */
+  async distinct(collectionId, query, key) {
+    // Wait for building to finish
+    await this._building;
+
+    // Get DB collection from collection ID
+    const collection = this._db.collection(collectionId);
+
+    // Unwind each element of array values, which also drops missing values and empty arrays, and
+    // group by the remaining non-null values
+    const pipeline = this._queryToPipeline(collection, query);
+
+    pipeline.push(
+      { $unwind : `$${key}` },
+      { $match : { [key] : { $ne : null } } },
+      { $group : { _id : `$${key}` } },
+    );
+
+    const rawRes = await collection.aggregate(pipeline).toArray();
+
+    // Return unique values, with IDs as strings
+    return rawRes.map(({ _id : value }) => (value instanceof ObjectId ? value.toString() : value));
+  }
+
+  /**
+   * Get the MQuery cursor finding Model data by collection ID and constructed query, or the
+   * aggregation pipeline if ranking by the amount of words matched
+   */
+  async toNative(collectionId, query) {
+    // Wait for building to finish
+    await this._building;
+
+    // Get DB collection from collection ID
+    const collection = this._db.collection(collectionId);
+
+    // Return pipeline constructed from provided query if ranking by the amount of words matched
+    if (this._ranksByMatches(collectionId, query)) return this._findPipeline(collection, query);
+
+    // Construct MQuery cursor from collection, projecting selected fields of provided query
+    const mQuery = MQuery(collection);
+
+    if (query.selection != null) mQuery.select(selectionProjection(query.selection));
+
+    // Return cursor constructed from provided query, as `find` would run it
+    return this._queryToCursor(mQuery, query, true);
+  }
+
+  /**
+   * Explain finding Model data by collection ID and constructed query, with MongoDB's explain
+   * output of the equivalent find, or of the aggregation, as the plan
+   */
+  async explain(collectionId, query) {
+    const native = await this.toNative(collectionId, query);
+    const collection = this._db.collection(collectionId);
+
+    // Explain the aggregation pipeline if ranking by the amount of words matched
+    if (native instanceof Array) {
+      return { native, plan : await collection.aggregate(native).explain() };
+    }
+
+    // Run the conditions, projection and options of the cursor as a find of the native driver to
+    // explain it
+    const { _fields : projection } = native;
+    const options = {};
+
+    for (const option of ['sort', 'skip', 'limit']) {
+      if (native.options[option] != null) options[option] = native.options[option];
+    }
+
+    if (projection != null) options.projection = projection;
+
+    const plan = await collection.find(cursorConditions(native), options).explain();
+
+    return { native, plan };
+  }
+
   /**
    * Remove matching Model data from database by collection ID and Model ID
    */
@@ -344,56 +998,131 @@ class MongoPlug extends DbPlug {
   }
 
   /**
-   * Replace matching Model data from database by collection ID, Model ID, and replacement data
+   * Update all matching Model data by collection ID, constructed query, and object of changes by
+   * dot-prop key, where null values unset keys, resolving the amount of Model data modified
    */
-  async replaceById(collectionId, id, newObject) {
+  async update(collectionId, query, changes) {
+    // Wait for building to finish
+    await this._building;
+
+    // Get DB collection from collection ID
+    const collection = this._db.collection(collectionId);
+
+    // Create new objects for storing set and unset keys
+    const setObject = {};
+    const unsetObject = {};
+
+    // Iterate changed keys
+    for (const [changedKey, changedVal] of Object.entries(changes)) {
+      if (changedVal != null) {
+        // Set key-val to be the changed value
+        setObject[changedKey] = changedVal;
+      } else {
+        // Unset the key if the changed value is null
+        unsetObject[changedKey] = 0;
+      }
+    }
+
+    // Create update object using mongodb-special fields
+    const updateObject = {};
+
+    if (Object.keys(setObject).length > 0) updateObject.$set = setObject;
+    if (Object.keys(unsetObject).length > 0) updateObject.$unset = unsetObject;
+
+    // Nothing can be modified without changes
+    if (Object.keys(updateObject).length === 0) return 0;
+
+    // Construct filter conditions from provided query
+    let filter = cursorConditions(this._queryToCursor(MQuery(collection), query));
+
+    // Match IDs found by the full query if it's skipped or limited, as `updateMany` can't be
+    if (query.pts.some(queryPt => queryPt.type === 'skip' || queryPt.type === 'limit')) {
+      const foundDocs = this._ranksByMatches(collectionId, query)
+        ? await collection.aggregate(this._findPipeline(collection, query)).project({ _id : 1 })
+          .toArray()
+        : await this._queryToCursor(MQuery(collection), query, true).select('_id').find().exec();
+
+      filter = { _id : { $in : foundDocs.map(foundDoc => foundDoc._id) } };
+    }
+
+    // Update matching Model instance data and return amount actually modified
+    const updateRes = await collection.updateMany(filter, updateObject);
+
+    return updateRes.modifiedCount;
+  }
+
+  /**
+   * Replace matching Model data from database by collection ID, Model ID, replacement data, and
+   * optional object of values by dot-prop key the stored data must match
+   */
+  async replaceById(collectionId, id, newObject, match = null) {
     // Wait for building to finish
     await this._building;
 
     // Construct MQuery cursor from collection ID
     const mQuery = MQuery(this._db.collection(collectionId));
 
-    // Find and update Model instance data by provided ID and replacement object
-    await mQuery.where({ _id : ObjectId(id) }).setOptions({ overwrite : true })
-      .update(newObject).exec();
+    // Find and replace Model instance data by provided ID, matching values and replacement object
+    const replaceRes = await mQuery.where(Object.assign({ _id : ObjectId(id) }, match))
+      .replaceOne(newObject).exec();
+
+    // Return whether matching Model instance data was found
+    return replaceRes.matchedCount > 0;
   }
 
   /**
    * Update matching Model data from database by collection ID, Model ID, replacement data,
-   * and set of updated keys
+   * set of updated keys, array of atomic operations, and optional object of values by dot-prop
+   * key the stored data must match
    */
-  async updateById(collectionId, id, newObject, updates) {
+  async updateById(collectionId, id, newObject, updates, ops = [], match = null) {
     // Wait for building to finish
     await this._building;
 
-    // Filter to only top level key updates
-    const topLevelUpdates = new Set(Array.from(updates).map(update => update.split('.')[0]));
-
     // Create new object for storing only updated keys
     const replaceObject = {};
 
-    // Create new object for storing only unset keys
+    // Create new objects for storing set and unset dot-prop keys
+    const setObject = {};
     const unsetObject = {};
 
-    // Iterate updated keys
-    for (const updatedKey of topLevelUpdates) {
-      if (newObject[updatedKey] != null) {
-        // Set replace object key-val to be from new object
-        replaceObject[updatedKey] = newObject[updatedKey];
+    // Iterate updated dot-prop keys
+    for (const updatedKey of updates) {
+      const updatedVal = DotProp.get(newObject, updatedKey);
+
+      if (updatedVal != null) {
+        // Set field on set object to be value from new object
+        setObject[updatedKey] = updatedVal;
       } else {
         // Set field on unset object to be key from new object
         unsetObject[updatedKey] = 0;
       }
     }
 
-    // Set mongodb-special field for unsetting fields
+    // Set mongodb-special fields for setting and unsetting exact fields
+    if (Object.keys(setObject).length > 0) replaceObject.$set = setObject;
     if (Object.keys(unsetObject).length > 0) replaceObject.$unset = unsetObject;
 
+    // Set mongodb-special fields for atomic operations
+    for (const op of ops) {
+      if (op.type === 'increment') {
+        if (replaceObject.$inc == null) replaceObject.$inc = {};
+        replaceObject.$inc[op.key] = op.amount;
+      } else if (op.type === 'push') {
+        if (replaceObject.$push == null) replaceObject.$push = {};
+        replaceObject.$push[op.key] = { $each : op.values };
+      }
+    }
+
     // Construct MQuery cursor from collection ID
     const mQuery = MQuery(this._db.collection(collectionId));
 
-    // Find and update Model instance data by provided ID and replacement object
-    await mQuery.where({ _id : ObjectId(id) }).update(replaceObject).exec();
+    // Find and update Model instance data by provided ID, matching values and replacement object
+    const updateRes = await mQuery.where(Object.assign({ _id : ObjectId(id) }, match))
+      .updateOne(replaceObject).exec();
+
+    // Return whether matching Model instance data was found, where MQuery skips empty updates
+    return updateRes === 0 || updateRes.matchedCount > 0;
   }
 
   /**
@@ -417,6 +1146,58 @@ class MongoPlug extends DbPlug {
     // Return ID of Model instance data in database
     return id;
   }
+
+  /**
+   * Watch changes to Model data by collection ID and constructed query using a change stream,
+   * which can't filter removals as removed data isn't available, and throws for text searches,
+   * which change streams can't match
+   *
+   * Old values aren't supported, so `oldValue` is always null: they need the change stream
+   * pre-images of MongoDB 6, with `changeStreamPreAndPostImages` enabled on the collection, which
+   * the MongoDB driver this plug uses can't request
+   */
+  async watch(collectionId, query, listener) {
+    // Wait for building to finish
+    await this._building;
+
+    // Get DB collection from collection ID
+    const collection = this._db.collection(collectionId);
+
+    // Construct filter conditions from provided query, matching against changed documents
+    const conditions = prefixFilterKeys(cursorConditions(this._queryToCursor(MQuery(collection), query)), 'fullDocument.');
+
+    // Open change stream of removals and changes where the changed document matches
+    const changeStream = collection.watch([{
+      $match : {
+        $or : [{ operationType : 'delete' }, conditions],
+      },
+    }], { fullDocument : 'updateLookup' });
+
+    changeStream.on('change', (change) => {
+      // Ignore changes that aren't to documents
+      if (changeTypes[change.operationType] == null) return;
+
+      // Get changed document without its internal ID
+      const newValue = change.fullDocument != null ? Object.assign({}, change.fullDocument) : null;
+      if (newValue != null) delete newValue._id;
+
+      // Call listener with normalised change
+      listener(null, {
+        type     : changeTypes[change.operationType],
+        id       : change.documentKey._id.toString(),
+        oldValue : null,
+        newValue,
+      });
+    });
+
+    // Pass change stream errors to listener
+    changeStream.on('error', err => listener(err));
+
+    // Return function that closes the change stream
+    return async () => {
+      await changeStream.close();
+    };
+  }
 }
 
 // Exports
@@ -0,0 +1,1067 @@
+// Require dependencies
+const crypto  = require('crypto');
+const DotProp = require('dot-prop');
+
+// Require local dependencies
+const DbPlug = require('../dbplug');
+const Geo    = require('../geo');
+
+/**
+ * Generate a new random Model ID in the same format as a MongoDB ObjectId
+ */
+function generateId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Quote a string as an SQL string literal
+ */
+function sqlString(str) {
+  return `'${str.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Quote a string as an SQL identifier
+ */
+function quoteIdent(str) {
+  return `"${str.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Convert a dotProp-style key to a PostgreSQL text array path literal
+ */
+function jsonPath(key) {
+  return sqlString(`{${key.split('.').map(keyPart => `"${keyPart.replace(/(["\\])/g, '\\$1')}"`).join(',')}}`);
+}
+
+/**
+ * Add a parameter to a parameter array and return its placeholder
+ */
+function addParam(params, val) {
+  params.push(val);
+  return `$${params.length}`;
+}
+
+/**
+ * Add a value as a JSONB parameter to a parameter array and return its cast placeholder
+ */
+function addJsonParam(params, val) {
+  return `${addParam(params, JSON.stringify(val))}::jsonb`;
+}
+
+/**
+ * Get SQL expressions for the JSONB value and type selected by a dotProp-style key
+ */
+function keyTarget(key, docExpr = 'doc') {
+  // Use the ID column for `_id` of stored documents
+  const value = key === '_id' && docExpr === 'doc' ? 'to_jsonb(id)' : `(${docExpr} #> ${jsonPath(key)})`;
+
+  // Return value and type expressions
+  return {
+    value,
+    type : `jsonb_typeof(${value})`,
+  };
+}
+
+/**
+ * Create an SQL condition matching a regex against a target's string value
+ */
+function regexCondition(target, regex, params) {
+  // Use case-insensitive matching for regexes with the `i` flag
+  const operator = regex.flags.includes('i') ? '~*' : '~';
+
+  // Match regex against strings only
+  return `(${target.type} = 'string' AND (${target.value} #>> '{}') ${operator} ${addParam(params, regex.source)})`;
+}
+
+/**
+ * Create an SQL condition matching a target against a value, treating missing and null as equal
+ */
+function valueCondition(target, val, params) {
+  // Match regex against strings only
+  if (val instanceof RegExp) {
+    return regexCondition(target, val, params);
+  }
+
+  // Match null against missing values as well
+  if (val == null) {
+    return `(${target.value} IS NULL OR ${target.value} = 'null'::jsonb)`;
+  }
+
+  // Match other values by JSONB equality, which compares by type and deeply
+  return `(${target.value} = ${addJsonParam(params, val)})`;
+}
+
+/**
+ * Create an SQL condition comparing a target to a value, failing for incomparable values
+ */
+function compareCondition(target, operator, val, params) {
+  // Compare numbers against numbers only
+  if (typeof val === 'number') {
+    return `(${target.type} = 'number' AND ${target.value} ${operator} ${addJsonParam(params, val)})`;
+  }
+
+  // Compare strings and dates against strings only
+  if (typeof val === 'string' || val instanceof Date) {
+    return `(${target.type} = 'string' AND ${target.value} ${operator} ${addJsonParam(params, val)})`;
+  }
+
+  // Other values are never comparable
+  return 'false';
+}
+
+/**
+ * Negate an SQL condition, treating unknown results as not matching
+ */
+function notCondition(condition) {
+  return `NOT COALESCE(${condition}, false)`;
+}
+
+/**
+ * Join SQL conditions with an operator, returning a default if there are none
+ */
+function joinConditions(conditions, operator, empty) {
+  return conditions.length > 0 ? `(${conditions.join(` ${operator} `)})` : empty;
+}
+
+/**
+ * SQL expressions for the JSONB value and type of array elements selected by
+ * `jsonb_array_elements`
+ */
+const elemTarget = { value : 'elem.value', type : 'jsonb_typeof(elem.value)' };
+
+/**
+ * Check if an array element can be matched by JSONB array containment, which only matches
+ * objects and arrays partially
+ */
+function isContainable(val) {
+  return val == null || typeof val !== 'object' || val instanceof Date;
+}
+
+/**
+ * Create an SQL condition matching a target against an operator condition, such as that of an
+ * `elem` filter
+ */
+function operatorCondition(target, condition, params) {
+  const comparisonOperators = {
+    gt  : '>',
+    gte : '>=',
+    lt  : '<',
+    lte : '<=',
+  };
+
+  if (condition.op === 'eq') return valueCondition(target, condition.value, params);
+  if (condition.op === 'ne') return notCondition(valueCondition(target, condition.value, params));
+
+  if (condition.op === 'in' || condition.op === 'nin') {
+    const matchesAny = joinConditions(condition.value.map((val) => {
+      return valueCondition(target, val, params);
+    }), 'OR', 'false');
+
+    return condition.op === 'in' ? matchesAny : notCondition(matchesAny);
+  }
+
+  // Compare values for the remaining operators
+  return compareCondition(target, comparisonOperators[condition.op], condition.value, params);
+}
+
+/**
+ * Deeply match an object supporting dotprop keys and regex
+ */
+function deepMatch(match, params, docExpr = 'doc') {
+  // Every property of the match object must match
+  return joinConditions(Object.entries(match).map(([filterKey, filterVal]) => {
+    return valueCondition(keyTarget(filterKey, docExpr), filterVal, params);
+  }), 'AND', 'true');
+}
+
+/**
+ * Create an SQL condition matching a target sorted after the value of a sort key in its
+ * direction, where null and missing values sort first and only values of the same type are
+ * compared
+ */
+function afterCondition(target, sort, params) {
+  // Only non-null values sort after null in ascending order
+  if (sort.value == null) {
+    return sort.desc ? 'false' : notCondition(valueCondition(target, null, params));
+  }
+
+  // Compare values, with null values sorting after all others in descending order
+  const comparison = compareCondition(target, sort.desc ? '<' : '>', sort.value, params);
+
+  return sort.desc ? `(${comparison} OR ${valueCondition(target, null, params)})` : comparison;
+}
+
+/**
+ * JSONB types by value type, where dates are stored as strings so never have their own type
+ */
+const jsonTypes = {
+  number  : 'number',
+  string  : 'string',
+  boolean : 'boolean',
+  object  : 'object',
+  array   : 'array',
+  date    : null,
+};
+
+/**
+ * Get SQL expressions for the longitude and latitude of a target's GeoJSON point, and a condition
+ * checking it is one
+ */
+function pointTarget(target) {
+  const coordinateTypes = [0, 1].map(i => `jsonb_typeof(${target.value} #> '{coordinates,${i}}') = 'number'`);
+
+  return {
+    lng     : `(${target.value} #>> '{coordinates,0}')::float8`,
+    lat     : `(${target.value} #>> '{coordinates,1}')::float8`,
+    isPoint : `(jsonb_typeof(${target.value}) = 'object' AND ${target.value} ->> 'type' = 'Point' AND ${coordinateTypes.join(' AND ')} AND ${target.value} #> '{coordinates,2}' IS NULL)`,
+  };
+}
+
+/**
+ * Create an SQL expression of the distance in meters of a target's GeoJSON point from
+ * coordinates, over a spherical earth, or null if it isn't a point
+ */
+function distanceExpr(target, coordinates, params) {
+  const { lng, lat, isPoint } = pointTarget(target);
+
+  const fromLng = `${addParam(params, coordinates[0])}::float8`;
+  const fromLat = `${addParam(params, coordinates[1])}::float8`;
+
+  // Use the haversine formula, as without PostGIS there are no geographic types
+  const h = `power(sin(radians(${lat} - ${fromLat}) / 2), 2) + cos(radians(${fromLat})) * cos(radians(${lat})) * power(sin(radians(${lng} - ${fromLng}) / 2), 2)`;
+
+  return `(CASE WHEN ${isPoint} THEN 2 * ${Geo.earthRadius} * asin(LEAST(1, sqrt(${h}))) END)`;
+}
+
+/**
+ * Create an SQL condition matching a target's GeoJSON point inside a polygon, treating
+ * coordinates as planar and excluding holes
+ */
+function withinCondition(target, polygon) {
+  const { lng, lat, isPoint } = pointTarget(target);
+
+  // Inline coordinates, which are validated numbers, as a ray cast from the point crossing an odd
+  // amount of a ring's edges
+  const float = num => `${num}::float8`;
+  const ringContains = (ring) => {
+    const crossings = Geo.ringEdges(ring).map((edge) => {
+      const crossesLat = `((${float(edge.lat1)} > ${lat}) <> (${float(edge.lat2)} > ${lat}))`;
+      const beforeEdge = `${lng} < ${float(edge.slope)} * (${lat} - ${float(edge.lat1)}) + ${float(edge.lng1)}`;
+
+      return `(CASE WHEN ${crossesLat} AND ${beforeEdge} THEN 1 ELSE 0 END)`;
+    });
+
+    return `(${joinConditions(crossings, '+', '0')} % 2 = 1)`;
+  };
+
+  const [outline, ...holes] = polygon.coordinates;
+  const contains = joinConditions([
+    ringContains(outline),
+    ...holes.map(hole => notCondition(ringContains(hole))),
+  ], 'AND', 'true');
+
+  return `(CASE WHEN ${isPoint} THEN ${contains} ELSE false END)`;
+}
+
+/**
+ * Create SQL conditions matching each word of a search in each of its fields
+ */
+function searchConditions(searchPt, params) {
+  return [].concat(...searchPt.fields.map((field) => {
+    return searchPt.regexes.map(regex => valueCondition(keyTarget(field), regex, params));
+  }));
+}
+
+/**
+ * Create an SQL condition from a single filtering query part, or null if it doesn't filter
+ */
+function ptCondition(queryPt, params) {
+  if (queryPt.type === 'filter') {
+    // Match using deep-match-filter from filter
+    return deepMatch(queryPt.filter, params);
+  }
+
+  if (queryPt.type === 'elem') {
+    const target = keyTarget(queryPt.arrKey);
+    const [condition] = queryPt.conditions;
+
+    // Use array containment for a single plain value, which GIN indexes can serve
+    if (queryPt.conditions.length === 1 && condition.key == null && condition.op === 'eq' && isContainable(condition.value)) {
+      return `(${target.type} = 'array' AND ${target.value} @> jsonb_build_array(${addJsonParam(params, condition.value)}))`;
+    }
+
+    // Match against each element, or each element's properties for objects
+    const elemCondition = joinConditions(queryPt.conditions.map((elemPt) => {
+      if (elemPt.key == null) return operatorCondition(elemTarget, elemPt, params);
+
+      const propTarget = keyTarget(elemPt.key, 'elem.value');
+      return `(jsonb_typeof(elem.value) = 'object' AND ${operatorCondition(propTarget, elemPt, params)})`;
+    }), 'AND', 'true');
+
+    // Only arrays can have matching elements, use `CASE` so only arrays get iterated
+    return `CASE WHEN ${target.type} = 'array' THEN EXISTS (SELECT 1 FROM jsonb_array_elements(${target.value}) AS elem(value) WHERE ${elemCondition}) ELSE false END`;
+  }
+
+  if (queryPt.type === 'size') {
+    const target = keyTarget(queryPt.key);
+
+    // Match if the value is an array of the length, use `CASE` so only arrays get measured
+    return `CASE WHEN ${target.type} = 'array' THEN jsonb_array_length(${target.value}) = ${addParam(params, queryPt.size)} ELSE false END`;
+  }
+
+  if (queryPt.type === 'all') {
+    const target = keyTarget(queryPt.key);
+
+    // Use array containment for plain values, which GIN indexes can serve
+    if (queryPt.vals.every(isContainable)) {
+      return `(${target.type} = 'array' AND ${target.value} @> ${addJsonParam(params, queryPt.vals)})`;
+    }
+
+    // Match if an element matches each of the values
+    const elemConditions = queryPt.vals.map((val) => {
+      return `EXISTS (SELECT 1 FROM jsonb_array_elements(${target.value}) AS elem(value) WHERE ${valueCondition(elemTarget, val, params)})`;
+    });
+
+    // Only arrays can have matching elements, use `CASE` so only arrays get iterated
+    return `CASE WHEN ${target.type} = 'array' THEN ${joinConditions(elemConditions, 'AND', 'true')} ELSE false END`;
+  }
+
+  if (queryPt.type === 'ne') {
+    // Match if value doesn't match
+    return notCondition(valueCondition(keyTarget(queryPt.key), queryPt.val, params));
+  }
+
+  if (queryPt.type === 'nin') {
+    // Match if value matches none of the values
+    return joinConditions(queryPt.vals.map((val) => {
+      return notCondition(valueCondition(keyTarget(queryPt.key), val, params));
+    }), 'AND', 'true');
+  }
+
+  if (queryPt.type === 'in') {
+    // Match if value matches any of the values
+    return joinConditions(queryPt.vals.map((val) => {
+      return valueCondition(keyTarget(queryPt.key), val, params);
+    }), 'OR', 'false');
+  }
+
+  if (['whereOr', 'whereAnd', 'whereNot'].includes(queryPt.type)) {
+    // Match all query parts of each branch
+    const branchConditions = queryPt.branches.map((pts) => {
+      const conditions = pts.map(pt => ptCondition(pt, params));
+      return joinConditions(conditions.filter(condition => condition != null), 'AND', 'true');
+    });
+
+    // Match if any, all or none of the branches match
+    if (queryPt.type === 'whereOr') return joinConditions(branchConditions, 'OR', 'false');
+    if (queryPt.type === 'whereAnd') return joinConditions(branchConditions, 'AND', 'true');
+
+    return notCondition(joinConditions(branchConditions, 'OR', 'false'));
+  }
+
+  if (queryPt.type === 'gt') {
+    return compareCondition(keyTarget(queryPt.key), '>', queryPt.min, params);
+  }
+
+  if (queryPt.type === 'lt') {
+    return compareCondition(keyTarget(queryPt.key), '<', queryPt.max, params);
+  }
+
+  if (queryPt.type === 'gte') {
+    return compareCondition(keyTarget(queryPt.key), '>=', queryPt.min, params);
+  }
+
+  if (queryPt.type === 'lte') {
+    return compareCondition(keyTarget(queryPt.key), '<=', queryPt.max, params);
+  }
+
+  if (queryPt.type === 'search') {
+    // Match if any word matches in any field
+    return joinConditions(searchConditions(queryPt, params), 'OR', 'false');
+  }
+
+  if (queryPt.type === 'exists') {
+    const isNull = valueCondition(keyTarget(queryPt.key), null, params);
+
+    // Match if the value isn't null or missing, or is if not existing
+    return queryPt.exists ? notCondition(isNull) : isNull;
+  }
+
+  if (queryPt.type === 'type') {
+    const target = keyTarget(queryPt.key);
+
+    // Match null types against missing values as well
+    if (queryPt.valueType === 'null') return valueCondition(target, null, params);
+
+    // Match if the JSONB type is the value type's
+    const jsonType = jsonTypes[queryPt.valueType];
+
+    return jsonType != null ? `(${target.type} = ${sqlString(jsonType)})` : 'false';
+  }
+
+  if (queryPt.type === 'near') {
+    const distance = distanceExpr(keyTarget(queryPt.key), queryPt.coordinates, params);
+
+    // Match if the value is a point within the maximum distance, if any
+    if (queryPt.maxDistance == null) return `(${distance} IS NOT NULL)`;
+
+    return `(${distance} <= ${addParam(params, queryPt.maxDistance)}::float8)`;
+  }
+
+  if (queryPt.type === 'within') {
+    // Match if the value is a point inside the polygon
+    return withinCondition(keyTarget(queryPt.key), queryPt.polygon);
+  }
+
+  if (queryPt.type === 'after') {
+    // Match if sorted after any sort key's value, with the values of all previous keys equal
+    return joinConditions(queryPt.sorts.map((sort, i) => {
+      const previousEqual = queryPt.sorts.slice(0, i).map((prevSort) => {
+        return valueCondition(keyTarget(prevSort.key), prevSort.value, params);
+      });
+
+      const sortAfter = afterCondition(keyTarget(sort.key), sort, params);
+
+      return joinConditions([...previousEqual, sortAfter], 'AND', 'true');
+    }), 'OR', 'false');
+  }
+
+  // Query part does not filter
+  return null;
+}
+
+/**
+ * Create an SQL expression ranking JSONB types in the same order MongoDB sorts them
+ */
+function typeRank(target) {
+  return `CASE COALESCE(${target.type}, 'null') WHEN 'null' THEN 0 WHEN 'number' THEN 1 WHEN 'string' THEN 2 WHEN 'object' THEN 3 WHEN 'array' THEN 4 ELSE 5 END`;
+}
+
+/**
+ * Create an SQL expression aggregating matching documents by an aggregate
+ */
+function aggregateExpr(aggregate) {
+  if (aggregate.type === 'count') return 'COUNT(*)::int';
+
+  const target = keyTarget(aggregate.key);
+
+  // Sum and average numeric values only
+  const numberExpr = `CASE WHEN ${target.type} = 'number' THEN (${target.value} #>> '{}')::numeric END`;
+
+  if (aggregate.type === 'sum') return `COALESCE(SUM(${numberExpr}), 0)::float8`;
+  if (aggregate.type === 'avg') return `AVG(${numberExpr})::float8`;
+
+  // Find least or greatest of numbers and strings only, with numbers ordered first as in sorting
+  const stringExpr = `CASE WHEN ${target.type} = 'string' THEN (${target.value} #>> '{}') COLLATE "C" END`;
+
+  if (aggregate.type === 'min') {
+    return `COALESCE(to_jsonb(MIN(${numberExpr})), to_jsonb(MIN(${stringExpr})))`;
+  }
+
+  return `COALESCE(to_jsonb(MAX(${stringExpr})), to_jsonb(MAX(${numberExpr})))`;
+}
+
+/**
+ * Create an SQL expression setting a JSONB value expression by dotProp-style key in a JSONB
+ * expression, creating missing parent objects as MongoDB does, where the value expression can
+ * use the document being changed as `changing.doc`
+ */
+function setPathExpr(docExpr, key, valueExpr) {
+  // Use a subquery so the document expression is only included once
+  const keyParts = key.split('.');
+  let expr = 'changing.doc';
+
+  // Replace every parent that isn't an object with an empty object
+  for (let i = 1; i < keyParts.length; i += 1) {
+    const parentPath = jsonPath(keyParts.slice(0, i).join('.'));
+    const parentExpr = `(changing.doc #> ${parentPath})`;
+
+    expr = `jsonb_set(${expr}, ${parentPath}, CASE WHEN jsonb_typeof(${parentExpr}) = 'object' THEN ${parentExpr} ELSE '{}'::jsonb END)`;
+  }
+
+  // Set key-val to be the value
+  expr = `jsonb_set(${expr}, ${jsonPath(key)}, ${valueExpr})`;
+
+  return `(SELECT ${expr} FROM (SELECT ${docExpr} AS doc) AS changing)`;
+}
+
+/**
+ * Create an SQL expression applying a change by dotProp-style key to a JSONB expression,
+ * removing the key for null values
+ */
+function changeExpr(docExpr, changedKey, changedVal, params) {
+  // Remove the key if the changed value is null
+  if (changedVal == null) return `(${docExpr} #- ${jsonPath(changedKey)})`;
+
+  // Set key-val to be the changed value
+  return setPathExpr(docExpr, changedKey, addJsonParam(params, changedVal));
+}
+
+/**
+ * Create an SQL expression applying an atomic operation to a JSONB expression
+ */
+function opExpr(docExpr, op, params) {
+  const storedExpr = `(changing.doc #> ${jsonPath(op.key)})`;
+
+  // Add amount to stored number, treating missing and other values as 0
+  if (op.type === 'increment') {
+    return setPathExpr(docExpr, op.key, `to_jsonb(CASE WHEN jsonb_typeof(${storedExpr}) = 'number' THEN (${storedExpr} #>> '{}')::numeric ELSE 0 END + ${addParam(params, op.amount)}::numeric)`);
+  }
+
+  // Append values to stored array, treating missing and other values as empty
+  return setPathExpr(docExpr, op.key, `(CASE WHEN jsonb_typeof(${storedExpr}) = 'array' THEN ${storedExpr} ELSE '[]'::jsonb END || ${addJsonParam(params, op.values)})`);
+}
+
+/**
+ * Create an SQL expression of the JSONB documents of a table with only the included or without
+ * the excluded fields of a selection
+ */
+function selectExpr(table, selection) {
+  const docExpr = `${table}.doc`;
+
+  // Select whole document without a selection
+  if (selection == null) return docExpr;
+
+  // Remove excluded fields
+  if (selection.exclude) {
+    return selection.fields.reduce((selectedExpr, field) => `(${selectedExpr} #- ${jsonPath(field)})`, docExpr);
+  }
+
+  // Set each existing included field in an empty object, creating its parent objects
+  return selection.fields.reduce((selectedExpr, field) => {
+    const setExpr = setPathExpr('selecting.doc', field, `(${docExpr} #> ${jsonPath(field)})`);
+
+    return `(SELECT COALESCE(${setExpr}, selecting.doc) FROM (SELECT ${selectedExpr} AS doc) AS selecting)`;
+  }, "'{}'::jsonb");
+}
+
+/**
+ * PostgreSQL database plug class, storing Model data as JSONB documents
+ *
+ * Dates are stored as ISO strings, as JSON has no dates, so they are found as strings. They still
+ * filter and sort in date order against dates
+ */
+class PostgresPlug extends DbPlug {
+  /**
+   * Construct PostgreSQL database plug class
+   */
+  constructor(config) {
+    super();
+
+    // Store map of promises that resolve when table is ready
+    this._preparedTables = new Map();
+
+    // Store config
+    this._config = config;
+
+    // Require PostgreSQL client only once constructed, as it's an optional dependency
+    this._Pool = module.require('pg').Pool;
+
+    // Bind builder to self
+    this._build = this._build.bind(this);
+
+    // Bind raw methods to self
+    this.getRawCursor = this.getRawCursor.bind(this);
+    this.getRawTable = this.getRawTable.bind(this);
+    this.getRawDb = this.getRawDb.bind(this);
+
+    // Bind internal methods to self
+    this._queryToCursor = this._queryToCursor.bind(this);
+    this._getTable = this._getTable.bind(this);
+    this._fetchRows = this._fetchRows.bind(this);
+    this._handleRawModel = this._handleRawModel.bind(this);
+
+    // Bind public methods to self
+    this.findById = this.findById.bind(this);
+    this.find = this.find.bind(this);
+    this.batches = this.batches.bind(this);
+    this.findOne = this.findOne.bind(this);
+    this.count = this.count.bind(this);
+    this.aggregate = this.aggregate.bind(this);
+    this.distinct = this.distinct.bind(this);
+    this.sum = this.sum.bind(this);
+    this.removeById = this.removeById.bind(this);
+    this.remove = this.remove.bind(this);
+    this.update = this.update.bind(this);
+    this.replaceById = this.replaceById.bind(this);
+    this.updateById = this.updateById.bind(this);
+    this.insert = this.insert.bind(this);
+
+    // Start building internal connections and store promise
+    this._building = this._build();
+  }
+
+  /**
+   * Async method that resolves on internal API build completion
+   */
+  async _build() {
+    // Create connection pool from config
+    this._pool = new this._Pool(this._config);
+  }
+
+  /**
+   * Prepare database for new collection of provided collection ID
+   */
+  async initCollection(collectionId) {
+    // Create table if it doesn't already exist
+    await this._getTable(collectionId);
+  }
+
+  /**
+   * Create a GIN index for keys indexed as `gin`, or an expression index otherwise
+   */
+  async createIndex(collectionId, name, indexes) {
+    // Get table by provided collection ID
+    const table = await this._getTable(collectionId);
+
+    // Use a GIN index if any key is indexed as `gin`
+    const isGin = Object.values(indexes).includes('gin');
+
+    // Create indexed expression for each key, using the same expressions as queries
+    const indexExprs = Object.entries(indexes).map(([indexKey, direction]) => {
+      const { value } = keyTarget(indexKey);
+
+      if (isGin) return value;
+
+      return `${value} ${direction < 0 ? 'DESC' : 'ASC'}`;
+    });
+
+    // Create index if it doesn't already exist
+    await this._pool.query(`CREATE INDEX IF NOT EXISTS ${quoteIdent(`${collectionId}_${name}`)} ON ${table} ${isGin ? 'USING GIN ' : ''}(${indexExprs.join(', ')})`);
+  }
+
+  /**
+  * Return a copy of a raw cursor by provided collectionId
+  */
+  async getRawCursor(collectionId) {
+    return `SELECT id, doc FROM ${await this._getTable(collectionId)}`;
+  }
+
+  /**
+  * Return a copy of a raw table by provided collectionId
+  */
+  async getRawTable(collectionId) {
+    return await this._getTable(collectionId);
+  }
+
+  /**
+  * Return a copy of the raw internal database
+  */
+  async getRawDb() {
+    await this._building;
+    return this._pool;
+  }
+
+  /**
+   * Get a quoted table name by provided collection ID, ensuring table exists
+   */
+  async _getTable(collectionId) {
+    await this._building;
+
+    const table = quoteIdent(collectionId);
+
+    // Create table if it hasn't already been created, storing promise that resolves when created
+    if (!this._preparedTables.has(collectionId)) {
+      this._preparedTables.set(collectionId, this._pool.query(`CREATE TABLE IF NOT EXISTS ${table} (id text PRIMARY KEY, doc jsonb NOT NULL)`));
+    }
+
+    // Await table creation
+    await this._preparedTables.get(collectionId);
+
+    // Return quoted table name
+    return table;
+  }
+
+  /**
+   * Fetch rows by provided SQL and parameters
+   */
+  async _fetchRows(sql, params = []) {
+    return (await this._pool.query(sql, params)).rows;
+  }
+
+  /**
+   * Convert a standard constructed query to an SQL select of IDs and documents, with parameters,
+   * only selecting fields of an optional selection
+   */
+  async _queryToCursor(collectionId, query, selection = null) {
+    const table = await this._getTable(collectionId);
+
+    // Parameters bound to the generated SQL, in order
+    const params = [];
+
+    // Conditions and ordering created from query parts
+    const conditions = [];
+    const orders = [];
+
+    // Skip and limit amounts, where the last query part of each type applies
+    let skipAmount = 0;
+    let limitAmount = null;
+
+    // Iterate all query parts to build a query
+    for (const queryPt of query.pts) {
+      if (queryPt.type === 'limit') {
+        ({ limitAmount } = queryPt);
+      } else if (queryPt.type === 'skip') {
+        ({ skipAmount } = queryPt);
+      } else if (queryPt.type === 'sort') {
+        const target = keyTarget(queryPt.sortKey);
+        const direction = queryPt.desc ? 'DESC' : 'ASC';
+
+        // Order by type first so differently typed values sort as they do in MongoDB, with null
+        // and missing values sorting equally
+        orders.push(`${typeRank(target)} ${direction}`, `NULLIF(${target.value}, 'null'::jsonb) ${direction}`);
+      } else if (queryPt.type === 'relevance') {
+        const searchPt = query.pts.find(pt => pt.type === 'search');
+
+        // Order by the amount of words matched in each field, most relevant first
+        const matchedExprs = searchConditions(searchPt, params).map(condition => `(CASE WHEN ${condition} THEN 1 ELSE 0 END)`);
+
+        orders.push(`${joinConditions(matchedExprs, '+', '0')} DESC`);
+      } else {
+        // Create condition from filtering query part
+        const condition = ptCondition(queryPt, params);
+
+        if (condition != null) conditions.push(condition);
+      }
+    }
+
+    // Order nearest first after other sorts if near a point
+    const nearPt = query.pts.find(queryPt => queryPt.type === 'near');
+
+    if (nearPt != null) {
+      orders.push(`${distanceExpr(keyTarget(nearPt.key), nearPt.coordinates, params)} ASC`);
+    }
+
+    // Return fully constructed select and its parameters
+    return {
+      sql : [
+        `SELECT id, ${selectExpr(table, selection)} AS doc FROM ${table}`,
+        `WHERE ${joinConditions(conditions, 'AND', 'true')}`,
+        orders.length > 0 ? `ORDER BY ${orders.join(', ')}` : '',
+        `LIMIT ${addParam(params, limitAmount)} OFFSET ${addParam(params, skipAmount)}`,
+      ].join(' '),
+      params,
+    };
+  }
+
+  /**
+   * Parse DB-stored data into safe Model instance data components
+   */
+  _handleRawModel(row) {
+    // If no Model instance data found, return null
+    if (row == null) {
+      return null;
+    }
+
+    // Return correctly structured fetched Model instance data
+    return {
+      id     : row.id,
+      object : row.doc,
+    };
+  }
+
+  /**
+   * Find Model data by collection ID and Model ID
+   */
+  async findById(collectionId, id, selection = null) {
+    const table = await this._getTable(collectionId);
+
+    // Get doc by ID, only selecting fields of provided selection
+    const rows = await this._fetchRows(`SELECT id, ${selectExpr(table, selection)} AS doc FROM ${table} WHERE id = $1`, [id]);
+
+    // Parse raw model data to model data and return
+    return this._handleRawModel(rows[0]);
+  }
+
+  /**
+   * Find Model data by collection ID and constructed query
+   */
+  async find(collectionId, query) {
+    // Construct select of selected fields from provided query
+    const { sql, params } = await this._queryToCursor(collectionId, query, query.selection);
+
+    // Fetch, map, and return found Model instance data
+    return (await this._fetchRows(sql, params)).map(row => this._handleRawModel(row));
+  }
+
+  /**
+   * Find Model data by collection ID and constructed query in batches of provided size
+   */
+  async* batches(collectionId, query, size) {
+    // Construct select of selected fields from provided query
+    const { sql, params } = await this._queryToCursor(collectionId, query, query.selection);
+
+    // Acquire a client of its own from the pool, as cursors only exist within a transaction
+    const client = await this._pool.connect();
+    let finished = false;
+
+    try {
+      await client.query('BEGIN');
+      await client.query(`DECLARE found NO SCROLL CURSOR FOR ${sql}`, params);
+
+      // Fetch, parse, and yield batches until there are none left
+      for (;;) {
+        const { rows } = await client.query(`FETCH ${Number(size)} FROM found`);
+
+        if (rows.length === 0) break;
+        yield rows.map(row => this._handleRawModel(row));
+      }
+
+      await client.query('COMMIT');
+      finished = true;
+    } finally {
+      // End transaction, closing the cursor, if stopped early or failed
+      if (!finished) await client.query('ROLLBACK');
+
+      client.release();
+    }
+  }
+
+  /**
+   * Find single Model data by collection ID and constructed query
+   */
+  async findOne(collectionId, query) {
+    // Construct select of selected fields from provided query
+    const { sql, params } = await this._queryToCursor(collectionId, query, query.selection);
+
+    // Fetch first row, parse raw model data to model data and return
+    return this._handleRawModel((await this._fetchRows(sql, params))[0]);
+  }
+
+  /**
+   * Get count of Model data by collection ID and constructed query
+   */
+  async count(collectionId, query) {
+    // Construct select from provided query
+    const { sql, params } = await this._queryToCursor(collectionId, query);
+
+    // Fetch count of matching Model instance data
+    return (await this._fetchRows(`SELECT COUNT(*)::int AS count FROM (${sql}) AS matched`, params))[0].count;
+  }
+
+  /**
+   * Get sum of data by provided key of all matching Model data
+   * by collection ID and constructed query
+   */
+  async sum(collectionId, query, key) {
+    // Construct select from provided query
+    const { sql, params } = await this._queryToCursor(collectionId, query);
+
+    // Sum only numeric values of matching Model instance data
+    const target = keyTarget(key);
+    const sumSql = `SELECT COALESCE(SUM(CASE WHEN ${target.type} = 'number' THEN (${target.value} #>> '{}')::numeric END), 0) AS total FROM (${sql}) AS matched`;
+
+    // Fetch sum of matching Model instance data's matching fields, converting from numeric
+    return Number((await this._fetchRows(sumSql, params))[0].total);
+  }
+
+  /**
+   * Aggregate matching Model data by collection ID, constructed query, dot-prop keys to group by,
+   * and aggregates by name
+   */
+  async aggregate(collectionId, query, groupKeys, aggregates) {
+    // Construct select from provided query
+    const { sql, params } = await this._queryToCursor(collectionId, query);
+
+    // Select the value of each group key, treating missing and null values as equal
+    const groupExprs = groupKeys.map((groupKey, i) => {
+      return `COALESCE(${keyTarget(groupKey).value}, 'null'::jsonb) AS g${i}`;
+    });
+
+    // Select aggregated values
+    const aggregateEntries = Object.entries(aggregates);
+    const aggregateExprs = aggregateEntries.map(([, aggregate], i) => {
+      return `${aggregateExpr(aggregate)} AS a${i}`;
+    });
+
+    // Group by group key values, sorted by type first as when sorting
+    const groupSql = [
+      `SELECT ${groupExprs.concat(aggregateExprs).join(', ')} FROM (${sql}) AS matched`,
+      groupKeys.length > 0 ? `GROUP BY ${groupKeys.map((groupKey, i) => i + 1).join(', ')}` : '',
+    ].join(' ');
+
+    const orders = groupKeys.map((groupKey, i) => {
+      return `${typeRank({ value : `g${i}`, type : `jsonb_typeof(g${i})` })}, g${i}`;
+    });
+
+    const rows = await this._fetchRows([
+      `SELECT * FROM (${groupSql}) AS grouped`,
+      orders.length > 0 ? `ORDER BY ${orders.join(', ')}` : '',
+    ].join(' '), params);
+
+    // Create group values and aggregated values by name
+    return rows.map((row) => {
+      const values = {};
+
+      aggregateEntries.forEach(([name], i) => {
+        values[name] = row[`a${i}`];
+      });
+
+      return { group : groupKeys.map((groupKey, i) => row[`g${i}`]), values };
+    });
+  }
+
+  /**
+   * Get the unique values by dot-prop key of all matching Model data by collection ID and
+   * constructed query
+   */
+  async distinct(collectionId, query, key) {
+    // Construct select from provided query
+    const { sql, params } = await this._queryToCursor(collectionId, query);
+    const target = keyTarget(key);
+
+    // Select each element of array values, and other values as single elements
+    const elemsExpr = `jsonb_array_elements(CASE WHEN ${target.type} = 'array' THEN ${target.value} ELSE jsonb_build_array(${target.value}) END)`;
+
+    // Select unique values, ignoring null and missing values
+    const rows = await this._fetchRows([
+      `SELECT DISTINCT value FROM (SELECT ${elemsExpr} AS value FROM (${sql}) AS matched) AS elems`,
+      "WHERE value <> 'null'::jsonb",
+    ].join(' '), params);
+
+    return rows.map(row => row.value);
+  }
+
+  /**
+   * Get the SQL and parameters finding Model data by collection ID and constructed query
+   */
+  async toNative(collectionId, query) {
+    return await this._queryToCursor(collectionId, query, query.selection);
+  }
+
+  /**
+   * Explain finding Model data by collection ID and constructed query, with PostgreSQL's JSON
+   * query plan as the plan
+   */
+  async explain(collectionId, query) {
+    // Construct select from provided query, and let PostgreSQL plan it without running it
+    const native = await this._queryToCursor(collectionId, query, query.selection);
+    const rows = await this._fetchRows(`EXPLAIN (FORMAT JSON) ${native.sql}`, native.params);
+
+    return { native, plan : rows[0]['QUERY PLAN'] };
+  }
+
+  /**
+   * Remove matching Model data from database by collection ID and Model ID
+   */
+  async removeById(collectionId, id) {
+    const table = await this._getTable(collectionId);
+
+    // Remove single Model instance data by provided ID
+    await this._pool.query(`DELETE FROM ${table} WHERE id = $1`, [id]);
+  }
+
+  /**
+   * Remove matching Model data from database by collection ID and constructed query
+   */
+  async remove(collectionId, query) {
+    const table = await this._getTable(collectionId);
+
+    // Construct select from provided query
+    const { sql, params } = await this._queryToCursor(collectionId, query);
+
+    // Remove matching Model instance data by provided query
+    await this._pool.query(`DELETE FROM ${table} WHERE id IN (SELECT id FROM (${sql}) AS matched)`, params);
+  }
+
+  /**
+   * Update all matching Model data by collection ID, constructed query, and object of changes by
+   * dot-prop key, where null values unset keys, resolving the amount of Model data modified
+   */
+  async update(collectionId, query, changes) {
+    const table = await this._getTable(collectionId);
+
+    // Construct select from provided query
+    const { sql, params } = await this._queryToCursor(collectionId, query);
+
+    // Build JSONB modification of stored documents, applying each change in turn
+    let docExpr = 'doc';
+
+    for (const [changedKey, changedVal] of Object.entries(changes)) {
+      docExpr = changeExpr(docExpr, changedKey, changedVal, params);
+    }
+
+    // Update matching documents the changes modify, so only those are counted
+    const { rowCount } = await this._pool.query([
+      `UPDATE ${table} SET doc = ${docExpr}`,
+      `WHERE id IN (SELECT id FROM (${sql}) AS matched) AND ${docExpr} IS DISTINCT FROM doc`,
+    ].join(' '), params);
+
+    return rowCount;
+  }
+
+  /**
+   * Replace matching Model data from database by collection ID, Model ID, replacement data, and
+   * optional object of values by dot-prop key the stored data must match
+   */
+  async replaceById(collectionId, id, newObject, match = null) {
+    const table = await this._getTable(collectionId);
+
+    // Remove ID from the replacement object
+    const replaceObject = Object.assign({}, newObject);
+    delete replaceObject._id;
+
+    // Create condition from values stored document must match
+    const params = [JSON.stringify(replaceObject), id];
+    const matchCondition = match != null ? deepMatch(match, params) : 'true';
+
+    // Replace stored document by provided ID if it matches, returning whether it was found
+    const { rowCount } = await this._pool.query(`UPDATE ${table} SET doc = $1::jsonb WHERE id = $2 AND ${matchCondition}`, params);
+    return rowCount > 0;
+  }
+
+  /**
+   * Update matching Model data from database by collection ID, Model ID, replacement data,
+   * set of updated keys, array of atomic operations, and optional object of values by dot-prop
+   * key the stored data must match
+   */
+  async updateById(collectionId, id, newObject, updates, ops = [], match = null) {
+    const table = await this._getTable(collectionId);
+
+    // Build JSONB modification of the stored document
+    const params = [];
+    let docExpr = 'doc';
+
+    // Set or remove each updated dot-prop key in turn
+    for (const updatedKey of updates) {
+      docExpr = changeExpr(docExpr, updatedKey, DotProp.get(newObject, updatedKey), params);
+    }
+
+    // Apply atomic operations in turn
+    for (const op of ops) {
+      docExpr = opExpr(docExpr, op, params);
+    }
+
+    // Create condition from values stored document must match
+    const idParam = addParam(params, id);
+    const matchCondition = match != null ? deepMatch(match, params) : 'true';
+
+    // Update stored document by provided ID if it matches, returning whether it was found
+    const { rowCount } = await this._pool.query(`UPDATE ${table} SET doc = ${docExpr} WHERE id = ${idParam} AND ${matchCondition}`, params);
+    return rowCount > 0;
+  }
+
+  /**
+   * Insert Model data into database by collection ID and return Model ID
+   */
+  async insert(collectionId, object) {
+    const table = await this._getTable(collectionId);
+
+    // Use provided _id if present, otherwise generate a new ID
+    const id = object._id != null ? object._id.toString() : generateId();
+
+    // Remove ID from the inserted object
+    const insertObject = Object.assign({}, object);
+    delete insertObject._id;
+
+    // Insert provided object data into table
+    await this._pool.query(`INSERT INTO ${table} (id, doc) VALUES ($1, $2::jsonb)`, [id, JSON.stringify(insertObject)]);
+
+    // Return ID of Model instance data in database
+    return id;
+  }
+}
+
+// Exports
+module.exports = PostgresPlug;
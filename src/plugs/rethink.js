@@ -1,6 +1,7 @@
 
 
 // Require dependencies
+const DotProp = require('dot-prop');
 const R       = require('rethinkdb');
 const RPool   = require('rethinkdb-pool');
 // const RE2     = require ('re2');
@@ -8,6 +9,15 @@ const RPool   = require('rethinkdb-pool');
 // Require local dependencies
 const DbPlug = require('../dbplug');
 
+/**
+ * Normalised change types by RethinkDB changefeed types
+ */
+const changeTypes = {
+  add    : 'insert',
+  change : 'update',
+  remove : 'remove',
+};
+
 /**
  * Convert a RegExp object to a RethinkDB-compatible Regex string
  */
@@ -49,6 +59,40 @@ function swapKeys(key1, key2, obj) {
   return swappedObj;
 }
 
+/**
+ * Convert changes by dotProp-style key to a nested RethinkDB update object
+ */
+function changesToUpdate(changes) {
+  const updateObject = {};
+
+  // Iterate changed keys
+  for (const [changedKey, changedVal] of Object.entries(changes)) {
+    const keyParts = changedKey.split('.');
+
+    // Swap `_id` and `id` of the first key part
+    if (keyParts[0] === 'id') {
+      keyParts[0] = '_id';
+    } else if (keyParts[0] === '_id') {
+      keyParts[0] = 'id';
+    }
+
+    // Create nested objects for parent key parts, which RethinkDB merges
+    let parentObject = updateObject;
+
+    for (const keyPart of keyParts.slice(0, -1)) {
+      if (parentObject[keyPart] == null) parentObject[keyPart] = {};
+      parentObject = parentObject[keyPart];
+    }
+
+    // Set literal so changed objects aren't merged, or remove the key if the changed value is null
+    const changedKeyPart = keyParts[keyParts.length - 1];
+    parentObject[changedKeyPart] = changedVal != null ? R.literal(changedVal) : R.literal();
+  }
+
+  // Return the fully constructed update object
+  return updateObject;
+}
+
 /**
  * Use a dotProp-style key to find a nested property in a Rethinkdb object cursor
  */
@@ -79,6 +123,221 @@ function dotPropRethinkKey(key, initialCursor = null) {
   return objectCursor;
 }
 
+/**
+ * Use a dotProp-style key to find a nested property in a RethinkDB object cursor, or null if it
+ * is missing or a parent isn't an object, as null and missing values are equal
+ */
+function nullableRethinkKey(key, initialCursor = null) {
+  const keyParts = key.split('.');
+  let objectCursor = initialCursor != null ? initialCursor : R.row;
+
+  // Swap `_id` and `id` of the first part
+  if (keyParts[0] === 'id') {
+    keyParts[0] = '_id';
+  } else if (keyParts[0] === '_id') {
+    keyParts[0] = 'id';
+  }
+
+  // Descend into objects by each part of the key
+  for (const keyPart of keyParts) {
+    const isObject = objectCursor.typeOf().eq('OBJECT');
+    objectCursor = R.branch(isObject, objectCursor(keyPart).default(null), null);
+  }
+
+  return objectCursor;
+}
+
+/**
+ * RethinkDB types by value type
+ */
+const rethinkTypes = {
+  null    : 'NULL',
+  number  : 'NUMBER',
+  string  : 'STRING',
+  boolean : 'BOOL',
+  object  : 'OBJECT',
+  array   : 'ARRAY',
+  date    : 'PTYPE<TIME>',
+};
+
+/**
+ * Create a condition matching values by dotProp-style key, where null matches missing values
+ */
+function matchValues(match) {
+  return R.and(...Object.entries(match).map(([matchKey, matchVal]) => {
+    return dotPropRethinkKey(matchKey).default(null).eq(matchVal);
+  }));
+}
+
+/**
+ * Only select the included or all but the excluded fields of a selection from a RethinkDB
+ * sequence, always selecting the ID
+ */
+function selectFields(cursor, selection) {
+  // Select all fields without a selection
+  if (selection == null || selection.fields.length === 0) return cursor;
+
+  // Convert selected dotProp-style keys to a nested object selecting them
+  const selectObject = {};
+
+  for (const field of selection.fields) {
+    const keyParts = field.split('.');
+
+    // Swap `_id` and `id` of the first key part
+    if (keyParts[0] === 'id') keyParts[0] = '_id';
+
+    DotProp.set(selectObject, keyParts.join('.'), true);
+  }
+
+  // Pluck included fields or remove excluded fields
+  return selection.exclude ? cursor.without(selectObject) : cursor.pluck('id', selectObject);
+}
+
+/**
+ * Create a condition matching data sorted after the values of sort keys, where null and missing
+ * values sort first and only values of the same type are compared
+ */
+function afterValues(sorts) {
+  return R.or(...sorts.map((sort, i) => {
+    const sortVal = dotPropRethinkKey(sort.key).default(null);
+
+    // Match if the values of all previous keys are equal
+    const previousEqual = sorts.slice(0, i).map((prevSort) => {
+      return dotPropRethinkKey(prevSort.key).default(null).eq(prevSort.value);
+    });
+
+    // Only non-null values sort after null in ascending order
+    if (sort.value == null) {
+      return R.and(...previousEqual, sort.desc ? R.expr(false) : sortVal.ne(null));
+    }
+
+    // Compare values of the same type, with null values sorting after all others in descending
+    // order
+    const sameType = sortVal.typeOf().eq(R.expr(sort.value).typeOf());
+    const after = sort.desc
+      ? R.or(R.and(sameType, sortVal.lt(sort.value)), sortVal.eq(null))
+      : R.and(sameType, sortVal.gt(sort.value));
+
+    return R.and(...previousEqual, after);
+  }));
+}
+
+/**
+ * Get the GeoJSON point by dotProp-style key as a RethinkDB geometry, or null if it isn't a point
+ */
+function pointGeometry(key) {
+  const value = dotPropRethinkKey(key).default(null);
+  const isPoint = R.and(value.typeOf().eq('OBJECT'), value('type').default(null).eq('Point'));
+
+  return R.branch(isPoint, R.geojson(value), null);
+}
+
+/**
+ * Create conditions matching each word of a search in each of its fields, strings only
+ */
+function searchMatches(searchPt) {
+  return [].concat(...searchPt.fields.map((field) => {
+    const value = dotPropRethinkKey(field).default(null);
+
+    return searchPt.regexes.map((regex) => {
+      const matched = value.match(regexToGoodString(regex)).ne(null);
+      return R.branch(value.typeOf().eq('STRING'), matched, false);
+    });
+  }));
+}
+
+/**
+ * Get the distance of the point by key of a near query part from its coordinates, or null if it
+ * isn't a point
+ */
+function nearDistance(nearPt) {
+  const point = pointGeometry(nearPt.key);
+  return R.branch(point.eq(null), null, R.distance(point, R.point(...nearPt.coordinates)));
+}
+
+/**
+ * Create the RethinkDB order of a sort, relevance or near query part of a query
+ */
+function ptOrder(queryPt, query) {
+  if (queryPt.type === 'sort') {
+    const sortKey = dotPropRethinkKey(queryPt.sortKey);
+    return queryPt.desc ? R.desc(sortKey) : R.asc(sortKey);
+  }
+
+  if (queryPt.type === 'relevance') {
+    // Order by the amount of words matched in each field, most relevant first
+    const score = searchMatches(query.pts.find(pt => pt.type === 'search')).reduce((total, matched) => {
+      return total.add(R.branch(matched, 1, 0));
+    }, R.expr(0));
+
+    return R.desc(score);
+  }
+
+  // Order nearest first
+  return R.asc(nearDistance(queryPt));
+}
+
+/**
+ * Types of values that can be compared, by comparisons and min and max aggregates
+ */
+const comparableTypes = ['NUMBER', 'STRING', 'PTYPE<TIME>'];
+
+/**
+ * Create a condition matching a value against a filter value, matching regex with `match`
+ * against strings only and others with `eq`
+ */
+function valueMatch(value, filterVal) {
+  if (filterVal instanceof RegExp) {
+    // Create rethinkdb-friendly regex string and match strings only
+    const regexString = regexToGoodString(filterVal).toString();
+    return R.branch(value.typeOf().eq('STRING'), value.match(regexString).ne(null), false);
+  }
+
+  return value.eq(filterVal);
+}
+
+/**
+ * Create a condition matching a value against an operator condition, such as that of an `elem`
+ * filter, where only values of the same type are compared
+ */
+function operatorMatch(value, condition) {
+  if (condition.op === 'eq') return valueMatch(value, condition.value);
+  if (condition.op === 'ne') return R.not(valueMatch(value, condition.value));
+
+  if (condition.op === 'in' || condition.op === 'nin') {
+    const matchesAny = R.or(false, ...condition.value.map(val => valueMatch(value, val)));
+    return condition.op === 'in' ? matchesAny : R.not(matchesAny);
+  }
+
+  // Compare numbers, strings and dates of the same type for the remaining operators
+  const valueType = R.expr(condition.value).typeOf();
+  const comparable = R.and(
+    value.typeOf().eq(valueType),
+    R.expr(comparableTypes).contains(valueType),
+  );
+  const operators = {
+    gt  : 'gt',
+    gte : 'ge',
+    lt  : 'lt',
+    lte : 'le',
+  };
+
+  return R.branch(comparable, value[operators[condition.op]](condition.value), false);
+}
+
+/**
+ * Create a condition matching an array element against all conditions of an `elem` filter,
+ * where conditions by key only match element objects
+ */
+function elemMatch(elem, conditions) {
+  return R.and(true, ...conditions.map((condition) => {
+    if (condition.key == null) return operatorMatch(elem, condition);
+
+    const propMatch = operatorMatch(nullableRethinkKey(condition.key, elem), condition);
+    return R.branch(elem.typeOf().eq('OBJECT'), propMatch, false);
+  }));
+}
+
 /**
  * Deeply match an object supporting dotprop keys and regex
  */
@@ -91,15 +350,11 @@ function deepMatch(match, initialCursor = null) {
     // Variable for storing single constructed part of match
     let filterPartMatch = null;
 
-    // Handle regex with `match` and others with `eq`
-    if (filterVal instanceof RegExp) {
-      // Create rethinkdb-friendly regex string and apply to new match part
-      const regexString = regexToGoodString(filterVal).toString();
-      filterPartMatch = dotPropRethinkKey(filterKey, initialCursor).match(regexString);
-    } else {
-      // Apply eq to new match part
-      filterPartMatch = dotPropRethinkKey(filterKey, initialCursor).default(null).eq(filterVal);
-    }
+    // Get value by key, where null matches missing values
+    const value = nullableRethinkKey(filterKey, initialCursor);
+
+    // Match regex against strings only and others by equality
+    filterPartMatch = valueMatch(value, filterVal);
 
     // If existing filter data, append this as clause, otherwise set this as filter data
     filterPart = (filterPart != null ? filterPartMatch.and(filterPart) : filterPartMatch);
@@ -109,6 +364,145 @@ function deepMatch(match, initialCursor = null) {
   return filterPart != null ? filterPart : {};
 }
 
+/**
+ * Create a condition matching a single filtering query part, or null if it doesn't filter with a
+ * condition
+ */
+function ptMatch(queryPt) {
+  if (queryPt.type === 'filter') {
+    // Match using deep-match-filter from filter
+    return deepMatch(queryPt.filter);
+  }
+
+  if (queryPt.type === 'elem') {
+    const arr = nullableRethinkKey(queryPt.arrKey);
+
+    // Match arrays with an element matching all conditions
+    const hasElem = arr.contains(elem => elemMatch(elem, queryPt.conditions));
+    return R.branch(arr.typeOf().eq('ARRAY'), hasElem, false);
+  }
+
+  if (queryPt.type === 'size') {
+    const arr = nullableRethinkKey(queryPt.key);
+
+    // Match arrays of the length
+    return R.branch(arr.typeOf().eq('ARRAY'), arr.count().eq(queryPt.size), false);
+  }
+
+  if (queryPt.type === 'all') {
+    const arr = nullableRethinkKey(queryPt.key);
+
+    // Match arrays with an element matching each of the values
+    const hasAll = R.and(true, ...queryPt.vals.map((val) => {
+      return arr.contains(elem => valueMatch(elem, val));
+    }));
+    return R.branch(arr.typeOf().eq('ARRAY'), hasAll, false);
+  }
+
+  if (['ne', 'nin', 'in', 'gt', 'gte', 'lt', 'lte'].includes(queryPt.type)) {
+    // Match the value against the operator, where missing values are null
+    const operands = {
+      ne  : queryPt.val,
+      nin : queryPt.vals,
+      in  : queryPt.vals,
+      gt  : queryPt.min,
+      gte : queryPt.min,
+      lt  : queryPt.max,
+      lte : queryPt.max,
+    };
+
+    const condition = { op : queryPt.type, value : operands[queryPt.type] };
+    return operatorMatch(nullableRethinkKey(queryPt.key), condition);
+  }
+
+  if (['whereOr', 'whereAnd', 'whereNot'].includes(queryPt.type)) {
+    // Match all query parts of each branch
+    const branchMatches = queryPt.branches.map((pts) => {
+      return R.and(true, ...pts.map(ptMatch).filter(match => match != null));
+    });
+
+    // Match if any, all or none of the branches match
+    if (queryPt.type === 'whereOr') return R.or(false, ...branchMatches);
+    if (queryPt.type === 'whereAnd') return R.and(true, ...branchMatches);
+
+    return R.not(R.or(false, ...branchMatches));
+  }
+
+  if (queryPt.type === 'after') {
+    // Match data sorted after the sort keys' values
+    return afterValues(queryPt.sorts);
+  }
+
+  if (queryPt.type === 'search') {
+    // Match data where any word matches in any field
+    return R.or(false, ...searchMatches(queryPt));
+  }
+
+  if (queryPt.type === 'exists') {
+    // Match values that aren't null or missing, or are if not existing
+    const value = nullableRethinkKey(queryPt.key);
+    return queryPt.exists ? value.ne(null) : value.eq(null);
+  }
+
+  if (queryPt.type === 'type') {
+    // Match values of the type, where missing values are null
+    return nullableRethinkKey(queryPt.key).typeOf().eq(rethinkTypes[queryPt.valueType]);
+  }
+
+  if (queryPt.type === 'within') {
+    // Match points inside the polygon
+    const point = pointGeometry(queryPt.key);
+    return R.branch(point.eq(null), false, point.intersects(R.geojson(queryPt.polygon)));
+  }
+
+  // Query part does not filter with a condition
+  return null;
+}
+
+/**
+ * Map a document to the value it contributes to an aggregate, to be combined by reducing
+ */
+function aggregateMapped(aggregate, doc) {
+  if (aggregate.type === 'count') return 1;
+
+  const value = dotPropRethinkKey(aggregate.key, doc).default(null);
+  const isNumber = value.typeOf().eq('NUMBER');
+
+  // Sum and average numeric values only
+  if (aggregate.type === 'sum') return R.branch(isNumber, value, 0);
+  if (aggregate.type === 'avg') {
+    return { sum : R.branch(isNumber, value, 0), n : R.branch(isNumber, 1, 0) };
+  }
+
+  // Find least or greatest of numbers, strings and dates only
+  return R.branch(R.expr(comparableTypes).contains(value.typeOf()), value, null);
+}
+
+/**
+ * Combine two mapped or reduced values of an aggregate
+ */
+function aggregateReduced(aggregate, left, right) {
+  if (aggregate.type === 'count' || aggregate.type === 'sum') return left.add(right);
+  if (aggregate.type === 'avg') {
+    return { sum : left('sum').add(right('sum')), n : left('n').add(right('n')) };
+  }
+
+  // Keep the least or greatest value, ignoring null values
+  const rightFound = aggregate.type === 'min' ? right.lt(left) : right.gt(left);
+
+  return R.branch(left.eq(null), right, right.eq(null), left, rightFound, right, left);
+}
+
+/**
+ * Get the final value of a reduced aggregate
+ */
+function aggregateValue(aggregate, reduced) {
+  if (aggregate.type !== 'avg') return reduced;
+
+  // Average the summed numeric values, or null if there were none
+  return reduced.n > 0 ? reduced.sum / reduced.n : null;
+}
+
 /**
  * RethinkDb database plug class
  */
@@ -121,6 +515,9 @@ class RethinkPlug extends DbPlug {
 
     this._indexes = new Map();
 
+    // Store map of sets of keys with geo indexes by collection ID
+    this._geoIndexes = new Map();
+
     // Store map of promises that resolve when table is ready
     this._preparedTables = new Map();
 
@@ -145,12 +542,17 @@ class RethinkPlug extends DbPlug {
     // Bind public methods to self
     this.findById = this.findById.bind(this);
     this.find = this.find.bind(this);
+    this.batches = this.batches.bind(this);
     this.findOne = this.findOne.bind(this);
     this.count = this.count.bind(this);
+    this.aggregate = this.aggregate.bind(this);
+    this.distinct = this.distinct.bind(this);
     this.removeById = this.removeById.bind(this);
     this.remove = this.remove.bind(this);
+    this.update = this.update.bind(this);
     this.replaceById = this.replaceById.bind(this);
     this.insert = this.insert.bind(this);
+    this.watch = this.watch.bind(this);
 
     // Start building internal connections and store promise
     this._building = this._build();
@@ -201,12 +603,26 @@ class RethinkPlug extends DbPlug {
       this._indexes.get(collectionId).add(rethinkIndexName);
     }
 
+    // Geo index a single prop indexed as `2dsphere`, storing it in the set of geo indexed keys
+    const isGeo = indexKeys.length === 1 && indexes[indexKeys[0]] === '2dsphere';
+
+    if (isGeo) {
+      if (!this._geoIndexes.has(collectionId)) this._geoIndexes.set(collectionId, new Set());
+      this._geoIndexes.get(collectionId).add(indexKeys[0]);
+    }
+
     await this._building;
 
     // Catch all errors since will error if already exists (safe to ignore)
     try {
-      // If only single prop being indexed
-      if (indexKeys.length === 1) {
+      // If a single prop is being geo indexed
+      if (isGeo) {
+        // Create geo index of GeoJSON points converted to geometries
+        const geometry = doc => R.geojson(dotPropRethinkKey(indexKeys[0], doc));
+        const table = R.table(collectionId);
+
+        await this._rethinkConn.run(table.indexCreate(rethinkIndexName, geometry, { geo : true }));
+      } else if (indexKeys.length === 1) {
         // Create index for specific prop by rethinkdb path generated from index key
         await this._rethinkConn.run(R.table(collectionId).indexCreate(rethinkIndexName, dotPropRethinkKey(indexKeys[0])));
       } else {
@@ -278,137 +694,123 @@ class RethinkPlug extends DbPlug {
   }
 
   /**
-   * Convert a standard constructed query to a RethinkDb cursor
+   * Convert a standard constructed query to a RethinkDb cursor, adding `{ method, index }` of
+   * every index it uses to an optional array, and optionally keeping the cursor a selection of the
+   * table that can be removed, updated or watched
    */
-  async _queryToCursor(collectionId, query) {
+  async _queryToCursor(collectionId, query, usedIndexes = [], selection = false) {
     // Create a cursor from fetching a table by `collectionId`
     let cursor = await this._getTable(collectionId);
     // Whether or not the cursor is still a table
     let cursorIsTable = true;
 
+    // Order of a selection only matters when skipping or limiting it
+    const ordered = !selection || query.pts.some(queryPt => ['skip', 'limit'].includes(queryPt.type));
+
+    // Parts to order by, with the first applied being the most significant and nearest first last,
+    // applied in a single `orderBy` as each replaces the order of earlier ones
+    const orderPts = ordered ? [
+      ...query.pts.filter(queryPt => queryPt.type === 'sort' || queryPt.type === 'relevance'),
+      ...query.pts.filter(queryPt => queryPt.type === 'near'),
+    ] : [];
+    // Whether or not the cursor is already ordered by an index, or nearest first
+    let orderedByIndex = false;
+    let orderedByNearest = false;
+
+    // Check if the cursor is still a table and an index or geo index by name has been registered
+    const indexed = name => cursorIsTable && this._indexes.has(collectionId)
+      && this._indexes.get(collectionId).has(name);
+    const geoIndexed = name => cursorIsTable && this._geoIndexes.has(collectionId)
+      && this._geoIndexes.get(collectionId).has(name);
+
     // Iterate all query parts to build a query
     for (const queryPt of query.pts) {
-      if (queryPt.type === 'filter') {
-        // Generate standard format rethinkdb index name from filter
-        const rethinkIndexName = Object.keys(queryPt.filter).sort().join('+');
-
-        // If cursor is still table and an index by the generated name has been registered
-        if (cursorIsTable && this._indexes.has(collectionId) && this._indexes.get(collectionId).has(rethinkIndexName)) {
-          // Sort the object values by the same standard as the object keys
-          const values = Object.entries(queryPt.filter).sort(([aKey], [bKey]) => {
-            return aKey.localeCompare(bKey);
-          }).map(filterEntry => filterEntry[1]);
-
-          // If there is only a single value
-          if (values.length === 1) {
-            // Index-based query using single indexed value
-            cursor = cursor.getAll(values[0], { index : rethinkIndexName });
-          } else {
-            // Index-based query using sorted array of object values
-            cursor = cursor.getAll(values, { index : rethinkIndexName });
-          }
-        } else {
-          // Filter using generated deep-match-filter from filter
-          cursor = cursor.filter(deepMatch(queryPt.filter));
-        }
-      } else if (queryPt.type === 'elem') {
-        // Apply `filter` method to cursor to filter out models that do not have array elements matching filter
-        cursor = cursor.filter(dotPropRethinkKey(queryPt.arrKey).contains((elem) => {
-          if (typeof queryPt.filter !== 'object') {
-            return elem.eq(queryPt.filter);
-          }
-          return deepMatch(queryPt.filter, elem);
-        }));
-      } else if (queryPt.type === 'ne') {
-        // Add a custom filter method to the cursor
-        cursor = cursor.filter(dotPropRethinkKey(queryPt.key).default(null).ne(queryPt.val));
-      } else if (queryPt.type === 'nin') {
-        // Add a custom filter method to the cursor
-        // TODO: use a lambda instead of multiple `ne`s
-        for (const val of queryPt.vals) {
-          cursor = cursor.filter(dotPropRethinkKey(queryPt.key).default(null).ne(val));
-        }
-      } else if (queryPt.type === 'in') {
-        if (cursorIsTable && this._indexes.has(collectionId) && this._indexes.get(collectionId).has(queryPt.key)) {
-          cursor = cursor.getAll(R.args(queryPt.vals), { index : queryPt.key });
+      // Generate standard format rethinkdb index name from filter
+      const rethinkIndexName = queryPt.type === 'filter' ? Object.keys(queryPt.filter).sort().join('+') : null;
+
+      if (queryPt.type === 'filter' && indexed(rethinkIndexName)) {
+        // Sort the object values by the same standard as the object keys
+        const values = Object.entries(queryPt.filter).sort(([aKey], [bKey]) => {
+          return aKey.localeCompare(bKey);
+        }).map(filterEntry => filterEntry[1]);
+
+        usedIndexes.push({ method : 'getAll', index : rethinkIndexName });
+
+        // If there is only a single value
+        if (values.length === 1) {
+          // Index-based query using single indexed value
+          cursor = cursor.getAll(values[0], { index : rethinkIndexName });
         } else {
-          const inMatchFilters = [];
-
-          // Add a custom filter method to the cursor
-          // TODO: use a lambda instead of multiple `eq`s
-          for (const val of queryPt.vals) {
-            inMatchFilters.push(deepMatch({ [queryPt.key] : val }));
-          }
-
-          if (inMatchFilters.length === 0) {
-            // If no filters, do nothing
-          } else if (inMatchFilters.length === 1) {
-            // If 1 filter, provide as only filter
-            cursor = cursor.filter(inMatchFilters[0]);
-          } else if (inMatchFilters.length) {
-            // If 2 or more filters, use all as `or` arguments to use in filter
-            cursor = cursor.filter(R.or(...inMatchFilters));
-          }
-        }
-      } else if (queryPt.type === 'whereOr') {
-        // Iterate query part possible match objects to make RethinkDB ready filters
-        const orMatchFilters = queryPt.matches.map(match => deepMatch(match));
-
-        if (orMatchFilters.length === 0) {
-          // If no filters, do nothing
-        } else if (orMatchFilters.length === 1) {
-          // If 1 filter, provide as only filter
-          cursor = cursor.filter(orMatchFilters[0]);
-        } else if (orMatchFilters.length) {
-          // If 2 or more filters, use all as `or` arguments to use in filter
-          cursor = cursor.filter(R.or(...orMatchFilters));
-        }
-      } else if (queryPt.type === 'whereAnd') {
-        // Iterate query part possible match objects to make RethinkDB ready filters
-        const andMatchFilters = queryPt.matches.map(match => deepMatch(match));
-
-        if (andMatchFilters.length === 0) {
-          // If no filters, do nothing
-        } else if (andMatchFilters.length === 1) {
-          // If 1 filter, provide as only filter
-          cursor = cursor.filter(andMatchFilters[0]);
-        } else if (andMatchFilters.length) {
-          // If 2 or more filters, use all as `and` arguments to use in filter
-          cursor = cursor.filter(R.and(...andMatchFilters));
+          // Index-based query using sorted array of object values
+          cursor = cursor.getAll(values, { index : rethinkIndexName });
         }
-      } else if (queryPt.type === 'limit') {
-        // Apply amt to `limit` cursor method
-        cursor = cursor.limit(queryPt.limitAmount);
-      } else if (queryPt.type === 'skip') {
-        // Apply amt to `skip` cursor method
-        cursor = cursor.skip(queryPt.skipAmount);
+      } else if (queryPt.type === 'in' && indexed(queryPt.key)) {
+        // Index-based query using any of the values
+        usedIndexes.push({ method : 'getAll', index : queryPt.key });
+        cursor = cursor.getAll(R.args(queryPt.vals), { index : queryPt.key });
+      } else if (queryPt.type === 'limit' || queryPt.type === 'skip') {
+        // Skip and limit after filtering and ordering
       } else if (queryPt.type === 'sort') {
-        // If cursor is still table and an index with the sortKey as name has been registered
-        if (cursorIsTable && this._indexes.has(collectionId) && this._indexes.get(collectionId).has(queryPt.sortKey)) {
-          // Index-based sort using the provided key
-          cursor = cursor.orderBy(queryPt.desc ? { index : R.desc(queryPt.sortKey) } : { index : R.asc(queryPt.sortKey) });
+        // If ordered and an index with the sortKey as name has been registered
+        if (ordered && indexed(queryPt.sortKey)) {
+          // Index-based sort using the provided key, with the order of later parts as tiebreaks
+          const index = queryPt.desc ? R.desc(queryPt.sortKey) : R.asc(queryPt.sortKey);
+          const tiebreaks = orderPts.slice(1).map(orderPt => ptOrder(orderPt, query));
+
+          usedIndexes.push({ method : 'orderBy', index : queryPt.sortKey });
+          cursor = cursor.orderBy(...tiebreaks, { index });
+          orderedByIndex = true;
+        }
+      } else if (queryPt.type === 'near') {
+        if (geoIndexed(queryPt.key) && queryPt.maxDistance != null && !selection) {
+          // Index-based nearest documents, which are returned as an array limited to 100,000
+          usedIndexes.push({ method : 'getNearest', index : queryPt.key });
+          cursor = cursor.getNearest(R.point(...queryPt.coordinates), {
+            index      : queryPt.key,
+            maxDist    : queryPt.maxDistance,
+            maxResults : 100000,
+          }).map(result => result('doc'));
+          orderedByNearest = true;
         } else {
-          // Order by sort using generated rethinkdb path from provided sort key
-          cursor = cursor.orderBy(queryPt.desc ? R.desc(dotPropRethinkKey(queryPt.sortKey)) : R.asc(dotPropRethinkKey(queryPt.sortKey)));
+          // Filter to points within the maximum distance, if any
+          const distance = nearDistance(queryPt);
+          const withinDistance = queryPt.maxDistance == null
+            ? distance.ne(null)
+            : R.and(distance.ne(null), distance.le(queryPt.maxDistance));
+
+          cursor = cursor.filter(withinDistance);
         }
-      } else if (queryPt.type === 'gt') {
-        // Create `gt` filter using provided key and min and apply to `filter` cursor method
-        cursor = cursor.filter(dotPropRethinkKey(queryPt.key).gt(queryPt.min));
-      } else if (queryPt.type === 'lt') {
-        // Create `lt` filter using provided key and min and apply to `filter` cursor method
-        cursor = cursor.filter(dotPropRethinkKey(queryPt.key).lt(queryPt.max));
-      } else if (queryPt.type === 'gte') {
-        // Create `gte` filter using provided key and min and apply to `filter` cursor method
-        cursor = cursor.filter(dotPropRethinkKey(queryPt.key).ge(queryPt.min));
-      } else if (queryPt.type === 'lte') {
-        // Create `lte` filter using provided key and min and apply to `filter` cursor method
-        cursor = cursor.filter(dotPropRethinkKey(queryPt.key).le(queryPt.max));
+      } else if (queryPt.type === 'within' && geoIndexed(queryPt.key)) {
+        // Index-based intersecting documents
+        usedIndexes.push({ method : 'getIntersecting', index : queryPt.key });
+        cursor = cursor.getIntersecting(R.geojson(queryPt.polygon), { index : queryPt.key });
+      } else if (queryPt.type === 'relevance') {
+        // Order by relevance after filtering
+      } else {
+        // Filter using the condition of the query part, if any
+        const condition = ptMatch(queryPt);
+        if (condition != null) cursor = cursor.filter(condition);
       }
 
       // First iteration finished, must no longer be table
       cursorIsTable = false;
     }
 
+    // Order by all parts to order by after filtering, unless already ordered by an index or only
+    // ordered nearest first
+    if (!orderedByIndex && orderPts.length > (orderedByNearest ? 1 : 0)) {
+      cursor = cursor.orderBy(...orderPts.map(orderPt => ptOrder(orderPt, query)));
+    }
+
+    // Apply skip and limit query parts after filtering and ordering, as MongoDB does
+    for (const queryPt of query.pts) {
+      if (queryPt.type === 'skip') cursor = cursor.skip(queryPt.skipAmount);
+    }
+
+    for (const queryPt of query.pts) {
+      if (queryPt.type === 'limit') cursor = cursor.limit(queryPt.limitAmount);
+    }
+
     // Return the fully constructed cursor
     return cursor;
   }
@@ -439,15 +841,17 @@ class RethinkPlug extends DbPlug {
   /**
    * Find Model data by collection ID and Model ID
    */
-  async findById(collectionId, id) {
+  async findById(collectionId, id, selection = null) {
     // Wait for building to finish
     await this._building;
 
     // Get table by provided collection ID
     const table = await this._getTable(collectionId);
 
-    // get doc
-    const rawModelRes = await this._rethinkConn.run(table.get(id));
+    // get doc, as a sequence to select fields from if there is a selection
+    const rawModelRes = selection != null
+      ? await this._fetchDoc(selectFields(table.getAll(id), selection))
+      : await this._rethinkConn.run(table.get(id));
 
     // Parse raw model data to model data and return
     return this._handleRawModel(rawModelRes);
@@ -460,13 +864,66 @@ class RethinkPlug extends DbPlug {
     // Wait for building to finish
     await this._building;
 
-    // Fetch, map, and return found Model instance data found by cursor constructed from provided query
-    return (await this._fetchDocs(await this._queryToCursor(collectionId, query))).map((rawModelRes) => {
+    // Construct cursor from provided query, selecting its selected fields
+    const cursor = selectFields(await this._queryToCursor(collectionId, query), query.selection);
+
+    // Fetch, map, and return found Model instance data found by cursor
+    return (await this._fetchDocs(cursor)).map((rawModelRes) => {
       // Parse raw model data to model data
       return this._handleRawModel(rawModelRes);
     });
   }
 
+  /**
+   * Find Model data by collection ID and constructed query in batches of provided size
+   */
+  async* batches(collectionId, query, size) {
+    // Wait for building to finish
+    await this._building;
+
+    // Construct cursor from provided query, selecting its selected fields
+    const cursor = selectFields(await this._queryToCursor(collectionId, query), query.selection);
+
+    // Acquire a connection of its own from the pool, as cursors stay open while being used
+    const conn = await this._rethinkConn.acquire();
+    let result = null;
+
+    try {
+      // Run cursor, fetching batches of provided size
+      result = await cursor.run(conn, { maxBatchRows : size });
+
+      let batch = [];
+
+      // Fetch Model instance data one at a time, as the driver fetches it in batches
+      for (;;) {
+        let rawModelRes = null;
+
+        try {
+          rawModelRes = await result.next();
+        } catch (err) {
+          // Stop once all Model instance data is fetched
+          if (err.name === 'ReqlDriverError' && err.message === 'No more rows in the cursor.') break;
+          throw err;
+        }
+
+        batch.push(this._handleRawModel(rawModelRes));
+
+        // Yield full batches
+        if (batch.length >= size) {
+          yield batch;
+          batch = [];
+        }
+      }
+
+      // Yield remaining partial batch
+      if (batch.length > 0) yield batch;
+    } finally {
+      // Close cursor, even if stopped early, and release connection
+      if (result != null) await result.close();
+      await this._rethinkConn.release(conn);
+    }
+  }
+
   /**
    * Find single Model data by collection ID and Model ID
    */
@@ -474,8 +931,11 @@ class RethinkPlug extends DbPlug {
     // Wait for building to finish
     await this._building;
 
-    // Construct cursor from provided query, and use it to fetch single Model instance data
-    const rawModelRes = await this._fetchDoc(await this._queryToCursor(collectionId, query));
+    // Construct cursor from provided query, selecting its selected fields
+    const cursor = selectFields(await this._queryToCursor(collectionId, query), query.selection);
+
+    // Use cursor to fetch single Model instance data
+    const rawModelRes = await this._fetchDoc(cursor);
 
     // Parse raw model data to model data and return
     return this._handleRawModel(rawModelRes);
@@ -500,6 +960,142 @@ class RethinkPlug extends DbPlug {
     return await this._rethinkConn.run((await this._queryToCursor(collectionId, query)).sum(key));
   }
 
+  /**
+   * Aggregate matching Model data by collection ID, constructed query, dot-prop keys to group by,
+   * and aggregates by name
+   */
+  async aggregate(collectionId, query, groupKeys, aggregates) {
+    // Wait for building to finish
+    await this._building;
+
+    // Construct cursor from provided query
+    const cursor = await this._queryToCursor(collectionId, query);
+
+    // Map documents to the values they contribute to each aggregate, and reduce them pairwise
+    const aggregateEntries = Object.entries(aggregates);
+
+    const mapDoc = (doc) => {
+      const mapped = {};
+
+      aggregateEntries.forEach(([, aggregate], i) => {
+        mapped[`a${i}`] = aggregateMapped(aggregate, doc);
+      });
+
+      return mapped;
+    };
+
+    const reduceMapped = (left, right) => {
+      const reduced = {};
+
+      aggregateEntries.forEach(([, aggregate], i) => {
+        reduced[`a${i}`] = aggregateReduced(aggregate, left(`a${i}`), right(`a${i}`));
+      });
+
+      return reduced;
+    };
+
+    // Create aggregated values by name from reduced values
+    const reducedValues = (reduced) => {
+      const values = {};
+
+      aggregateEntries.forEach(([name, aggregate], i) => {
+        values[name] = aggregateValue(aggregate, reduced[`a${i}`]);
+      });
+
+      return values;
+    };
+
+    // Reduce all documents as one group without group keys, which is null if there are none
+    if (groupKeys.length === 0) {
+      const reduced = await this._rethinkConn.run(cursor.map(mapDoc).reduce(reduceMapped)
+        .default(null));
+
+      return reduced != null ? [{ group : [], values : reducedValues(reduced) }] : [];
+    }
+
+    // Group by group key values, treating missing and null values as equal, and reduce each group
+    const groupFns = groupKeys.map((groupKey) => {
+      return doc => dotPropRethinkKey(groupKey, doc).default(null);
+    });
+
+    const rawGroups = await this._rethinkConn.run(cursor.group(...groupFns).map(mapDoc)
+      .reduce(reduceMapped)
+      .ungroup());
+
+    // Create group values, which are only in an array if grouped by multiple keys, and
+    // aggregated values by name
+    return rawGroups.map(rawGroup => ({
+      group  : groupKeys.length > 1 ? rawGroup.group : [rawGroup.group],
+      values : reducedValues(rawGroup.reduction),
+    }));
+  }
+
+  /**
+   * Get the unique values by dot-prop key of all matching Model data by collection ID and
+   * constructed query
+   */
+  async distinct(collectionId, query, key) {
+    // Wait for building to finish
+    await this._building;
+
+    // Construct cursor from provided query
+    const cursor = await this._queryToCursor(collectionId, query);
+
+    // Select each element of array values, and other values as single elements
+    const values = cursor.concatMap((doc) => {
+      const value = dotPropRethinkKey(key, doc).default(null);
+      return R.branch(value.typeOf().eq('ARRAY'), value, [value]);
+    });
+
+    // Fetch unique values, ignoring null and missing values
+    return await this._rethinkConn.run(values.filter(value => value.ne(null)).distinct());
+  }
+
+  /**
+   * Get the RethinkDB cursor finding Model data by collection ID and constructed query
+   */
+  async toNative(collectionId, query) {
+    // Wait for building to finish
+    await this._building;
+
+    // Construct cursor from provided query, selecting its selected fields
+    return selectFields(await this._queryToCursor(collectionId, query), query.selection);
+  }
+
+  /**
+   * Explain finding Model data by collection ID and constructed query, with `indexes` the cursor
+   * uses and RethinkDB's profile of running it as the plan, as it has no query planner
+   *
+   * Only the first result is found for the profile, so explaining doesn't cost as much as finding
+   * all results, but the profile doesn't show the full cost of finding them either
+   */
+  async explain(collectionId, query) {
+    // Wait for building to finish
+    await this._building;
+
+    // Construct cursor from provided query, selecting its selected fields and noting used indexes
+    const indexes = [];
+    const cursor = await this._queryToCursor(collectionId, query, indexes);
+    const native = selectFields(cursor, query.selection);
+
+    // Acquire a connection of its own from the pool, as the profiled cursor stays open
+    const conn = await this._rethinkConn.acquire();
+    let result = null;
+
+    try {
+      // Run cursor limited to the first result with profiling, only to use the profile
+      result = await native.limit(1).run(conn, { profile : true });
+    } finally {
+      // Close the profiled cursor, if results are a cursor, and release the connection
+      if (result != null && result.value != null && typeof result.value.close === 'function') {
+        await result.value.close();
+      }
+      await this._rethinkConn.release(conn);
+    }
+
+    return { native, plan : result.profile, indexes };
+  }
+
   /**
    * Remove matching Model data from database by collection ID and Model ID
    */
@@ -522,13 +1118,34 @@ class RethinkPlug extends DbPlug {
     await this._building;
 
     // Find and remove matching Model instance data by provided query
-    await this._rethinkConn.run((await this._queryToCursor(collectionId, query)).delete());
+    const cursor = await this._queryToCursor(collectionId, query, [], true);
+    await this._rethinkConn.run(cursor.delete());
+  }
+
+  /**
+   * Update all matching Model data by collection ID, constructed query, and object of changes by
+   * dot-prop key, where null values unset keys, resolving the amount of Model data modified
+   */
+  async update(collectionId, query, changes) {
+    // Wait for building to finish
+    await this._building;
+
+    // Nothing can be modified without changes
+    if (Object.keys(changes).length === 0) return 0;
+
+    // Update matching Model instance data by provided query
+    const cursor = await this._queryToCursor(collectionId, query, [], true);
+    const updateRes = await this._rethinkConn.run(cursor.update(changesToUpdate(changes)));
+
+    // Return amount of Model instance data actually modified
+    return updateRes.replaced;
   }
 
   /**
-   * Replace matching Model data from database by collection ID, Model ID, and replacement data
+   * Replace matching Model data from database by collection ID, Model ID, replacement data, and
+   * optional object of values by dot-prop key the stored data must match
    */
-  async replaceById(collectionId, id, newObject) {
+  async replaceById(collectionId, id, newObject, match = null) {
     // Wait for building to finish
     await this._building;
 
@@ -541,45 +1158,57 @@ class RethinkPlug extends DbPlug {
     // Set `id` of the data to be the Model instance's db data ID
     swappedReplaceObject.id = id;
 
-    // Execute replace query using provided cursor and provided replacement object
-    await this._rethinkConn.run(table.get(id).replace(swappedReplaceObject));
+    // Execute replace query using provided cursor and provided replacement object, failing if
+    // stored data doesn't match provided values
+    const replaceRes = await this._rethinkConn.run(table.get(id).replace(match != null
+      ? R.branch(matchValues(match), swappedReplaceObject, R.error('Stored data does not match'))
+      : swappedReplaceObject));
+
+    // Return whether matching Model instance data was found
+    return replaceRes.errors === 0 && replaceRes.replaced + replaceRes.unchanged > 0;
   }
 
   /**
-   * Update matching Model data from database by collection ID, Model ID, replacement data, and set of updated keys
+   * Update matching Model data from database by collection ID, Model ID, replacement data,
+   * set of updated keys, array of atomic operations, and optional object of values by dot-prop
+   * key the stored data must match
    */
-  async updateById(collectionId, id, newObject, updates) {
+  async updateById(collectionId, id, newObject, updates, ops = [], match = null) {
     // Wait for building to finish
     await this._building;
 
     // Get table by provided collection ID
     const table = await this._getTable(collectionId);
 
-    // Filter to only top level key updates
-    const topLevelUpdates = new Set(Array.from(updates).map(update => update.split('.')[0]));
+    // Get values of updated dot-prop keys from new object, where missing values are removed
+    const changes = {};
 
-    // Create new object for storing only updated keys
-    const replaceObject = {};
+    for (const updatedKey of updates) {
+      changes[updatedKey] = DotProp.get(newObject, updatedKey);
+    }
 
-    // Iterate updated keys
-    await Promise.all(Array.from(topLevelUpdates).map(async (updatedKey) => {
-      if (newObject[updatedKey] != undefined) {
-        // Set replace object key-val to be from new object
-        replaceObject[updatedKey] = newObject[updatedKey];
-      } else {
-        // Remove the key if undefined in new object
-        await this._rethinkConn.run(table.get(id).replace(R.row.without(updatedKey)));
+    // Create nested update object, which RethinkDB merges into exact sub-paths
+    const updateObject = changesToUpdate(changes);
+
+    // Add atomic operations on stored values, treating missing values as empty
+    for (const op of ops) {
+      if (op.type === 'increment') {
+        DotProp.set(updateObject, op.key, dotPropRethinkKey(op.key).default(0).add(op.amount));
+      } else if (op.type === 'push') {
+        DotProp.set(updateObject, op.key, op.values.reduce((arrayCursor, val) => {
+          return arrayCursor.append(val);
+        }, dotPropRethinkKey(op.key).default([])));
       }
-    }));
+    }
 
-    // Swap the ID keys in the object before setting the ID
-    const swappedReplaceObject = swapKeys('id', '_id', newObject);
+    // Execute update query using provided update object, failing if stored data doesn't match
+    // provided values
+    const updateRes = await this._rethinkConn.run(table.get(id).update(match != null
+      ? R.branch(matchValues(match), updateObject, R.error('Stored data does not match'))
+      : updateObject));
 
-    // Set `id` of the data to be the Model instance's db data ID
-    swappedReplaceObject.id = id;
-
-    // Execute replace query using provided cursor and provided replacement object
-    await this._rethinkConn.run(table.get(id).update(swappedReplaceObject));
+    // Return whether matching Model instance data was found
+    return updateRes.errors === 0 && updateRes.skipped === 0;
   }
 
   /**
@@ -598,6 +1227,59 @@ class RethinkPlug extends DbPlug {
     // Return Model ID from insertation response
     return insertRes.generated_keys[0];
   }
+
+  /**
+   * Watch changes to Model data by collection ID and constructed query using a changefeed
+   */
+  async watch(collectionId, query, listener) {
+    // Wait for building to finish
+    await this._building;
+
+    // Construct selection from provided query, as changefeeds can't follow arrays
+    const cursor = await this._queryToCursor(collectionId, query, [], true);
+
+    // Acquire a connection of its own from the pool, as changefeeds stay open
+    const conn = await this._rethinkConn.acquire();
+
+    // Open changefeed, releasing connection if it fails
+    let feed = null;
+
+    try {
+      feed = await cursor.changes({ includeTypes : true }).run(conn);
+    } catch (err) {
+      await this._rethinkConn.release(conn);
+      throw err;
+    }
+
+    feed.each((err, change) => {
+      // Pass changefeed errors to listener
+      if (err != null) {
+        listener(err);
+        return;
+      }
+
+      // Ignore changefeed state changes
+      if (changeTypes[change.type] == null) return;
+
+      // Parse raw old and new data to model data
+      const oldModel = this._handleRawModel(change.old_val);
+      const newModel = this._handleRawModel(change.new_val);
+
+      // Call listener with normalised change
+      listener(null, {
+        type     : changeTypes[change.type],
+        id       : (newModel || oldModel).id,
+        oldValue : oldModel != null ? oldModel.object : null,
+        newValue : newModel != null ? newModel.object : null,
+      });
+    });
+
+    // Return function that closes the changefeed and releases its connection
+    return async () => {
+      await feed.close();
+      await this._rethinkConn.release(conn);
+    };
+  }
 }
 
 // Exports
@@ -0,0 +1,1034 @@
+// Require dependencies
+const crypto  = require('crypto');
+const DotProp = require('dot-prop');
+
+// Require local dependencies
+const DbPlug = require('../dbplug');
+const Geo    = require('../geo');
+
+/**
+ * Generate a new random Model ID in the same format as a MongoDB ObjectId
+ */
+function generateId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Quote a string as an SQL string literal
+ */
+function sqlString(str) {
+  return `'${str.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Quote a string as an SQL identifier
+ */
+function quoteIdent(str) {
+  return `"${str.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Convert a dotProp-style key to an SQLite JSON path
+ */
+function jsonPath(key) {
+  return `$${key.split('.').map(keyPart => `."${keyPart}"`).join('')}`;
+}
+
+/**
+ * Get SQL expressions for the value and JSON type selected by a dotProp-style key
+ */
+function keyTarget(key, docExpr = 'doc') {
+  // Use the ID column for `_id` of stored documents
+  if (key === '_id' && docExpr === 'doc') {
+    return { value : 'id', type : "'text'" };
+  }
+
+  // Create JSON path literal from key
+  const path = sqlString(jsonPath(key));
+
+  // Return value and type expressions using the JSON path
+  return {
+    path,
+    value : `json_extract(${docExpr}, ${path})`,
+    type  : `json_type(${docExpr}, ${path})`,
+  };
+}
+
+/**
+ * Convert a value to a parameter SQLite can bind
+ */
+function toParam(val) {
+  // Store dates as ISO strings, as JSON does
+  return val instanceof Date ? val.toISOString() : val;
+}
+
+/**
+ * Create an SQL condition matching a target against a value, treating missing and null as equal
+ */
+function valueCondition(target, val, params) {
+  // Match regex against strings only using the registered regex function
+  if (val instanceof RegExp) {
+    params.push(val.source, val.flags);
+    return `(${target.type} = 'text' AND regexp_match(?, ?, ${target.value}))`;
+  }
+
+  // Match null against missing values as well
+  if (val == null) {
+    return `(${target.type} IS NULL OR ${target.type} = 'null')`;
+  }
+
+  // Match booleans by JSON type alone
+  if (typeof val === 'boolean') {
+    return `(${target.type} = '${val}')`;
+  }
+
+  // Match numbers against numeric JSON types
+  if (typeof val === 'number') {
+    params.push(val);
+    return `(${target.type} IN ('integer', 'real') AND ${target.value} = ?)`;
+  }
+
+  // Match objects and arrays by their minified JSON
+  if (typeof val === 'object' && !(val instanceof Date)) {
+    params.push(JSON.stringify(val));
+    return `(${target.type} IN ('object', 'array') AND ${target.value} = json(?))`;
+  }
+
+  // Match strings and dates against text
+  params.push(toParam(val));
+  return `(${target.type} = 'text' AND ${target.value} = ?)`;
+}
+
+/**
+ * Create an SQL condition comparing a target to a value, failing for incomparable values
+ */
+function compareCondition(target, operator, val, params) {
+  // Compare numbers against numeric JSON types
+  if (typeof val === 'number') {
+    params.push(val);
+    return `(${target.type} IN ('integer', 'real') AND ${target.value} ${operator} ?)`;
+  }
+
+  // Compare strings and dates against text
+  if (typeof val === 'string' || val instanceof Date) {
+    params.push(toParam(val));
+    return `(${target.type} = 'text' AND ${target.value} ${operator} ?)`;
+  }
+
+  // Other values are never comparable
+  return '0';
+}
+
+/**
+ * Negate an SQL condition, treating unknown results as not matching
+ */
+function notCondition(condition) {
+  return `NOT COALESCE(${condition}, 0)`;
+}
+
+/**
+ * Join SQL conditions with an operator, returning a default if there are none
+ */
+function joinConditions(conditions, operator, empty) {
+  return conditions.length > 0 ? `(${conditions.join(` ${operator} `)})` : empty;
+}
+
+/**
+ * SQL expressions for the value and JSON type of array elements selected by `json_each`
+ */
+const elemTarget = { value : 'elem.value', type : 'elem.type' };
+
+/**
+ * Create an SQL condition matching a target against an operator condition, such as that of an
+ * `elem` filter
+ */
+function operatorCondition(target, condition, params) {
+  const comparisonOperators = {
+    gt  : '>',
+    gte : '>=',
+    lt  : '<',
+    lte : '<=',
+  };
+
+  if (condition.op === 'eq') return valueCondition(target, condition.value, params);
+  if (condition.op === 'ne') return notCondition(valueCondition(target, condition.value, params));
+
+  if (condition.op === 'in' || condition.op === 'nin') {
+    const matchesAny = joinConditions(condition.value.map((val) => {
+      return valueCondition(target, val, params);
+    }), 'OR', '0');
+
+    return condition.op === 'in' ? matchesAny : notCondition(matchesAny);
+  }
+
+  // Compare values for the remaining operators
+  return compareCondition(target, comparisonOperators[condition.op], condition.value, params);
+}
+
+/**
+ * Deeply match an object supporting dotprop keys and regex
+ */
+function deepMatch(match, params, docExpr = 'doc') {
+  // Every property of the match object must match
+  return joinConditions(Object.entries(match).map(([filterKey, filterVal]) => {
+    return valueCondition(keyTarget(filterKey, docExpr), filterVal, params);
+  }), 'AND', '1');
+}
+
+/**
+ * Create an SQL condition matching a target sorted after the value of a sort key in its
+ * direction, where null and missing values sort first and only values of the same type are
+ * compared
+ */
+function afterCondition(target, sort, params) {
+  // Only non-null values sort after null in ascending order
+  if (sort.value == null) {
+    return sort.desc ? '0' : notCondition(valueCondition(target, null, params));
+  }
+
+  // Compare values, with null values sorting after all others in descending order
+  const comparison = compareCondition(target, sort.desc ? '<' : '>', sort.value, params);
+
+  return sort.desc ? `(${comparison} OR ${valueCondition(target, null, params)})` : comparison;
+}
+
+/**
+ * JSON types by value type, where dates are stored as text so never have their own type
+ */
+const jsonTypes = {
+  number  : ['integer', 'real'],
+  string  : ['text'],
+  boolean : ['true', 'false'],
+  object  : ['object'],
+  array   : ['array'],
+  date    : [],
+};
+
+/**
+ * Create an SQL expression of the distance in meters of a target's GeoJSON point from
+ * coordinates, or null if it isn't a point
+ */
+function distanceExpr(target, coordinates, params) {
+  params.push(coordinates[0], coordinates[1]);
+  return `(CASE WHEN ${target.type} = 'object' THEN geo_distance(?, ?, ${target.value}) END)`;
+}
+
+/**
+ * Create SQL conditions matching each word of a search in each of its fields
+ */
+function searchConditions(searchPt, params) {
+  return [].concat(...searchPt.fields.map((field) => {
+    return searchPt.regexes.map(regex => valueCondition(keyTarget(field), regex, params));
+  }));
+}
+
+/**
+ * Create an SQL condition from a single filtering query part, or null if it doesn't filter
+ */
+function ptCondition(queryPt, params) {
+  if (queryPt.type === 'filter') {
+    // Match using deep-match-filter from filter
+    return deepMatch(queryPt.filter, params);
+  }
+
+  if (queryPt.type === 'elem') {
+    const target = keyTarget(queryPt.arrKey);
+
+    // Match against each element of the array, or each element's properties for objects
+    const elemCondition = joinConditions(queryPt.conditions.map((condition) => {
+      if (condition.key == null) return operatorCondition(elemTarget, condition, params);
+
+      const propTarget = keyTarget(condition.key, 'elem.value');
+      return `CASE WHEN elem.type = 'object' THEN ${operatorCondition(propTarget, condition, params)} ELSE 0 END`;
+    }), 'AND', '1');
+
+    // Only arrays can have matching elements, use `CASE` so only arrays get iterated
+    return `CASE WHEN ${target.type} = 'array' THEN EXISTS (SELECT 1 FROM json_each(doc, ${target.path}) AS elem WHERE ${elemCondition}) ELSE 0 END`;
+  }
+
+  if (queryPt.type === 'size') {
+    const target = keyTarget(queryPt.key);
+
+    // Match if the value is an array of the length
+    params.push(queryPt.size);
+    return `(${target.type} = 'array' AND json_array_length(doc, ${target.path}) = ?)`;
+  }
+
+  if (queryPt.type === 'all') {
+    const target = keyTarget(queryPt.key);
+
+    // Match if an element matches each of the values
+    const elemConditions = queryPt.vals.map((val) => {
+      return `EXISTS (SELECT 1 FROM json_each(doc, ${target.path}) AS elem WHERE ${valueCondition(elemTarget, val, params)})`;
+    });
+
+    // Only arrays can have matching elements, use `CASE` so only arrays get iterated
+    return `CASE WHEN ${target.type} = 'array' THEN ${joinConditions(elemConditions, 'AND', '1')} ELSE 0 END`;
+  }
+
+  if (queryPt.type === 'ne') {
+    // Match if value doesn't match
+    return notCondition(valueCondition(keyTarget(queryPt.key), queryPt.val, params));
+  }
+
+  if (queryPt.type === 'nin') {
+    // Match if value matches none of the values
+    return joinConditions(queryPt.vals.map((val) => {
+      return notCondition(valueCondition(keyTarget(queryPt.key), val, params));
+    }), 'AND', '1');
+  }
+
+  if (queryPt.type === 'in') {
+    // Match if value matches any of the values
+    return joinConditions(queryPt.vals.map((val) => {
+      return valueCondition(keyTarget(queryPt.key), val, params);
+    }), 'OR', '0');
+  }
+
+  if (['whereOr', 'whereAnd', 'whereNot'].includes(queryPt.type)) {
+    // Match all query parts of each branch
+    const branchConditions = queryPt.branches.map((pts) => {
+      const conditions = pts.map(pt => ptCondition(pt, params));
+      return joinConditions(conditions.filter(condition => condition != null), 'AND', '1');
+    });
+
+    // Match if any, all or none of the branches match
+    if (queryPt.type === 'whereOr') return joinConditions(branchConditions, 'OR', '0');
+    if (queryPt.type === 'whereAnd') return joinConditions(branchConditions, 'AND', '1');
+
+    return notCondition(joinConditions(branchConditions, 'OR', '0'));
+  }
+
+  if (queryPt.type === 'gt') {
+    return compareCondition(keyTarget(queryPt.key), '>', queryPt.min, params);
+  }
+
+  if (queryPt.type === 'lt') {
+    return compareCondition(keyTarget(queryPt.key), '<', queryPt.max, params);
+  }
+
+  if (queryPt.type === 'gte') {
+    return compareCondition(keyTarget(queryPt.key), '>=', queryPt.min, params);
+  }
+
+  if (queryPt.type === 'lte') {
+    return compareCondition(keyTarget(queryPt.key), '<=', queryPt.max, params);
+  }
+
+  if (queryPt.type === 'search') {
+    // Match if any word matches in any field
+    return joinConditions(searchConditions(queryPt, params), 'OR', '0');
+  }
+
+  if (queryPt.type === 'exists') {
+    const isNull = valueCondition(keyTarget(queryPt.key), null, params);
+
+    // Match if the value isn't null or missing, or is if not existing
+    return queryPt.exists ? notCondition(isNull) : isNull;
+  }
+
+  if (queryPt.type === 'type') {
+    const target = keyTarget(queryPt.key);
+
+    // Match null types against missing values as well
+    if (queryPt.valueType === 'null') return valueCondition(target, null, params);
+
+    // Match if the JSON type is one of the value type's
+    const types = jsonTypes[queryPt.valueType];
+
+    return types.length > 0 ? `(${target.type} IN (${types.map(sqlString).join(', ')}))` : '0';
+  }
+
+  if (queryPt.type === 'near') {
+    const distance = distanceExpr(keyTarget(queryPt.key), queryPt.coordinates, params);
+
+    // Match if the value is a point within the maximum distance, if any
+    if (queryPt.maxDistance == null) return `(${distance} IS NOT NULL)`;
+
+    params.push(queryPt.maxDistance);
+    return `(${distance} <= ?)`;
+  }
+
+  if (queryPt.type === 'within') {
+    const target = keyTarget(queryPt.key);
+
+    // Match if the value is a point inside the polygon using the registered geo function
+    params.push(JSON.stringify(queryPt.polygon));
+    return `(CASE WHEN ${target.type} = 'object' THEN geo_within(?, ${target.value}) ELSE 0 END)`;
+  }
+
+  if (queryPt.type === 'after') {
+    // Match if sorted after any sort key's value, with the values of all previous keys equal
+    return joinConditions(queryPt.sorts.map((sort, i) => {
+      const previousEqual = queryPt.sorts.slice(0, i).map((prevSort) => {
+        return valueCondition(keyTarget(prevSort.key), prevSort.value, params);
+      });
+
+      const sortAfter = afterCondition(keyTarget(sort.key), sort, params);
+
+      return joinConditions([...previousEqual, sortAfter], 'AND', '1');
+    }), 'OR', '0');
+  }
+
+  // Query part does not filter
+  return null;
+}
+
+/**
+ * Create an SQL expression ranking JSON types in the same order MongoDB sorts them
+ */
+function typeRank(target) {
+  return `CASE COALESCE(${target.type}, 'null') WHEN 'null' THEN 0 WHEN 'integer' THEN 1 WHEN 'real' THEN 1 WHEN 'text' THEN 2 WHEN 'object' THEN 3 WHEN 'array' THEN 4 ELSE 5 END`;
+}
+
+/**
+ * Create an SQL expression aggregating matching documents by an aggregate
+ */
+function aggregateExpr(aggregate) {
+  if (aggregate.type === 'count') return 'COUNT(*)';
+
+  const target = keyTarget(aggregate.key);
+
+  // Sum and average numeric values only
+  const numberExpr = `CASE WHEN ${target.type} IN ('integer', 'real') THEN ${target.value} END`;
+
+  if (aggregate.type === 'sum') return `COALESCE(SUM(${numberExpr}), 0)`;
+  if (aggregate.type === 'avg') return `AVG(${numberExpr})`;
+
+  // Find least or greatest of numbers and strings only, which SQLite orders numbers first
+  const comparableExpr = `CASE WHEN ${target.type} IN ('integer', 'real', 'text') THEN ${target.value} END`;
+
+  return `${aggregate.type === 'min' ? 'MIN' : 'MAX'}(${comparableExpr})`;
+}
+
+/**
+ * Parse a value selected by its JSON type, where numbers are selected as one type
+ */
+function parseTypedValue(type, value) {
+  if (type === 'true') return true;
+  if (type === 'false') return false;
+  if (type === 'object' || type === 'array') return JSON.parse(value);
+
+  // Return numbers and strings as they are, and missing values as null
+  return type === 'null' ? null : value;
+}
+
+/**
+ * Create an SQL expression of a JSON document with only the included or without the excluded
+ * fields of a selection
+ */
+function selectExpr(selection, docExpr = 'doc') {
+  // Select whole document without a selection
+  if (selection == null || selection.fields.length === 0) return docExpr;
+
+  // Remove excluded fields
+  if (selection.exclude) {
+    return `json_remove(${docExpr}, ${selection.fields.map(field => sqlString(jsonPath(field))).join(', ')})`;
+  }
+
+  // Merge each existing included field into an empty object, creating its parent objects
+  return selection.fields.reduce((selectedExpr, field) => {
+    const target = keyTarget(field, docExpr);
+    const fieldExpr = field.split('.').reduceRight((valueExpr, keyPart) => {
+      return `json_object(${sqlString(keyPart)}, ${valueExpr})`;
+    }, target.value);
+
+    return `json_patch(${selectedExpr}, CASE WHEN ${target.type} IS NULL THEN '{}' ELSE ${fieldExpr} END)`;
+  }, "'{}'");
+}
+
+/**
+ * SQLite database plug class, storing Model data as JSON documents
+ *
+ * Dates are stored as ISO strings, as JSON has no dates, so they are found as strings. They still
+ * filter and sort in date order against dates
+ */
+class SqlitePlug extends DbPlug {
+  /**
+   * Construct SQLite database plug class
+   */
+  constructor(config = {}) {
+    super();
+
+    // Store set of collection IDs whose tables have been created
+    this._preparedTables = new Set();
+
+    // Store config
+    this._config = config;
+
+    // Require SQLite driver only once constructed, as it's an optional native dependency
+    this._Database = module.require('better-sqlite3');
+
+    // Bind builder to self
+    this._build = this._build.bind(this);
+
+    // Bind raw methods to self
+    this.getRawCursor = this.getRawCursor.bind(this);
+    this.getRawTable = this.getRawTable.bind(this);
+    this.getRawDb = this.getRawDb.bind(this);
+
+    // Bind internal methods to self
+    this._queryToCursor = this._queryToCursor.bind(this);
+    this._getTable = this._getTable.bind(this);
+    this._handleRawModel = this._handleRawModel.bind(this);
+
+    // Bind public methods to self
+    this.findById = this.findById.bind(this);
+    this.find = this.find.bind(this);
+    this.batches = this.batches.bind(this);
+    this.findOne = this.findOne.bind(this);
+    this.count = this.count.bind(this);
+    this.aggregate = this.aggregate.bind(this);
+    this.distinct = this.distinct.bind(this);
+    this.sum = this.sum.bind(this);
+    this.removeById = this.removeById.bind(this);
+    this.remove = this.remove.bind(this);
+    this.update = this.update.bind(this);
+    this.replaceById = this.replaceById.bind(this);
+    this.updateById = this.updateById.bind(this);
+    this.insert = this.insert.bind(this);
+
+    // Start building internal connections and store promise
+    this._building = this._build();
+  }
+
+  /**
+   * Async method that resolves on internal API build completion
+   */
+  async _build() {
+    // Open database file provided in config, or an in-memory database
+    this._db = new this._Database(this._config.file || ':memory:', this._config.options);
+
+    // Cache compiled regexes by source and flags
+    const regexes = new Map();
+
+    // Register function for matching JSON strings against JavaScript regexes
+    this._db.function('regexp_match', { deterministic : true }, (source, flags, value) => {
+      const regexKey = `${flags}/${source}`;
+
+      if (!regexes.has(regexKey)) regexes.set(regexKey, new RegExp(source, flags));
+
+      return typeof value === 'string' && regexes.get(regexKey).test(value) ? 1 : 0;
+    });
+
+    // Register functions for the distance of JSON GeoJSON points from coordinates, and whether
+    // they are inside JSON GeoJSON polygons
+    this._db.function('geo_distance', { deterministic : true }, (lng, lat, value) => {
+      const coordinates = Geo.pointCoordinates(JSON.parse(value));
+
+      return coordinates != null ? Geo.distance(coordinates, [lng, lat]) : null;
+    });
+
+    this._db.function('geo_within', { deterministic : true }, (polygon, value) => {
+      const coordinates = Geo.pointCoordinates(JSON.parse(value));
+
+      return coordinates != null && Geo.polygonContains(JSON.parse(polygon), coordinates) ? 1 : 0;
+    });
+  }
+
+  /**
+   * Prepare database for new collection of provided collection ID
+   */
+  async initCollection(collectionId) {
+    await this._building;
+
+    // Create table if it doesn't already exist
+    this._getTable(collectionId);
+  }
+
+  /**
+   * Create an expression index for the provided keys and directions
+   */
+  async createIndex(collectionId, name, indexes) {
+    await this._building;
+
+    // Get table by provided collection ID
+    const table = this._getTable(collectionId);
+
+    // Create indexed expression for each key, using the same expressions as queries
+    const indexExprs = Object.entries(indexes).map(([indexKey, direction]) => {
+      return `${keyTarget(indexKey).value} ${direction < 0 ? 'DESC' : 'ASC'}`;
+    });
+
+    // Create index if it doesn't already exist
+    this._db.exec(`CREATE INDEX IF NOT EXISTS ${quoteIdent(`${collectionId}_${name}`)} ON ${table} (${indexExprs.join(', ')})`);
+  }
+
+  /**
+  * Return a copy of a raw cursor by provided collectionId
+  */
+  async getRawCursor(collectionId) {
+    await this._building;
+    return this._db.prepare(`SELECT id, doc FROM ${this._getTable(collectionId)}`);
+  }
+
+  /**
+  * Return a copy of a raw table by provided collectionId
+  */
+  async getRawTable(collectionId) {
+    await this._building;
+    return this._getTable(collectionId);
+  }
+
+  /**
+  * Return a copy of the raw internal database
+  */
+  async getRawDb() {
+    await this._building;
+    return this._db;
+  }
+
+  /**
+   * Get a quoted table name by provided collection ID, ensuring table exists
+   */
+  _getTable(collectionId) {
+    const table = quoteIdent(collectionId);
+
+    // Create table if it hasn't already been created
+    if (!this._preparedTables.has(collectionId)) {
+      this._db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, doc TEXT NOT NULL)`);
+      this._preparedTables.add(collectionId);
+    }
+
+    // Return quoted table name
+    return table;
+  }
+
+  /**
+   * Convert a standard constructed query to an SQL select of IDs and documents, with parameters,
+   * only selecting fields of an optional selection
+   */
+  _queryToCursor(collectionId, query, selection = null) {
+    // Parameters bound to the generated SQL, in order
+    const params = [];
+
+    // Conditions and ordering created from query parts, with parameters of ordering bound after
+    // those of conditions
+    const conditions = [];
+    const orders = [];
+    const orderParams = [];
+
+    // Skip and limit amounts, where the last query part of each type applies
+    let skipAmount = 0;
+    let limitAmount = -1;
+
+    // Iterate all query parts to build a query
+    for (const queryPt of query.pts) {
+      if (queryPt.type === 'limit') {
+        ({ limitAmount } = queryPt);
+      } else if (queryPt.type === 'skip') {
+        ({ skipAmount } = queryPt);
+      } else if (queryPt.type === 'sort') {
+        const target = keyTarget(queryPt.sortKey);
+        const direction = queryPt.desc ? 'DESC' : 'ASC';
+
+        // Order by type first so differently typed values sort as they do in MongoDB
+        orders.push(`${typeRank(target)} ${direction}`, `${target.value} ${direction}`);
+      } else if (queryPt.type === 'relevance') {
+        const searchPt = query.pts.find(pt => pt.type === 'search');
+
+        // Order by the amount of words matched in each field, most relevant first
+        const matchedExprs = searchConditions(searchPt, orderParams).map(condition => `COALESCE(${condition}, 0)`);
+
+        orders.push(`${joinConditions(matchedExprs, '+', '0')} DESC`);
+      } else {
+        // Create condition from filtering query part
+        const condition = ptCondition(queryPt, params);
+
+        if (condition != null) conditions.push(condition);
+      }
+    }
+
+    // Order nearest first after other sorts if near a point
+    const nearPt = query.pts.find(queryPt => queryPt.type === 'near');
+
+    if (nearPt != null) {
+      orders.push(`${distanceExpr(keyTarget(nearPt.key), nearPt.coordinates, orderParams)} ASC`);
+    }
+
+    // Add ordering, limit and skip parameters after all condition parameters
+    params.push(...orderParams, limitAmount, skipAmount);
+
+    // Return fully constructed select and its parameters
+    return {
+      sql : [
+        `SELECT id, ${selectExpr(selection)} AS doc FROM ${this._getTable(collectionId)}`,
+        `WHERE ${joinConditions(conditions, 'AND', '1')}`,
+        orders.length > 0 ? `ORDER BY ${orders.join(', ')}` : '',
+        'LIMIT ? OFFSET ?',
+      ].join(' '),
+      params,
+    };
+  }
+
+  /**
+   * Parse DB-stored data into safe Model instance data components
+   */
+  _handleRawModel(row) {
+    // If no Model instance data found, return null
+    if (row == null) {
+      return null;
+    }
+
+    // Return correctly structured fetched Model instance data
+    return {
+      id     : row.id,
+      object : JSON.parse(row.doc),
+    };
+  }
+
+  /**
+   * Find Model data by collection ID and Model ID
+   */
+  async findById(collectionId, id, selection = null) {
+    await this._building;
+
+    // Get doc by ID, only selecting fields of provided selection
+    const table = this._getTable(collectionId);
+    const row = this._db.prepare(`SELECT id, ${selectExpr(selection)} AS doc FROM ${table} WHERE id = ?`).get(id);
+
+    // Parse raw model data to model data and return
+    return this._handleRawModel(row);
+  }
+
+  /**
+   * Find Model data by collection ID and constructed query
+   */
+  async find(collectionId, query) {
+    await this._building;
+
+    // Construct select of selected fields from provided query
+    const { sql, params } = this._queryToCursor(collectionId, query, query.selection);
+
+    // Fetch, map, and return found Model instance data
+    return this._db.prepare(sql).all(...params).map(row => this._handleRawModel(row));
+  }
+
+  /**
+   * Find Model data by collection ID and constructed query in batches of provided size
+   */
+  async* batches(collectionId, query, size) {
+    await this._building;
+
+    // Construct select from provided query
+    const table = this._getTable(collectionId);
+    const { sql, params } = this._queryToCursor(collectionId, query);
+
+    // Fetch only IDs up front, as the connection can't run other statements such as saves while
+    // stepping through a select
+    const ids = this._db.prepare(`SELECT id FROM (${sql})`).pluck().all(...params);
+
+    for (let i = 0; i < ids.length; i += size) {
+      const batchIds = ids.slice(i, i + size);
+
+      // Fetch Model instance data of batch, only selecting fields of the query's selection
+      const rows = this._db.prepare(`SELECT id, ${selectExpr(query.selection)} AS doc FROM ${table} WHERE id IN (${batchIds.map(() => '?').join(', ')})`).all(...batchIds);
+      const rowsById = new Map(rows.map(row => [row.id, row]));
+
+      // Parse and yield batch in query order, without Model instance data removed since
+      const batch = batchIds.filter(id => rowsById.has(id))
+        .map(id => this._handleRawModel(rowsById.get(id)));
+
+      if (batch.length > 0) yield batch;
+    }
+  }
+
+  /**
+   * Find single Model data by collection ID and constructed query
+   */
+  async findOne(collectionId, query) {
+    await this._building;
+
+    // Construct select of selected fields from provided query
+    const { sql, params } = this._queryToCursor(collectionId, query, query.selection);
+
+    // Fetch first row, parse raw model data to model data and return
+    return this._handleRawModel(this._db.prepare(sql).get(...params));
+  }
+
+  /**
+   * Get count of Model data by collection ID and constructed query
+   */
+  async count(collectionId, query) {
+    await this._building;
+
+    // Construct select from provided query
+    const { sql, params } = this._queryToCursor(collectionId, query);
+
+    // Fetch count of matching Model instance data
+    return this._db.prepare(`SELECT COUNT(*) AS count FROM (${sql})`).get(...params).count;
+  }
+
+  /**
+   * Get sum of data by provided key of all matching Model data
+   * by collection ID and constructed query
+   */
+  async sum(collectionId, query, key) {
+    await this._building;
+
+    // Construct select from provided query
+    const { sql, params } = this._queryToCursor(collectionId, query);
+
+    // Sum only numeric values of matching Model instance data
+    const target = keyTarget(key);
+    const sumSql = `SELECT COALESCE(SUM(CASE WHEN ${target.type} IN ('integer', 'real') THEN ${target.value} END), 0) AS total FROM (${sql})`;
+
+    // Fetch sum of matching Model instance data's matching fields
+    return this._db.prepare(sumSql).get(...params).total;
+  }
+
+  /**
+   * Aggregate matching Model data by collection ID, constructed query, dot-prop keys to group by,
+   * and aggregates by name
+   */
+  async aggregate(collectionId, query, groupKeys, aggregates) {
+    await this._building;
+
+    // Construct select from provided query
+    const { sql, params } = this._queryToCursor(collectionId, query);
+
+    // Select the JSON type and value of each group key, treating missing and null values and all
+    // numeric types as equal
+    const groupTargets = groupKeys.map(groupKey => keyTarget(groupKey));
+    const groupExprs = groupTargets.map((target, i) => {
+      return [
+        `CASE WHEN ${target.type} IN ('integer', 'real') THEN 'number' ELSE COALESCE(${target.type}, 'null') END AS g${i}type`,
+        `${target.value} AS g${i}value`,
+      ];
+    });
+
+    // Select aggregated values
+    const aggregateEntries = Object.entries(aggregates);
+    const aggregateExprs = aggregateEntries.map(([, aggregate], i) => {
+      return `${aggregateExpr(aggregate)} AS a${i}`;
+    });
+
+    // Group by group key types and values, sorted by type first as when sorting
+    const groupClauses = groupTargets.length > 0 ? [
+      `GROUP BY ${groupTargets.map((target, i) => `g${i}type, g${i}value`).join(', ')}`,
+      `ORDER BY ${groupTargets.map((target, i) => `${typeRank(target)}, g${i}value`).join(', ')}`,
+    ] : [];
+
+    const rows = this._db.prepare([
+      `SELECT ${[].concat(...groupExprs, aggregateExprs).join(', ')} FROM (${sql})`,
+      ...groupClauses,
+    ].join(' ')).all(...params);
+
+    // Parse group values and aggregated values by name
+    return rows.map((row) => {
+      const values = {};
+
+      aggregateEntries.forEach(([name], i) => {
+        values[name] = row[`a${i}`];
+      });
+
+      return {
+        group : groupKeys.map((groupKey, i) => parseTypedValue(row[`g${i}type`], row[`g${i}value`])),
+        values,
+      };
+    });
+  }
+
+  /**
+   * Get the unique values by dot-prop key of all matching Model data by collection ID and
+   * constructed query
+   */
+  async distinct(collectionId, query, key) {
+    await this._building;
+
+    // Construct select from provided query
+    const { sql, params } = this._queryToCursor(collectionId, query);
+    const target = keyTarget(key);
+
+    // Select the JSON type and value of each element of array values, and of other values
+    const valueSelects = [`SELECT ${target.type} AS type, ${target.value} AS value FROM (${sql}) WHERE ${target.type} IS NOT 'array'`];
+    const selectParams = [...params];
+
+    if (target.path != null) {
+      valueSelects.push(`SELECT elem.type AS type, elem.value AS value FROM (${sql}) AS matched, json_each(matched.doc, ${target.path}) AS elem WHERE ${target.type} = 'array'`);
+      selectParams.push(...params);
+    }
+
+    // Select unique values, ignoring null and missing values and treating all numeric types as
+    // equal
+    const rows = this._db.prepare([
+      "SELECT DISTINCT CASE WHEN type IN ('integer', 'real') THEN 'number' ELSE type END AS type, value",
+      `FROM (${valueSelects.join(' UNION ALL ')}) WHERE type IS NOT NULL AND type != 'null'`,
+    ].join(' ')).all(...selectParams);
+
+    // Parse unique values by their JSON types
+    return rows.map(row => parseTypedValue(row.type, row.value));
+  }
+
+  /**
+   * Get the SQL and parameters finding Model data by collection ID and constructed query
+   */
+  async toNative(collectionId, query) {
+    await this._building;
+
+    return this._queryToCursor(collectionId, query, query.selection);
+  }
+
+  /**
+   * Explain finding Model data by collection ID and constructed query, with the rows of SQLite's
+   * query plan as the plan
+   */
+  async explain(collectionId, query) {
+    await this._building;
+
+    // Construct select from provided query, and let SQLite plan it without running it
+    const native = this._queryToCursor(collectionId, query, query.selection);
+    const plan = this._db.prepare(`EXPLAIN QUERY PLAN ${native.sql}`).all(...native.params);
+
+    return { native, plan };
+  }
+
+  /**
+   * Remove matching Model data from database by collection ID and Model ID
+   */
+  async removeById(collectionId, id) {
+    await this._building;
+
+    // Remove single Model instance data by provided ID
+    this._db.prepare(`DELETE FROM ${this._getTable(collectionId)} WHERE id = ?`).run(id);
+  }
+
+  /**
+   * Remove matching Model data from database by collection ID and constructed query
+   */
+  async remove(collectionId, query) {
+    await this._building;
+
+    // Construct select from provided query
+    const { sql, params } = this._queryToCursor(collectionId, query);
+
+    // Remove matching Model instance data by provided query
+    this._db.prepare(`DELETE FROM ${this._getTable(collectionId)} WHERE id IN (SELECT id FROM (${sql}))`).run(...params);
+  }
+
+  /**
+   * Update all matching Model data by collection ID, constructed query, and object of changes by
+   * dot-prop key, where null values unset keys, resolving the amount of Model data modified
+   */
+  async update(collectionId, query, changes) {
+    await this._building;
+
+    // Construct select from provided query
+    const { sql, params } = this._queryToCursor(collectionId, query);
+
+    // Build nested JSON modification of stored documents
+    const changeParams = [];
+    let docExpr = 'doc';
+
+    // Iterate changed keys
+    for (const [changedKey, changedVal] of Object.entries(changes)) {
+      if (changedVal != null) {
+        // Set key-val to be the changed value
+        changeParams.push(JSON.stringify(changedVal));
+        docExpr = `json_set(${docExpr}, ${sqlString(jsonPath(changedKey))}, json(?))`;
+      } else {
+        // Remove the key if the changed value is null
+        docExpr = `json_remove(${docExpr}, ${sqlString(jsonPath(changedKey))})`;
+      }
+    }
+
+    // Update matching documents the changes modify, so only those are counted
+    const { changes : modifiedCount } = this._db.prepare([
+      `UPDATE ${this._getTable(collectionId)} SET doc = ${docExpr}`,
+      `WHERE id IN (SELECT id FROM (${sql})) AND ${docExpr} IS NOT json(doc)`,
+    ].join(' ')).run(...changeParams, ...params, ...changeParams);
+
+    return modifiedCount;
+  }
+
+  /**
+   * Replace matching Model data from database by collection ID, Model ID, replacement data, and
+   * optional object of values by dot-prop key the stored data must match
+   */
+  async replaceById(collectionId, id, newObject, match = null) {
+    await this._building;
+
+    // Remove ID from the replacement object
+    const replaceObject = Object.assign({}, newObject);
+    delete replaceObject._id;
+
+    // Create condition from values stored document must match
+    const params = [JSON.stringify(replaceObject), id];
+    const matchCondition = match != null ? deepMatch(match, params) : '1';
+
+    // Replace stored document by provided ID if it matches, returning whether it was found
+    return this._db.prepare(`UPDATE ${this._getTable(collectionId)} SET doc = ? WHERE id = ? AND ${matchCondition}`).run(...params).changes > 0;
+  }
+
+  /**
+   * Update matching Model data from database by collection ID, Model ID, replacement data,
+   * set of updated keys, array of atomic operations, and optional object of values by dot-prop
+   * key the stored data must match
+   */
+  async updateById(collectionId, id, newObject, updates, ops = [], match = null) {
+    await this._building;
+
+    // Build nested JSON modification of the stored document
+    const params = [];
+    let docExpr = 'doc';
+
+    // Iterate updated dot-prop keys
+    for (const updatedKey of updates) {
+      const updatedVal = DotProp.get(newObject, updatedKey);
+
+      if (updatedVal != null) {
+        // Set key-val to be from new object
+        params.push(JSON.stringify(updatedVal));
+        docExpr = `json_set(${docExpr}, ${sqlString(jsonPath(updatedKey))}, json(?))`;
+      } else {
+        // Remove the key if not set in new object
+        docExpr = `json_remove(${docExpr}, ${sqlString(jsonPath(updatedKey))})`;
+      }
+    }
+
+    // Apply atomic operations to stored values, which aren't updated so can be read from `doc`
+    for (const op of ops) {
+      const target = keyTarget(op.key);
+
+      if (op.type === 'increment') {
+        // Add amount to stored number, treating missing and other values as 0
+        params.push(op.amount);
+        docExpr = `json_set(${docExpr}, ${target.path}, CASE WHEN ${target.type} IN ('integer', 'real') THEN ${target.value} ELSE 0 END + ?)`;
+      } else if (op.type === 'push') {
+        // Append values to stored array, treating missing and other values as empty
+        params.push(...op.values.map(val => JSON.stringify(val)));
+        docExpr = `json_set(${docExpr}, ${target.path}, json_insert(CASE WHEN ${target.type} = 'array' THEN ${target.value} ELSE '[]' END, ${op.values.map(() => "'$[#]', json(?)").join(', ')}))`;
+      }
+    }
+
+    // Create condition from values stored document must match
+    params.push(id);
+    const matchCondition = match != null ? deepMatch(match, params) : '1';
+
+    // Update stored document by provided ID if it matches, returning whether it was found
+    return this._db.prepare(`UPDATE ${this._getTable(collectionId)} SET doc = ${docExpr} WHERE id = ? AND ${matchCondition}`).run(...params).changes > 0;
+  }
+
+  /**
+   * Insert Model data into database by collection ID and return Model ID
+   */
+  async insert(collectionId, object) {
+    await this._building;
+
+    // Use provided _id if present, otherwise generate a new ID
+    const id = object._id != null ? object._id.toString() : generateId();
+
+    // Remove ID from the inserted object
+    const insertObject = Object.assign({}, object);
+    delete insertObject._id;
+
+    // Insert provided object data into table
+    this._db.prepare(`INSERT INTO ${this._getTable(collectionId)} (id, doc) VALUES (?, ?)`).run(id, JSON.stringify(insertObject));
+
+    // Return ID of Model instance data in database
+    return id;
+  }
+}
+
+// Exports
+module.exports = SqlitePlug;
@@ -1,16 +1,35 @@
+// Require local dependencies
+const Aggregates = require('./aggregates');
+const Geo        = require('./geo');
 
+/**
+ * Operators that can be used to filter by an object of them, such as `{ gt : 5 }`
+ */
+const filterOperators = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'];
+
+/**
+ * Check if a filter value is a non-empty object of only operators
+ */
+function isOperatorObject(val) {
+  return val != null && Object.getPrototypeOf(val) === Object.prototype
+    && Object.keys(val).length > 0 && Object.keys(val).every(key => filterOperators.includes(key));
+}
 
 /**
- * Flatten an object replacing nested structures with dotprop keys
+ * Flatten an object replacing nested structures with dotprop keys, optionally keeping operator
+ * objects
  */
-function flatifyObj(obj) {
+function flatifyObj(obj, keepOperators = false) {
   const flatObj = {};
 
   function iterate(iteratedObj, path = '') {
     for (const [prop, propVal] of Object.entries(iteratedObj)) {
       const fullPath = (path.length > 0 ? `${path}.${prop}` : `${prop}`);
 
-      if (propVal != null && typeof propVal === 'object' && !(propVal instanceof Array) && !(propVal instanceof RegExp)) {
+      // Keep operator objects such as `{ gt : 5 }` as values if specified
+      const isOperator = keepOperators && isOperatorObject(propVal);
+
+      if (propVal != null && typeof propVal === 'object' && !(propVal instanceof Array) && !(propVal instanceof RegExp) && !isOperator) {
         iterate(propVal, fullPath);
       } else {
         flatObj[fullPath] = propVal;
@@ -23,6 +42,371 @@ function flatifyObj(obj) {
   return flatObj;
 }
 
+/**
+ * Check if a dot-prop key selects the same data as or data containing another
+ */
+function keyContains(parentKey, key) {
+  return parentKey === key || key.startsWith(`${parentKey}.`);
+}
+
+/**
+ * Check if two dot-prop keys select the same data or data nested in the other
+ */
+function keysOverlap(key1, key2) {
+  return keyContains(key1, key2) || keyContains(key2, key1);
+}
+
+/**
+ * Encode the values of sort keys, by sort keys prefixed with `-` if descending, as an opaque
+ * pagination cursor
+ */
+function encodeCursor(sortKeys, values) {
+  // Tag dates so they are decoded as dates
+  const cursorValues = values.map((val) => {
+    return val instanceof Date ? { $date : val.toISOString() } : val;
+  });
+
+  const json = JSON.stringify({ version : 1, keys : sortKeys, values : cursorValues });
+
+  // Use URL-safe base64 without padding
+  return Buffer.from(json).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decode the values of sort keys from an opaque pagination cursor, ensuring it was encoded for
+ * the same sort keys
+ */
+function decodeCursor(cursor, sortKeys) {
+  let decoded = null;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64').toString());
+  } catch (err) {
+    throw new Error('Invalid pagination cursor');
+  }
+
+  // Ensure cursor is of this version and for the same sort keys
+  const valid = decoded != null && decoded.version === 1 && decoded.keys instanceof Array
+    && decoded.values instanceof Array && decoded.values.length === sortKeys.length
+    && decoded.keys.join(',') === sortKeys.join(',');
+
+  if (!valid) throw new Error('Invalid pagination cursor');
+
+  // Convert tagged dates back to dates
+  return decoded.values.map((val) => {
+    return val != null && typeof val.$date === 'string' ? new Date(val.$date) : val;
+  });
+}
+
+/**
+ * Types of values that can be filtered by, where dates are strings in plugs storing JSON
+ */
+const valueTypes = ['null', 'number', 'string', 'boolean', 'object', 'array', 'date'];
+
+/**
+ * Convert an `elem` filter to conditions every matching element must pass, each with a dot-prop
+ * key of element objects or null for the element itself
+ */
+function elemConditions(filter) {
+  // Operator objects and plain values filter elements themselves
+  const isElemFilter = isOperatorObject(filter) || filter == null || typeof filter !== 'object'
+    || filter instanceof RegExp || filter instanceof Date || filter instanceof Array;
+
+  const filters = isElemFilter ? [[null, filter]] : Object.entries(filter);
+  const conditions = [];
+
+  for (const [key, val] of filters) {
+    // Plain values are equality conditions
+    const operators = isOperatorObject(val) ? Object.entries(val) : [['eq', val]];
+
+    for (const [op, opVal] of operators) {
+      if ((op === 'in' || op === 'nin') && !(opVal instanceof Array)) {
+        throw new Error(`Invalid \`${op}\` values`);
+      }
+
+      conditions.push({ key, op, value : opVal });
+    }
+  }
+
+  return conditions;
+}
+
+/**
+ * Types of query parts that only filter, so can be nested in `or`, `and` and `not`
+ */
+const nestableTypes = [
+  'filter', 'elem', 'size', 'all', 'ne', 'nin', 'in', 'gt', 'gte', 'lt', 'lte', 'exists', 'type',
+  'within', 'whereOr', 'whereAnd', 'whereNot',
+];
+
+/**
+ * Create a query part filtering by an operator of an operator object
+ */
+function operatorPt(key, op, val) {
+  if (op === 'eq') return { type : 'filter', filter : { [key] : val } };
+  if (op === 'ne') return { type : 'ne', val, key };
+  if (op === 'gt' || op === 'gte') return { type : op, min : val, key };
+  if (op === 'lt' || op === 'lte') return { type : op, max : val, key };
+
+  // Ensure the remaining `in` and `nin` operators have values
+  if (!(val instanceof Array)) throw new Error(`Invalid \`${op}\` values`);
+
+  return { type : op, vals : val, key };
+}
+
+/**
+ * Convert a branch of `or`, `and` or `not` to the query parts that all have to match, from either
+ * the query parts of a query builder of only filters, or a filter object of values or operator
+ * objects by key
+ */
+function branchPts(branch) {
+  if (branch instanceof Array) {
+    // Ensure the query builder only filters
+    if (branch.some(queryPt => !nestableTypes.includes(queryPt.type))) {
+      throw new Error('Only filters can be nested in `or`, `and` and `not`');
+    }
+
+    return branch.slice();
+  }
+
+  // Filter by equal values together, and by each operator of operator objects
+  const filter = {};
+  const pts = [];
+
+  for (const [key, val] of Object.entries(flatifyObj(branch, true))) {
+    if (isOperatorObject(val)) {
+      pts.push(...Object.entries(val).map(([op, opVal]) => operatorPt(key, op, opVal)));
+    } else {
+      filter[key] = val;
+    }
+  }
+
+  return Object.keys(filter).length > 0 ? [{ type : 'filter', filter }, ...pts] : pts;
+}
+
+/**
+ * Escape a string so it only matches itself when used in a regex
+ */
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Version of the JSON format of queries
+ */
+const jsonVersion = 1;
+
+/**
+ * Types of query parts that can be converted to JSON
+ */
+const jsonTypes = [...nestableTypes, 'sort', 'skip', 'limit', 'search', 'relevance', 'near'];
+
+/**
+ * Check if a value is a plain object, as parsed from JSON
+ */
+function isPlainObject(val) {
+  return val != null && Object.getPrototypeOf(val) === Object.prototype;
+}
+
+/**
+ * Encode a value as JSON-compatible data, tagging dates and regexes so they are decoded as such
+ */
+function encodeValue(val) {
+  if (val instanceof Date) return { $date : val.toISOString() };
+  if (val instanceof RegExp) return { $regex : val.source, $flags : val.flags };
+  if (val instanceof Array) return val.map(encodeValue);
+
+  // Encode each property of objects
+  if (isPlainObject(val)) {
+    const encoded = {};
+
+    for (const [prop, propVal] of Object.entries(val)) encoded[prop] = encodeValue(propVal);
+
+    return encoded;
+  }
+
+  return val;
+}
+
+/**
+ * Decode a value from JSON-compatible data, throwing if it has any `$`-prefixed property other
+ * than tags of dates and regexes, so database operators can't be injected, or if it has regexes
+ * that aren't allowed, as untrusted regexes can take exponential time to match
+ */
+function decodeValue(val, allowRegexes) {
+  if (val instanceof Array) return val.map(elem => decodeValue(elem, allowRegexes));
+  if (!isPlainObject(val)) return val;
+
+  const props = Object.keys(val);
+
+  // Decode tagged dates and regexes
+  if (props.length === 1 && typeof val.$date === 'string') {
+    const date = new Date(val.$date);
+
+    if (Number.isNaN(date.getTime())) throw new Error('Invalid query JSON value');
+
+    return date;
+  }
+
+  if (props.length === 2 && typeof val.$regex === 'string' && /^[imsu]*$/.test(val.$flags)) {
+    if (!allowRegexes) throw new Error('Regexes are not allowed in query JSON');
+
+    try {
+      return new RegExp(val.$regex, val.$flags);
+    } catch (err) {
+      throw new Error('Invalid query JSON value');
+    }
+  }
+
+  // Decode each property of other objects
+  const decoded = {};
+
+  for (const [prop, propVal] of Object.entries(val)) {
+    if (prop.startsWith('$')) throw new Error('Invalid query JSON value');
+
+    decoded[prop] = decodeValue(propVal, allowRegexes);
+  }
+
+  return decoded;
+}
+
+/**
+ * Ensure a dot-prop key from JSON is valid and nested in or equal to an allowed key, unless
+ * allowed keys are null, returning it or throwing otherwise
+ */
+function checkJsonKey(key, allowedKeys) {
+  const valid = typeof key === 'string'
+    && key.split('.').every(keyPart => keyPart.length > 0 && !keyPart.startsWith('$'))
+    && (allowedKeys == null || allowedKeys.some(allowedKey => keyContains(allowedKey, key)));
+
+  if (!valid) throw new Error(`Invalid query key \`${key}\``);
+
+  return key;
+}
+
+/**
+ * Convert a query part to JSON-compatible data, throwing if it can't be converted
+ */
+function ptToJSON(queryPt) {
+  if (!jsonTypes.includes(queryPt.type)) {
+    throw new Error(`Can't convert query part \`${queryPt.type}\` to JSON`);
+  }
+
+  // Convert the query parts of each branch
+  if (queryPt.branches != null) {
+    return { type : queryPt.type, branches : queryPt.branches.map(pts => pts.map(ptToJSON)) };
+  }
+
+  // Leave out regexes of searches, which are created from the text
+  if (queryPt.type === 'search') {
+    return {
+      type     : 'search',
+      text     : queryPt.text,
+      fields   : queryPt.fields,
+      language : queryPt.language,
+    };
+  }
+
+  return encodeValue(queryPt);
+}
+
+/**
+ * Convert the conditions of an `elem` query part from JSON back to a filter
+ */
+function elemFilterFromJSON(arrKey, conditions, allowedKeys) {
+  if (!(conditions instanceof Array) || !conditions.every(isPlainObject)) {
+    throw new Error('Invalid query JSON');
+  }
+
+  // Filter by objects of operators, either by key of element objects or of elements themselves
+  const byKey = conditions.some(condition => condition.key != null);
+  const filter = {};
+
+  for (const { key, op, value } of conditions) {
+    if ((key != null) !== byKey || !filterOperators.includes(op)) {
+      throw new Error('Invalid query JSON');
+    }
+
+    if (byKey) {
+      checkJsonKey(`${arrKey}.${checkJsonKey(key, null)}`, allowedKeys);
+      filter[key] = Object.assign(filter[key] || {}, { [op] : value });
+    } else {
+      filter[op] = value;
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * Apply query parts from JSON to a query builder by its building methods, which validate them,
+ * creating query builders for branches with a function
+ */
+function applyJsonPts(query, jsonPts, allowedKeys, allowRegexes, createBranch) {
+  if (!(jsonPts instanceof Array)) throw new Error('Invalid query JSON');
+
+  for (const jsonPt of jsonPts) {
+    const queryPt = decodeValue(jsonPt, allowRegexes);
+
+    if (!isPlainObject(queryPt)) throw new Error('Invalid query JSON');
+
+    const { type } = queryPt;
+    const key = prop => checkJsonKey(queryPt[prop], allowedKeys);
+
+    if (type === 'filter' && isPlainObject(queryPt.filter)) {
+      Object.keys(queryPt.filter).forEach(filterKey => checkJsonKey(filterKey, allowedKeys));
+      query.where(queryPt.filter);
+    } else if (type === 'elem') {
+      query.elem(key('arrKey'), elemFilterFromJSON(queryPt.arrKey, queryPt.conditions, allowedKeys));
+    } else if (type === 'size') {
+      query.size(key('key'), queryPt.size);
+    } else if (['all', 'in', 'nin'].includes(type) && queryPt.vals instanceof Array) {
+      query[type](key('key'), queryPt.vals);
+    } else if (type === 'ne') {
+      query.ne(key('key'), queryPt.val);
+    } else if (type === 'gt' || type === 'gte') {
+      query[type](key('key'), queryPt.min);
+    } else if (type === 'lt' || type === 'lte') {
+      query[type](key('key'), queryPt.max);
+    } else if (['whereOr', 'whereAnd', 'whereNot'].includes(type) && queryPt.branches instanceof Array) {
+      // Build each branch on its own query builder
+      const branches = queryPt.branches.map((jsonBranchPts) => {
+        const branch = createBranch();
+        applyJsonPts(branch, jsonBranchPts, allowedKeys, allowRegexes, createBranch);
+        return branch;
+      });
+
+      const methods = { whereOr : 'or', whereAnd : 'and', whereNot : 'not' };
+      query[methods[type]](...branches);
+    } else if (type === 'sort' && typeof queryPt.desc === 'boolean') {
+      query.sort(key('sortKey'), queryPt.desc ? 'desc' : 'asc');
+    } else if (type === 'skip' && Number.isInteger(queryPt.skipAmount) && queryPt.skipAmount >= 0) {
+      query.skip(queryPt.skipAmount);
+    } else if (type === 'limit' && Number.isInteger(queryPt.limitAmount) && queryPt.limitAmount >= 0) {
+      query.limit(queryPt.limitAmount);
+    } else if (type === 'search' && typeof queryPt.text === 'string' && queryPt.fields instanceof Array
+      && (queryPt.language == null || typeof queryPt.language === 'string')) {
+      const fields = queryPt.fields.map(field => checkJsonKey(field, allowedKeys));
+      query.search(queryPt.text, { fields, language : queryPt.language });
+    } else if (type === 'relevance') {
+      query.sortByRelevance();
+    } else if (type === 'near') {
+      query.near(key('key'), queryPt.coordinates, queryPt.maxDistance);
+    } else if (type === 'within') {
+      query.within(key('key'), queryPt.polygon);
+    } else if (type === 'exists' && typeof queryPt.exists === 'boolean') {
+      query.exists(key('key'), queryPt.exists);
+    } else if (type === 'type') {
+      query.type(key('key'), queryPt.valueType);
+    } else {
+      throw new Error(`Invalid query part \`${type}\``);
+    }
+  }
+}
+
 /**
  * Query builder class
  */
@@ -40,6 +424,15 @@ class DbQuery {
     // Query parts
     this.pts = [];
 
+    // Names of relations to populate found Model instances with
+    this.populates = [];
+
+    // Dot-prop keys of fields to only fetch, or to fetch all fields except if excluding, if any
+    this.selection = null;
+
+    // Dot-prop keys to group Model instances by when aggregating
+    this.groups = [];
+
     // Bind all public building methods to self
     this.gt = this.gt.bind(this);
     this.or = this.or.bind(this);
@@ -50,6 +443,8 @@ class DbQuery {
     this.sort = this.sort.bind(this);
     this.limit = this.limit.bind(this);
     this.elem = this.elem.bind(this);
+    this.size = this.size.bind(this);
+    this.all = this.all.bind(this);
     this.where = this.where.bind(this);
     this.match = this.match.bind(this);
     this.ne = this.ne.bind(this);
@@ -57,13 +452,32 @@ class DbQuery {
     this.in = this.in.bind(this);
     this.or = this.or.bind(this);
     this.and = this.and.bind(this);
+    this.not = this.not.bind(this);
+    this.populate = this.populate.bind(this);
+    this.search = this.search.bind(this);
+    this.sortByRelevance = this.sortByRelevance.bind(this);
+    this.near = this.near.bind(this);
+    this.exists = this.exists.bind(this);
+    this.type = this.type.bind(this);
+    this.within = this.within.bind(this);
+    this.select = this.select.bind(this);
+    this.group = this.group.bind(this);
 
     // Bind all public finalization methods to self
     this.sum = this.sum.bind(this);
+    this.aggregate = this.aggregate.bind(this);
+    this.distinct = this.distinct.bind(this);
+    this.toNative = this.toNative.bind(this);
+    this.explain = this.explain.bind(this);
     this.find = this.find.bind(this);
     this.count = this.count.bind(this);
     this.remove = this.remove.bind(this);
     this.findOne = this.findOne.bind(this);
+    this.paginate = this.paginate.bind(this);
+    this.iterate = this.iterate.bind(this);
+    this.batches = this.batches.bind(this);
+    this.update = this.update.bind(this);
+    this.watch = this.watch.bind(this);
   }
 
   /**
@@ -76,11 +490,35 @@ class DbQuery {
   }
 
   /**
-   * Filter by if element matches in array
+   * Filter by if element matches in array, by a value, an object of operators such as
+   * `{ gt : 5 }`, or an object of values or operators by key of element objects
    */
   elem(arrKey, filter) {
     // Push query part for `elem` and return self
-    this.pts.push({ type : 'elem', arrKey, filter });
+    this.pts.push({ type : 'elem', arrKey, conditions : elemConditions(filter) });
+    return this;
+  }
+
+  /**
+   * Filter only Model instances where the value of the specified key is an array of the
+   * specified length
+   */
+  size(key, size) {
+    // Ensure size is a length
+    if (!Number.isInteger(size) || size < 0) throw new Error('Invalid size');
+
+    // Push query part for `size` and return self
+    this.pts.push({ type : 'size', key, size });
+    return this;
+  }
+
+  /**
+   * Filter only Model instances where the value of the specified key is an array containing all
+   * of the specified values
+   */
+  all(key, values) {
+    // Push query part for `all` and return self
+    this.pts.push({ type : 'all', vals : values, key });
     return this;
   }
 
@@ -175,22 +613,44 @@ class DbQuery {
   }
 
   /**
-   * Filter only Model instances by filter using multiple
-   * filter objects, where only one has to match
+   * Filter only Model instances by multiple query builders of only filters or filter objects,
+   * which may have operator objects such as `{ gt : 5 }`, where only one has to match
    */
-  or(...matches) {
-    // Push query part for `whereOr` and return self
-    this.pts.push({ type : 'whereOr', matches : matches.map(match => flatifyObj(match)) });
+  or(...branches) {
+    // Push query part for `whereOr` if filtering and return self
+    if (branches.length > 0) {
+      const filters = branches.map(branch => (branch instanceof DbQuery ? branch.pts : branch));
+      this.pts.push({ type : 'whereOr', branches : filters.map(branchPts) });
+    }
+
     return this;
   }
 
+  /**
+   * Filter only Model instances by multiple query builders of only filters or filter objects,
+   * which may have operator objects such as `{ gt : 5 }`, where all have to match
+   */
+  and(...branches) {
+    // Push query part for `whereAnd` if filtering and return self
+    if (branches.length > 0) {
+      const filters = branches.map(branch => (branch instanceof DbQuery ? branch.pts : branch));
+      this.pts.push({ type : 'whereAnd', branches : filters.map(branchPts) });
+    }
+
+    return this;
+  }
 
   /**
-   * Filter only Model instances by filter using multiple filter objects, where all have to match
+   * Filter only Model instances by multiple query builders of only filters or filter objects,
+   * which may have operator objects such as `{ gt : 5 }`, where none may match
    */
-  and(...matches) {
-    // Push query part for `whereAnd` and return self
-    this.pts.push({ type : 'whereAnd', matches : matches.map(match => flatifyObj(match)) });
+  not(...branches) {
+    // Push query part for `whereNot` if filtering and return self
+    if (branches.length > 0) {
+      const filters = branches.map(branch => (branch instanceof DbQuery ? branch.pts : branch));
+      this.pts.push({ type : 'whereNot', branches : filters.map(branchPts) });
+    }
+
     return this;
   }
 
@@ -234,6 +694,230 @@ class DbQuery {
     return this;
   }
 
+  /**
+   * Filter only Model instances matching search text, using a text index of exactly the fields
+   * where the plug supports one, or otherwise matching any word of the text case-insensitively in
+   * any of the fields
+   */
+  search(text, { fields = [], language = null } = {}) {
+    // Ensure there is a single search to match and sort by
+    if (this.pts.some(queryPt => queryPt.type === 'search')) {
+      throw new Error('Only one search per query is supported');
+    }
+
+    if (!(fields instanceof Array) || fields.length === 0) {
+      throw new Error('Search requires fields to match');
+    }
+
+    // Match each word of the text literally, as it is usually user input
+    const regexes = `${text}`.split(/\s+/).filter(word => word.length > 0)
+      .map(word => new RegExp(escapeRegex(word), 'i'));
+
+    // Push query part for `search` and return self
+    this.pts.push({
+      type : 'search', text : `${text}`, fields, language, regexes,
+    });
+    return this;
+  }
+
+  /**
+   * Sort returned Model instances by relevance to the search, most relevant first, which without
+   * a text index is the amount of words of the text matched in each field
+   */
+  sortByRelevance() {
+    // Ensure there is a search to sort by
+    if (!this.pts.some(queryPt => queryPt.type === 'search')) {
+      throw new Error('Sorting by relevance requires a search');
+    }
+
+    // Push query part for `relevance` and return self
+    this.pts.push({ type : 'relevance' });
+    return this;
+  }
+
+  /**
+   * Filter only Model instances where the specified key has a value, or is null or missing if
+   * not existing
+   */
+  exists(key, exists = true) {
+    // Push query part for `exists` and return self
+    this.pts.push({ type : 'exists', key, exists : !!exists });
+    return this;
+  }
+
+  /**
+   * Filter only Model instances where the value of the specified key is of a type, where `null`
+   * also matches missing values
+   */
+  type(key, valueType) {
+    // Ensure type is supported by all plugs
+    if (!valueTypes.includes(valueType)) {
+      throw new Error(`Invalid type \`${valueType}\``);
+    }
+
+    // Push query part for `type` and return self
+    this.pts.push({ type : 'type', key, valueType });
+    return this;
+  }
+
+  /**
+   * Filter only Model instances with a GeoJSON point by key within an optional distance in meters
+   * of `[lng, lat]` coordinates, returned nearest first after any sorts
+   */
+  near(key, coordinates, maxDistance = null) {
+    // Ensure there is a single point to sort by distance from
+    if (this.pts.some(queryPt => queryPt.type === 'near')) {
+      throw new Error('Only one near per query is supported');
+    }
+
+    if (!Geo.isCoordinates(coordinates)) {
+      throw new Error('Invalid coordinates');
+    }
+
+    if (maxDistance != null && !(maxDistance >= 0)) {
+      throw new Error('Invalid maximum distance');
+    }
+
+    // Push query part for `near` and return self
+    this.pts.push({
+      type : 'near', key, coordinates, maxDistance,
+    });
+    return this;
+  }
+
+  /**
+   * Filter only Model instances with a GeoJSON point by key inside a GeoJSON polygon, or an array
+   * of `[lng, lat]` coordinates of its outline
+   */
+  within(key, polygon) {
+    // Push query part for `within` and return self
+    this.pts.push({ type : 'within', key, polygon : Geo.toPolygon(polygon) });
+    return this;
+  }
+
+  /**
+   * Populate found Model instances with related Model instances by relation names
+   */
+  populate(...names) {
+    // Add relation names to populate and return self
+    this.populates.push(...names);
+    return this;
+  }
+
+  /**
+   * Only fetch fields by dot-prop keys, or all fields except keys prefixed with `-`, returning
+   * partial Model instances that only save their changed fields
+   */
+  select(...keys) {
+    const fields = [].concat(...keys);
+
+    // Ignore selecting nothing
+    if (fields.length === 0) return this;
+
+    // Ensure fields are either all included or all excluded
+    const exclude = fields[0].startsWith('-');
+
+    if (fields.some(field => field.startsWith('-') !== exclude)) {
+      throw new Error("Can't both include and exclude fields");
+    }
+
+    if (this.selection != null && this.selection.exclude !== exclude) {
+      throw new Error("Can't both include and exclude fields");
+    }
+
+    // Add to previously selected fields, without the ID which is always fetched
+    const selected = (this.selection != null ? this.selection.fields : [])
+      .concat(fields.map(field => (exclude ? field.slice(1) : field)))
+      .filter(field => field !== '_id');
+
+    // Always fetch the version so saving can still check it
+    const { versionKey } = this._Model;
+
+    if (versionKey != null && !exclude) selected.push(versionKey);
+
+    // Keep only the outermost of nested keys, and never exclude the version
+    this.selection = {
+      exclude,
+      fields : Array.from(new Set(selected)).filter((field, i, allFields) => {
+        if (exclude && versionKey != null && keysOverlap(field, versionKey)) return false;
+        return !allFields.some(other => other !== field && keyContains(other, field));
+      }),
+    };
+
+    return this;
+  }
+
+  /**
+   * Group Model instances by dot-prop keys when aggregating
+   */
+  group(...keys) {
+    // Add keys to group by and return self
+    this.groups.push(...[].concat(...keys));
+    return this;
+  }
+
+  /**
+   * Convert this query to a versioned JSON-compatible format, which can be stored or sent and
+   * rebuilt by `DbQuery.fromJSON`
+   */
+  toJSON() {
+    const selection = this.selection != null
+      ? { exclude : this.selection.exclude, fields : this.selection.fields.slice() }
+      : null;
+
+    return {
+      version   : jsonVersion,
+      pts       : this.pts.map(ptToJSON),
+      populates : this.populates.slice(),
+      selection,
+      groups    : this.groups.slice(),
+    };
+  }
+
+  /**
+   * Rebuild a query of a Model from JSON created by `toJSON`, which may be untrusted, so only
+   * supported query parts and values without database operators are allowed, and only dot-prop
+   * keys nested in or equal to the allowed keys, which allow none by default. Regexes are only
+   * allowed if enabled, while searches are always allowed as they match their text literally
+   */
+  static fromJSON(Model, json, { keys = [], regexes = false } = {}) {
+    if (!isPlainObject(json)) throw new Error('Invalid query JSON');
+    if (json.version !== jsonVersion) throw new Error('Unsupported query JSON version');
+    if (!(keys instanceof Array)) throw new Error('Allowed keys must be an array');
+
+    const { populates = [], selection = null, groups = [] } = json;
+
+    if (!(populates instanceof Array) || !populates.every(name => typeof name === 'string')) {
+      throw new Error('Invalid query JSON');
+    }
+
+    // Create query populating relations by name
+    const query = Model.populate(...populates);
+
+    // Build branches on query builders that are only nested, so never need the DB API
+    applyJsonPts(query, json.pts, keys, regexes, () => new DbQuery(Model, null));
+
+    if (selection != null) {
+      const validSelection = isPlainObject(selection) && typeof selection.exclude === 'boolean'
+        && selection.fields instanceof Array;
+
+      if (!validSelection) throw new Error('Invalid query JSON');
+
+      // The version is always selected, so doesn't have to be an allowed key
+      const fields = selection.fields.map((field) => {
+        return field === Model.versionKey ? field : checkJsonKey(field, keys);
+      });
+
+      query.select(...fields.map(field => (selection.exclude ? `-${field}` : field)));
+    }
+
+    if (!(groups instanceof Array)) throw new Error('Invalid query JSON');
+
+    query.group(...groups.map(group => checkJsonKey(group, keys)));
+
+    return query;
+  }
+
   /**
    * Finalize this query and return all matching Model instances
    */
@@ -242,6 +926,115 @@ class DbQuery {
     return await this._db.find(this._Model, this);
   }
 
+  /**
+   * Finalize this query and return a page of up to `limit` matching Model instances after an
+   * optional cursor from the previous page, as `{ items, nextCursor, hasMore }`
+   *
+   * Pages are found by the values of the sort keys and `_id` instead of skipping, so they stay
+   * fast and don't skip or repeat Model instances when data changes between pages. Null and
+   * missing values sort first, and only values of the same type are compared, so sort keys
+   * should only hold values of one type
+   */
+  async paginate({ after = null, limit = 20 } = {}) {
+    // Ensure limit is a positive integer
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('Invalid pagination limit');
+    }
+
+    // Ensure sorting by values only, as relevance can't be continued from
+    if (this.pts.some(queryPt => queryPt.type === 'relevance')) {
+      throw new Error("Can't paginate by relevance");
+    }
+
+    // Sort by `_id` last so every Model instance has a unique position
+    const sorts = this.pts.filter(queryPt => queryPt.type === 'sort')
+      .map(queryPt => ({ key : queryPt.sortKey, desc : queryPt.desc }));
+
+    if (!sorts.some(sort => sort.key === '_id')) sorts.push({ key : '_id', desc : false });
+    sorts.splice(sorts.findIndex(sort => sort.key === '_id') + 1);
+
+    const sortKeys = sorts.map(sort => (sort.desc ? `-${sort.key}` : sort.key));
+
+    // Create page query from this query, without skipping or limiting
+    const page = new DbQuery(this._Model, this._db);
+
+    page.pts = this.pts.filter(queryPt => queryPt.type !== 'skip' && queryPt.type !== 'limit');
+    page.populates = this.populates.slice();
+    page.selection = this.selection;
+
+    // Sort by `_id` last if not already sorted by it
+    if (!page.pts.some(queryPt => queryPt.type === 'sort' && queryPt.sortKey === '_id')) {
+      page.pts.push({ type : 'sort', sortKey : '_id', desc : false });
+    }
+
+    // Ensure sort keys are fetched, so the next cursor can be created
+    if (page.selection != null && page.selection.exclude) {
+      const fields = page.selection.fields.filter((field) => {
+        return !sorts.some(sort => keysOverlap(field, sort.key));
+      });
+
+      page.selection = { exclude : true, fields };
+    } else if (page.selection != null) {
+      page.select(sorts.map(sort => sort.key));
+    }
+
+    // Only find Model instances sorted after the cursor
+    if (after != null) {
+      const values = decodeCursor(after, sortKeys);
+
+      page.pts.push({
+        type  : 'after',
+        sorts : sorts.map((sort, i) => Object.assign({ value : values[i] }, sort)),
+      });
+    }
+
+    // Find one more Model instance than the limit to know if there are more
+    page.pts.push({ type : 'limit', limitAmount : limit + 1 });
+
+    const found = await page.find();
+    const items = found.slice(0, limit);
+    const hasMore = found.length > limit;
+
+    // Create cursor from the values of the sort keys of the last Model instance
+    const lastItem = items[items.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor(sortKeys, sorts.map(sort => lastItem.get(sort.key)))
+      : null;
+
+    return { items, nextCursor, hasMore };
+  }
+
+  /**
+   * Finalize this query and iterate all matching Model instances, only fetching them from the
+   * database in batches of provided size as they are used
+   */
+  async* iterate(size = 100) {
+    for await (const models of this.batches(size)) {
+      yield* models;
+    }
+  }
+
+  /**
+   * Finalize this query and iterate arrays of up to provided size of all matching Model
+   * instances, only fetching each from the database once the previous has been used
+   */
+  batches(size) {
+    // Ensure size is a positive integer
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error('Invalid batch size');
+    }
+
+    // Call internally stored DB API to iterate batches of models matching self query
+    return this._db.batches(this._Model, this, size);
+  }
+
+  /**
+   * Iterate all matching Model instances with `for await`
+   */
+  [Symbol.asyncIterator]() {
+    return this.iterate();
+  }
+
   /**
    * Finalize this query and return one matching Model instance
    */
@@ -266,6 +1059,52 @@ class DbQuery {
     return await this._db.sum(this._Model, this, key);
   }
 
+  /**
+   * Finalize this query and return aggregated values by name, of each group sorted by group
+   * values if grouped, or of all matching Model instances otherwise
+   */
+  async aggregate(aggregates) {
+    // Ensure aggregates are supported and don't clash with group keys
+    Aggregates.check(aggregates);
+
+    for (const name of Object.keys(aggregates)) {
+      if (this.groups.includes(name)) {
+        throw new Error(`Aggregate \`${name}\` clashes with a group key`);
+      }
+    }
+
+    // Call internally stored DB API to return aggregated values of models matching self query
+    return await this._db.aggregate(this._Model, this, aggregates);
+  }
+
+  /**
+   * Finalize this query and return the unique values by dot-prop key of all matching Model
+   * instances, in no particular order, where each element of array values is a value and null and
+   * missing values are ignored
+   */
+  async distinct(key) {
+    // Call internally stored DB API to return unique values of models matching self query
+    return await this._db.distinct(this._Model, this, key);
+  }
+
+  /**
+   * Finalize this query and return the plug-specific native query that finding matching Model
+   * instances would run, for debugging
+   */
+  async toNative() {
+    // Call internally stored DB API to return the native query finding models matching self query
+    return await this._db.toNative(this._Model, this);
+  }
+
+  /**
+   * Finalize this query and return `{ native, plan }` of the plug-specific native query that
+   * finding matching Model instances would run and the database's own plan for running it
+   */
+  async explain() {
+    // Call internally stored DB API to explain finding models matching self query
+    return await this._db.explain(this._Model, this);
+  }
+
   /**
    * Finalize this query and remove all matching Model instances
    */
@@ -273,6 +1112,24 @@ class DbQuery {
     // Call internally stored DB API to remove all models matching self query
     await this._db.remove(this._Model, this);
   }
+
+  /**
+   * Finalize this query and apply changes to all matching Model instances in one database
+   * operation, returning the amount modified. Changes are set by dot-prop key, with null values
+   * unsetting keys, and skip Model hooks and schema validation
+   */
+  async update(changes) {
+    // Call internally stored DB API to update all models matching self query
+    return await this._db.update(this._Model, this, changes);
+  }
+
+  /**
+   * Finalize this query and resolve a feed of changes to matching Model instances
+   */
+  async watch() {
+    // Call internally stored DB API to watch models matching self query
+    return await this._db.watch(this._Model, this);
+  }
 }
 
 // Exports
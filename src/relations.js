@@ -0,0 +1,95 @@
+/**
+ * Supported relation types
+ */
+const relationTypes = ['belongsTo', 'hasMany', 'hasOne'];
+
+/**
+ * Get a relation of a Model by name, normalised to `{ type, Model, key }`
+ */
+function getRelation(Model, name) {
+  const relation = Model.relations[name];
+
+  // Ensure relation exists and is of a supported type
+  if (relation == null) {
+    throw new Error(`${Model.name} has no relation \`${name}\``);
+  }
+
+  if (!relationTypes.includes(relation.type)) {
+    throw new Error(`Invalid relation type \`${relation.type}\``);
+  }
+
+  // Require Model class once used, as it requires this module through the DB API
+  const DbModel = module.require('./model');
+
+  // Call functions returning the related Model, which allow circular relations
+  const isModel = Class => typeof Class === 'function' && Class.prototype instanceof DbModel;
+  const RelatedModel = isModel(relation.Model) || typeof relation.Model !== 'function'
+    ? relation.Model
+    : relation.Model();
+
+  if (!isModel(RelatedModel)) {
+    throw new Error(`Relation \`${name}\` of ${Model.name} has no related Model`);
+  }
+
+  // Default to keys named after the Model storing the ID of the other
+  const key = relation.key || (relation.type === 'belongsTo'
+    ? `${name}Id`
+    : `${Model.name[0].toLowerCase()}${Model.name.slice(1)}Id`);
+
+  return { type : relation.type, Model : RelatedModel, key };
+}
+
+/**
+ * Populate Model instances with their related Model instances by relation names, using one
+ * query per relation
+ */
+async function populate(Model, models, names) {
+  // Nothing to populate without Model instances
+  if (models.length === 0) return;
+
+  await Promise.all(names.map(async (name) => {
+    const { type, Model : RelatedModel, key } = getRelation(Model, name);
+
+    if (type === 'belongsTo') {
+      // Find all related Model instances by the IDs stored in each Model instance
+      const ids = Array.from(new Set(models.map(model => model.get(key)).filter(id => id != null)));
+      const relatedModels = ids.length > 0 ? await RelatedModel.in('_id', ids).find() : [];
+
+      const relatedById = new Map(relatedModels.map(related => [`${related.get('_id')}`, related]));
+
+      // Set related Model instance of each Model instance
+      for (const model of models) {
+        model.setRelated(name, relatedById.get(`${model.get(key)}`) || null);
+      }
+
+      return;
+    }
+
+    // Find all related Model instances storing the ID of any Model instance
+    const ids = models.map(model => model.get('_id')).filter(id => id != null);
+    const relatedModels = ids.length > 0 ? await RelatedModel.in(key, ids).find() : [];
+
+    // Group related Model instances by the ID they store
+    const relatedByIds = new Map();
+
+    for (const related of relatedModels) {
+      const id = `${related.get(key)}`;
+
+      if (!relatedByIds.has(id)) relatedByIds.set(id, []);
+      relatedByIds.get(id).push(related);
+    }
+
+    // Set all related Model instances, or only the first for `hasOne`, of each Model instance
+    for (const model of models) {
+      const modelRelated = relatedByIds.get(`${model.get('_id')}`) || [];
+
+      model.setRelated(name, type === 'hasMany' ? modelRelated : modelRelated[0] || null);
+    }
+  }));
+}
+
+// Exports
+module.exports = {
+  getRelation,
+  populate,
+};
@@ -0,0 +1,140 @@
+// Require dependencies
+const DotProp = require('dot-prop');
+
+/**
+ * Checks for each supported field type
+ */
+const typeChecks = {
+  any     : () => true,
+  string  : val => typeof val === 'string',
+  number  : val => typeof val === 'number' && !Number.isNaN(val),
+  boolean : val => typeof val === 'boolean',
+  date    : val => val instanceof Date && !Number.isNaN(val.getTime()),
+  array   : val => val instanceof Array,
+  object  : val => val != null && typeof val === 'object' && !(val instanceof Array) && !(val instanceof Date),
+};
+
+/**
+ * Normalise a field definition, expanding type name shorthands
+ */
+function fieldDef(def) {
+  // Expand `'string'` to `{ type : 'string' }`
+  const field = typeof def === 'string' ? { type : def } : Object.assign({}, def);
+
+  // Default to allowing any type
+  if (field.type == null) field.type = 'any';
+
+  // Ensure field type is supported
+  if (!Object.prototype.hasOwnProperty.call(typeChecks, field.type)) {
+    throw new Error(`Invalid schema type \`${field.type}\``);
+  }
+
+  return field;
+}
+
+/**
+ * Join a dot-prop path and a key
+ */
+function joinPath(path, key) {
+  return path.length > 0 ? `${path}.${key}` : `${key}`;
+}
+
+/**
+ * Get the measured size of a value for min and max checks
+ */
+function measure(val) {
+  // Measure strings and arrays by length, everything else by value
+  return typeof val === 'string' || val instanceof Array ? val.length : val;
+}
+
+/**
+ * Validate a single value against a field definition, adding failures to errors
+ */
+function validateField(def, val, path, errors) {
+  const field = fieldDef(def);
+
+  // Missing values only fail if required
+  if (val == null) {
+    if (field.required) errors.push({ path, message : `${path} is required` });
+    return;
+  }
+
+  // Stop at values of the wrong type
+  if (!typeChecks[field.type](val)) {
+    errors.push({ path, message : `${path} must be of type ${field.type}` });
+    return;
+  }
+
+  // Check value is allowed
+  if (field.enum != null && !field.enum.includes(val)) {
+    errors.push({ path, message : `${path} must be one of ${field.enum.join(', ')}` });
+  }
+
+  // Check value is in bounds
+  if (field.min != null && measure(val) < field.min) {
+    errors.push({ path, message : `${path} must be at least ${field.min}` });
+  }
+
+  if (field.max != null && measure(val) > field.max) {
+    errors.push({ path, message : `${path} must be at most ${field.max}` });
+  }
+
+  // Validate nested object fields
+  if (field.type === 'object' && field.fields != null) {
+    for (const [key, nestedDef] of Object.entries(field.fields)) {
+      validateField(nestedDef, val[key], joinPath(path, key), errors);
+    }
+  }
+
+  // Validate each array item
+  if (field.type === 'array' && field.items != null) {
+    val.forEach((item, i) => validateField(field.items, item, joinPath(path, i), errors));
+  }
+}
+
+/**
+ * Validate data against a schema, returning an array of `{ path, message }` failures
+ */
+function validate(schema, data) {
+  const errors = [];
+
+  // Validate top level fields
+  for (const [key, def] of Object.entries(schema)) {
+    validateField(def, data[key], key, errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Get defaults for missing fields in data, returning an array of `[path, value]` entries
+ */
+function defaults(schema, data, path = '') {
+  const entries = [];
+
+  for (const [key, def] of Object.entries(schema)) {
+    const field = fieldDef(def);
+    const fieldPath = joinPath(path, key);
+
+    // Get current value selected by dot-prop path
+    const val = DotProp.get(data, fieldPath);
+
+    if (val == null) {
+      // Use default for missing value, calling default functions to get fresh values
+      if (field.default !== undefined) {
+        entries.push([fieldPath, typeof field.default === 'function' ? field.default() : field.default]);
+      }
+    } else if (field.type === 'object' && field.fields != null && typeChecks.object(val)) {
+      // Get defaults for nested fields of existing objects
+      entries.push(...defaults(field.fields, data, fieldPath));
+    }
+  }
+
+  return entries;
+}
+
+// Exports
+module.exports = {
+  validate,
+  defaults,
+};
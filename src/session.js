@@ -0,0 +1,173 @@
+// Require dependencies
+const { assert } = require('chai');
+
+// Require local dependencies
+const DbModel = require('./model');
+const DbQuery = require('./query');
+
+/**
+ * Session class keeping an identity map of Model instances of a database, so finding the same
+ * stored Model instance within a session always returns the same instance, and saving all changed
+ * Model instances of the session at once
+ *
+ * Model instances are found within a session by its own find methods, or by any find of Models
+ * registered with its database while an async function runs in it by `run`, such as a request
+ * handler, including populated related Model instances. Finds outside of it aren't affected.
+ *
+ * The first found instance is kept, so finding it again doesn't overwrite its unsaved changes.
+ * Partially fetched instances are only replaced by an already kept instance, as keeping them
+ * would hide fields from later finds
+ */
+class DbSession {
+  /**
+   * Construct session class of an internal DB API
+   */
+  constructor(dbApi) {
+    // Store internal DB API whose finds are kept
+    this._dbApi = dbApi;
+
+    // Kept Model instances by Model ID, in maps by Model class
+    this._models = new Map();
+
+    // Added Model instances not yet stored in the database
+    this._added = new Set();
+
+    // Bind public methods to self
+    this.run = this.run.bind(this);
+    this.get = this.get.bind(this);
+    this.add = this.add.bind(this);
+    this.findById = this.findById.bind(this);
+    this.find = this.find.bind(this);
+    this.findOne = this.findOne.bind(this);
+    this.flush = this.flush.bind(this);
+    this.clear = this.clear.bind(this);
+  }
+
+  /**
+   * Run an async function in this session, so all Model instances it finds of Models registered
+   * with the session's database are kept, resolving its result
+   */
+  async run(fn) {
+    return await this._dbApi.runInSession(this, fn);
+  }
+
+  /**
+   * Get the kept Model instance by Model class and Model ID, or null, forgetting it if removed
+   */
+  get(Model, id) {
+    const models = this._models.get(Model);
+
+    if (models == null || !models.has(id)) return null;
+
+    // Removed Model instances no longer have their Model ID
+    const model = models.get(id);
+
+    if (model.get('_id') !== id) {
+      models.delete(id);
+      return null;
+    }
+
+    return model;
+  }
+
+  /**
+   * Add a Model instance to this session, to be saved by `flush`, returning the kept Model
+   * instance of the same stored Model instance if there is one
+   */
+  add(model) {
+    // Ensure model is a Model instance
+    assert.instanceOf(model, DbModel, 'Model must be a DbModel instance');
+
+    const id = model.get('_id');
+
+    // Keep Model instances not yet stored once they are
+    if (id == null) {
+      this._added.add(model);
+      return model;
+    }
+
+    const kept = this.get(model.constructor, id);
+
+    if (kept != null) return kept;
+
+    // Don't keep partially fetched Model instances
+    if (model.isPartial()) return model;
+
+    if (!this._models.has(model.constructor)) this._models.set(model.constructor, new Map());
+    this._models.get(model.constructor).set(id, model);
+
+    return model;
+  }
+
+  /**
+   * Find Model instance by Model class and ID in this session, optionally only fetching fields as
+   * selected by `select`
+   */
+  async findById(Model, id, fields = null) {
+    return await this.run(() => Model.findById(id, fields));
+  }
+
+  /**
+   * Finalize a query in this session and return all matching Model instances
+   */
+  async find(query) {
+    // Ensure query is a query builder
+    assert.instanceOf(query, DbQuery, 'Query must be a DbQuery instance');
+
+    return await this.run(() => query.find());
+  }
+
+  /**
+   * Finalize a query in this session and return the first matching Model instance
+   */
+  async findOne(query) {
+    // Ensure query is a query builder
+    assert.instanceOf(query, DbQuery, 'Query must be a DbQuery instance');
+
+    return await this.run(() => query.findOne());
+  }
+
+  /**
+   * Save all added and kept Model instances with unsaved changes, one at a time so a failing
+   * save stops the flush with the remaining changes left unsaved, returning the amount saved
+   */
+  async flush() {
+    let saved = 0;
+
+    // Save added Model instances, keeping them once stored
+    for (const model of this._added) {
+      if (model.isDirty()) {
+        await model.save();
+        saved += 1;
+      }
+
+      this._added.delete(model);
+      if (model.get('_id') != null) this.add(model);
+    }
+
+    // Save changed kept Model instances, forgetting those since removed
+    for (const [Model, models] of this._models) {
+      for (const id of Array.from(models.keys())) {
+        const model = this.get(Model, id);
+
+        if (model != null && model.isDirty()) {
+          await model.save();
+          saved += 1;
+        }
+      }
+    }
+
+    return saved;
+  }
+
+  /**
+   * Forget all added and kept Model instances, so they are found again
+   */
+  clear() {
+    this._models = new Map();
+    this._added = new Set();
+  }
+}
+
+// Export module
+module.exports = DbSession;
@@ -0,0 +1,1907 @@
+// Require dependencies
+const { assert } = require('chai');
+
+// Require local dependencies
+const Db      = require('./db');
+const DbModel = require('./model');
+const DbQuery = require('./query');
+
+const {
+  count, sum, avg, min, max,
+} = require('./aggregates');
+
+const { ValidationError, ConflictError } = require('./errors');
+
+/**
+ * Check count, find, sum and findOne results of a query against expected Model data
+ */
+async function testQueryActions(opts) {
+  opts.ignores = opts.ignores || [];
+  opts.checkOrder = opts.checkOrder || false;
+
+  if (opts.ignores.indexOf('count') === -1) {
+    const modelCount = await opts.query.count();
+    assert.strictEqual(modelCount, opts.models.length, 'Count of models is wrong');
+  }
+
+  if (opts.ignores.indexOf('find') === -1) {
+    const models = await opts.query.find();
+    assert.isArray(models, 'Return from find is not an array');
+
+    const modelsData = models.map(model => model.get());
+
+    if (opts.checkOrder) {
+      assert.deepEqual(modelsData, opts.models, 'Found models are not the same as expected models');
+    } else {
+      assert.sameDeepMembers(modelsData, opts.models, 'Found models are not the same as expected');
+    }
+  }
+
+  if (opts.ignores.indexOf('sum') === -1) {
+    const modelSum = await opts.query.sum('val');
+    assert.strictEqual(modelSum, opts.models.length * 2, 'Sum of fetched model\'s `val` is the wrong amount');
+  }
+
+  if (opts.ignores.indexOf('findOne') === -1) {
+    const model = await opts.query.findOne();
+
+    if (opts.models.length > 0) {
+      assert.isNotNull(model, 'Single model request returned null, expected model');
+
+      if (opts.checkOrder) {
+        assert.deepEqual(model.get(), opts.models[0]);
+      } else {
+        // For lack of a better method?
+        assert.includeDeepMembers(opts.models, [model.get()], 'Found single model matched none of the expected');
+      }
+    } else {
+      assert.isNull(model, 'Single model request returned model, expected null');
+    }
+  }
+}
+
+/**
+ * Store matching and non-matching Model data, checking query results before and after
+ */
+async function testSimpleQuery(opts) {
+  await opts.Model.remove({});
+
+  for (const entriesArr of [opts.testMatches, opts.testMatchEntries, opts.testNotMatchEntries]) {
+    if (entriesArr == null) continue;
+
+    for (const entry of entriesArr) {
+      entry.val = 2;
+    }
+  }
+
+  if (opts.testNotMatchEntries.length > 0) {
+    await Promise.all(opts.testNotMatchEntries.map(async (testEntry) => {
+      await (new opts.Model(testEntry)).save();
+    }));
+  }
+
+  await testQueryActions({
+    ignores : opts.ignores,
+    query   : opts.query,
+    models  : [],
+  });
+
+  await Promise.all(opts.testMatchEntries.map(async (testEntry) => {
+    await (new opts.Model(testEntry)).save();
+  }));
+
+  await testQueryActions({
+    ignores     : opts.ignores,
+    query       : opts.query,
+    models      : opts.testMatches || opts.testMatchEntries,
+    checkOrder  : opts.checkOrder,
+  });
+}
+
+async function testWhere(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.where({ a : { b : 1 }, b : 2, c : null }),
+    testMatchEntries    : [
+      { a : { b : 1 }, b : 2 },
+      { a : { a : 1, b : 1 }, b : 2 },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : { b : 1 }, b : 2, c : true },
+      { a : { b : 1 }, b : 3 },
+      { a : { a : 1, b : 1 }, b : 3 },
+      { a : { b : 1 } },
+      { a : { a : 1, b : 1 } },
+      // { a: 1 },
+      // { a: [1] },
+    ],
+  });
+
+  await testSimpleQuery({
+    Model,
+    query               : Model.where({ a : 1 }),
+    testMatchEntries    : [
+      { a : 1, b : 2 },
+      { a : 1 },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : 2, b : 2 },
+      { a : 2 },
+      // { a: [1] },
+    ],
+  });
+}
+
+async function testDeepWhere(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.where({ a : { x : 1 } }),
+    testMatchEntries    : [
+      { a : { x : 1 } },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : { x : 2 } },
+      // { a: 1 },
+      // { a: [1] },
+    ],
+  });
+}
+
+async function testElemVal(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.elem('a', 1),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : [2, 1, 3] },
+      { a : [3, 1, 2] },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : [2, 3, 4] },
+      { a : [4, 3, 2] },
+      { a : [{ x : 1 }] },
+      { a : 1 },
+      { a : { x : 1 } },
+    ],
+  });
+}
+
+async function testElemObj(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.elem('a', { x : 1 }),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : [{ x : 1 }, { x : 2 }] },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : [{ x : 2 }] },
+      { a : 1 },
+      { a : { x : 1 } },
+      { a : [1] },
+    ],
+  });
+}
+
+async function testElemOps(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.elem('items', { qty : { gt : 5 } }),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { items : [{ qty : 2 }, { qty : 6 }] },
+      { items : [{ qty : 10, name : 'a' }] },
+    ],
+    testNotMatchEntries : [
+      { },
+      { items : [{ qty : 5 }] },
+      { items : [{ qty : '6' }] },
+      { items : [6] },
+      { items : { qty : 6 } },
+    ],
+  });
+
+  // All conditions must match the same element
+  await testSimpleQuery({
+    Model,
+    query               : Model.elem('items', { qty : { gte : 2, lt : 5 }, name : 'a' }),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { items : [{ qty : 2, name : 'a' }] },
+      { items : [{ qty : 9, name : 'a' }, { qty : 4, name : 'a' }] },
+    ],
+    testNotMatchEntries : [
+      { },
+      { items : [{ qty : 2, name : 'b' }, { qty : 9, name : 'a' }] },
+      { items : [{ qty : 5, name : 'a' }] },
+      { items : [{ qty : 2 }] },
+    ],
+  });
+
+  await testSimpleQuery({
+    Model,
+    query               : Model.elem('items', { name : { in : ['a', 'b'] }, qty : { ne : null } }),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { items : [{ name : 'b', qty : 1 }] },
+      { items : [{ name : 'c', qty : 1 }, { name : 'a', qty : 0 }] },
+    ],
+    testNotMatchEntries : [
+      { },
+      { items : [{ name : 'b' }] },
+      { items : [{ name : 'c', qty : 1 }] },
+      { items : ['a'] },
+    ],
+  });
+
+  // Operator objects filter elements themselves
+  await testSimpleQuery({
+    Model,
+    query               : Model.elem('a', { gt : 1, lte : 3 }),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : [0, 3] },
+      { a : [2] },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : [0, 4] },
+      { a : ['2'] },
+      { a : [{ gt : 2 }] },
+      { a : 2 },
+    ],
+  });
+
+  await testSimpleQuery({
+    Model,
+    query               : Model.elem('a', { nin : [1, 2] }),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : [1, 3] },
+      { a : ['1'] },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : [1, 2] },
+      { a : [] },
+      { a : 3 },
+    ],
+  });
+
+  assert.throws(() => Model.elem('a', { in : 1 }), 'Invalid `in` values');
+}
+
+async function testSize(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.size('a', 2),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : [1, 2] },
+      { a : [[1], { x : 1 }] },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : [1] },
+      { a : [1, 2, 3] },
+      { a : { x : 1, y : 2 } },
+      { a : 'ab' },
+    ],
+  });
+
+  await testSimpleQuery({
+    Model,
+    query               : Model.size('a', 0),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : [] },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : [1] },
+      { a : '' },
+      { a : { } },
+    ],
+  });
+
+  assert.throws(() => Model.size('a', -1), 'Invalid size');
+  assert.throws(() => Model.size('a', 1.5), 'Invalid size');
+}
+
+async function testAll(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.all('a', [1, 'x']),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : ['x', 2, 1] },
+      { a : [1, 'x'] },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : [1] },
+      { a : ['1', 'x'] },
+      { a : [[1, 'x']] },
+      { a : 1 },
+    ],
+  });
+
+  await testSimpleQuery({
+    Model,
+    query               : Model.all('a', [{ x : 1 }]),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : [{ x : 1 }, 2] },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : [{ x : 1, y : 2 }] },
+      { a : { x : 1 } },
+    ],
+  });
+
+  // Without values every array matches
+  await testSimpleQuery({
+    Model,
+    query               : Model.all('a', []),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : [] },
+      { a : [1] },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : 1 },
+    ],
+  });
+}
+
+async function testLt(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.lt('a', 100),
+    testMatchEntries    : [
+      { a : 99 },
+      { a : -1 },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : 101 },
+      { a : 500 },
+      { a : { x : 1 } },
+      // { a: [{ x: 1 }] },
+      // { a: [1] },
+    ],
+  });
+}
+
+async function testGt(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.gt('a', 100),
+    testMatchEntries    : [
+      { a : 101 },
+      { a : 500 },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : 99 },
+      { a : -1 },
+      { a : [{ x : 1 }] },
+      { a : [2] },
+      // { a: { x: 1 } },
+    ],
+  });
+}
+
+async function testLte(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.lte('a', 100),
+    testMatchEntries    : [
+      { a : 100 },
+      { a : 99 },
+      { a : -1 },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : 101 },
+      { a : 500 },
+      { a : { x : 1 } },
+      // { a: [{ x: 100 }] },
+      // { a: [100] },
+    ],
+  });
+}
+
+async function testGte(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.gte('a', 100).where({ b : 10 }),
+    testMatchEntries    : [
+      { a : 100, b : 10 },
+      { a : 101, b : 10 },
+      { a : 500, b : 10 },
+    ],
+    testNotMatchEntries : [
+      { },
+      { b : 10 },
+      { a : 100, b : 1 },
+      { a : 99 },
+      { a : -1 },
+      { a : [{ x : 100 }] },
+      // { a: { x: 100 } },
+      // { a: [100] },
+    ],
+  });
+}
+
+async function testNe(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.ne('a', 'a').ne('a', 'b').ne('c', true),
+    testMatchEntries    : [
+      { },
+      { a : 'c' },
+      { a : { x : 'a' } },
+      { a : { x : 'b' } },
+      { a : [{ x : 'a' }] },
+      { a : [{ x : 'b' }] },
+      // { a: ['a'] },
+      // { a: ['b'] },
+    ],
+    testNotMatchEntries : [
+      { a : 'a' },
+      { a : 'b' },
+      { a : 'c', c : true },
+    ],
+  });
+}
+
+async function testNin(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.nin('a', ['a', 'b']),
+    testMatchEntries    : [
+      { },
+      { a : 'c' },
+      { a : { x : 'a' } },
+      { a : { x : 'b' } },
+      { a : [{ x : 'a' }] },
+      { a : [{ x : 'b' }] },
+      // { a: ['a'] },
+      // { a: ['b'] },
+    ],
+    testNotMatchEntries : [
+      { a : 'a' },
+      { a : 'b' },
+    ],
+  });
+}
+
+async function testIn(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.in('a', ['a', 'b']),
+    testMatchEntries    : [
+      { a : 'a' },
+      { a : 'b' },
+      { a : 'a', b : 'a' },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : 'c' },
+      // { a: ['a'] },
+    ],
+  });
+}
+
+async function testDeepIn(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.in('a.a', ['a', 'b']),
+    testMatchEntries    : [
+      { a : { a : 'a' } },
+      { a : { a : 'b' } },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : { a : 'c' } },
+      { a : { b : 'a' } },
+      // { a: 'a' },
+      // { a: ['a'] },
+    ],
+  });
+}
+
+async function testDates(Model) {
+  await Model.remove({});
+
+  const dates = [new Date('2020-01-01T00:00:00.000Z'), new Date('2020-01-02T00:00:00.000Z')];
+
+  for (const at of dates) {
+    await new Model({ at }).save();
+  }
+
+  // Plugs storing JSON, such as SQLite and PostgreSQL, find dates as their ISO strings
+  const found = await Model.gte('at', dates[1]).find();
+  const at = found.length > 0 ? found[0].get('at') : null;
+
+  assert.lengthOf(found, 1, 'Dates should be filtered in date order');
+  assert.strictEqual(at instanceof Date ? at.toISOString() : at, dates[1].toISOString(), 'Found date should be the saved date or its ISO string');
+
+  const sorted = (await Model.sort('at', 'desc').find()).map(model => new Date(model.get('at')).getTime());
+  assert.deepEqual(sorted, [dates[1].getTime(), dates[0].getTime()], 'Dates should be sorted in date order');
+}
+
+async function testMatch(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.match('a', /^[Ww][aoe]+w( lad)?$/),
+    testMatchEntries    : [
+      { a : 'wew lad' },
+      { a : 'Weeeeew' },
+      { a : 'waaaw lad' },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : 'wewee' },
+      { a : 'WEW LAD' },
+      { a : 'wAw' },
+      // { a: { } },
+      // { a: ['wew'] },
+      // { a: 1 },
+    ],
+  });
+}
+
+async function testOr(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.or({ a : 1, b : 2 }, { a : 2, b : 1 }, { c : 'a' }, { c : 'b' }),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : 1, b : 2 },
+      { a : 2, b : 1 },
+      { a : 1, b : 1, c : 'a' },
+      { a : 1, b : 1, c : 'b' },
+    ],
+    testNotMatchEntries : [
+      { },
+      { c : 'c' },
+      { a : 1 },
+      { b : 1 },
+      { a : 2 },
+      { b : 2 },
+      { a : 2, b : 2 },
+      { a : 1, b : 1 },
+      { a : { a : 1 } },
+      { a : [{ a : 1 }] },
+      // { a: [1] },
+    ],
+  });
+}
+
+async function testOrs(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.or({ a : 1 }, { a : 2 }).or({ b : 1 }, { b : 2 })
+      .not({ c : 1 })
+      .not({ c : 2 }),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : 1, b : 1 },
+      { a : 2, b : 2, c : 3 },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : 1 },
+      { b : 2 },
+      { a : 3, b : 1 },
+      { a : 1, b : 1, c : 1 },
+      { a : 1, b : 1, c : 2 },
+    ],
+  });
+
+  // Each `or` in a branch must match as well
+  await testSimpleQuery({
+    Model,
+    query               : Model.and(Model.or({ a : 1 }, { a : 2 }).or({ b : 1 }, { b : 2 }), {
+      c : 1,
+    }),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : 2, b : 1, c : 1 },
+    ],
+    testNotMatchEntries : [
+      { a : 2, c : 1 },
+      { b : 1, c : 1 },
+      { a : 2, b : 1 },
+    ],
+  });
+}
+
+async function testAnd(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.and({ a : 1 }, { b : 2 }),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : 1, b : 2 },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : 1, b : 3 },
+      { a : 2, b : 2 },
+      { a : { x : 1 } },
+      { a : [{ x : 1 }] },
+      // { a: [1] },
+    ],
+  });
+}
+
+async function testNot(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.not({ a : 1 }, { b : { gt : 1 } }),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { },
+      { a : 2, b : 1 },
+      { b : '2' },
+    ],
+    testNotMatchEntries : [
+      { a : 1 },
+      { b : 2 },
+      { a : 2, b : 5 },
+    ],
+  });
+}
+
+async function testNested(Model) {
+  // Match `(price < 10 OR tag in [a, b]) AND NOT archived`
+  await testSimpleQuery({
+    Model,
+    query               : Model.and(
+      Model.or(Model.lt('price', 10), { tag : { in : ['a', 'b'] } }),
+      Model.not({ archived : true }),
+    ),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { price : 5 },
+      { price : 20, tag : 'a' },
+      { price : 5, archived : false },
+    ],
+    testNotMatchEntries : [
+      { },
+      { price : 20 },
+      { price : 5, archived : true },
+      { price : 20, tag : 'c' },
+      { price : '5' },
+    ],
+  });
+
+  // All query parts of a sub-query have to match
+  await testSimpleQuery({
+    Model,
+    query               : Model.or(Model.gte('a', 2).lte('a', 3), Model.where({ b : 1 }).ne('c', null)),
+    ignores             : ['sum'],
+    testMatchEntries    : [
+      { a : 2 },
+      { a : 3 },
+      { b : 1, c : 0 },
+    ],
+    testNotMatchEntries : [
+      { },
+      { a : 4 },
+      { b : 1 },
+      { a : 1, b : 1 },
+    ],
+  });
+
+  assert.throws(() => Model.or(Model.sort('a')), 'Only filters can be nested');
+  assert.throws(() => Model.and({ a : { in : 1 } }), 'Invalid `in` values');
+}
+
+async function testLimit(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.limit(2),
+    testMatches         : [{ }, { }],
+    testMatchEntries    : [
+      { },
+      { },
+      { },
+      { },
+    ],
+    testNotMatchEntries : [],
+  });
+}
+
+async function testSort(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.sort('a'),
+    checkOrder          : true,
+    testMatches         : [
+      { a : 5 },
+      { a : 4 },
+      { a : 3 },
+      { a : 2 },
+      { a : 1 },
+    ],
+    testMatchEntries    : [
+      { a : 2 },
+      { a : 4 },
+      { a : 1 },
+      { a : 5 },
+      { a : 3 },
+    ],
+    testNotMatchEntries : [],
+  });
+}
+
+async function testSortSkip(Model) {
+  await testSimpleQuery({
+    Model,
+    query               : Model.sort('a').skip(1),
+    checkOrder          : true,
+    testMatches         : [
+      { a : 4 },
+      { a : 3 },
+      { a : 2 },
+      { a : 1 },
+    ],
+    testMatchEntries    : [
+      { a : 2 },
+      { a : 4 },
+      { a : 1 },
+      { a : 5 },
+      { a : 3 },
+    ],
+    testNotMatchEntries : [],
+  });
+}
+
+function testGetSet(Model) {
+  const model = new Model({ a : 1, b : { a : 2 } });
+
+  assert.strictEqual(model.get('a'), 1, 'Model data should initially have `a` be 1');
+  assert.strictEqual(model.get().a, 1, 'Full model data should initially have `a` be 1');
+  assert.strictEqual(model.get('b.a'), 2, 'Model data should initially have `b.a` be 2');
+  assert.strictEqual(model.get('b').a, 2, 'Full `b` model data should initially have `a` be 2');
+  assert.strictEqual(model.get().b.a, 2, 'Full model data should initially have `b.a` be 2');
+
+  model.set('a', 2);
+  model.set('b.a', 1);
+
+  assert.strictEqual(model.get('a'), 2, 'Model data should now have `a` be 2');
+  assert.strictEqual(model.get().a, 2, 'Full model data should now have `a` be 2');
+  assert.strictEqual(model.get('b.a'), 1, 'Model data should now have `b.a` be 1');
+  assert.strictEqual(model.get('b').a, 1, 'Full `b` model data should now have `a` be 1');
+  assert.strictEqual(model.get().b.a, 1, 'Full model data should now have `b.a` be 1');
+
+  model.push('c', 1);
+  model.set('d', [1]);
+  model.push('d', 2);
+
+  assert.deepEqual(model.get('c'), [1], 'Model data should now have `c` be [1]');
+  assert.deepEqual(model.get('d'), [1, 2], 'Model data should now have `d` be [1, 2]');
+}
+
+async function testModel(Model) {
+  await Model.remove({});
+
+  const model = new Model({ a : 1 });
+
+  assert.isNull(await Model.findOne(), 'findOne returned model data when none should exist');
+  assert.lengthOf(await Model.find(), 0, 'find returned a non empty array of model data when none should exist');
+
+  await model.save();
+
+  const model2 = await Model.findOne();
+
+  assert.isNotNull(model2, 'findOne returned null when model data should exist');
+  assert.lengthOf(await Model.find(), 1, 'find returned an empty array when model data should exist');
+
+  assert.strictEqual(model.get('a'), 1);
+  assert.strictEqual(model2.get('a'), 1);
+
+  model.set('b', 2);
+  await model.save();
+  await model2.refresh();
+
+  assert.strictEqual(model.get('b'), 2);
+  assert.strictEqual(model2.get('b'), 2);
+  assert.strictEqual(model.get('a'), 1);
+  assert.strictEqual(model2.get('a'), 1);
+
+  model.unset('b');
+  await model.save();
+  await model2.refresh();
+
+  assert.strictEqual(model.get('b'), undefined);
+  assert.strictEqual(model2.get('b'), undefined);
+  assert.strictEqual(model.get('a'), 1);
+  assert.strictEqual(model2.get('a'), 1);
+
+  model.set('a', 3);
+  await model.replace();
+  await model2.refresh();
+
+  assert.strictEqual(model.get('a'), 3);
+  assert.strictEqual(model2.get('a'), 3);
+  assert.strictEqual(model.get('b'), undefined);
+  assert.strictEqual(model2.get('b'), undefined);
+}
+
+async function testSchema(Model, db) {
+  class SchemaModel extends Model {
+    static get schema() {
+      return {
+        name    : { type : 'string', required : true, min : 2 },
+        status  : { type : 'string', enum : ['draft', 'live'], default : 'draft' },
+        age     : { type : 'number', min : 0, max : 150 },
+        tags    : { type : 'array', items : 'string' },
+        profile : {
+          type   : 'object',
+          fields : {
+            email   : { type : 'string', required : true },
+            country : { type : 'string', default : 'nz' },
+          },
+        },
+      };
+    }
+  }
+
+  await db.register(SchemaModel);
+  await SchemaModel.remove({});
+
+  const model = new SchemaModel({
+    name    : 'a',
+    age     : -1,
+    tags    : ['a', 1],
+    profile : { },
+  });
+
+  let error = null;
+
+  try {
+    await model.save();
+  } catch (err) {
+    error = err;
+  }
+
+  assert.instanceOf(error, ValidationError, 'Saving invalid model data should throw a ValidationError');
+  assert.sameMembers(error.paths, ['name', 'age', 'tags.1', 'profile.email'], 'Validation error should list every failing path');
+  assert.strictEqual(await SchemaModel.count(), 0, 'Invalid model data should not be saved');
+
+  model.set('name', 'ab');
+  model.set('age', 1);
+  model.set('tags', ['a']);
+  model.set('profile.email', 'a@b.c');
+  await model.save();
+
+  const model2 = await SchemaModel.findById(model.get('_id'));
+
+  assert.strictEqual(model2.get('status'), 'draft', 'Missing field should be saved with its default');
+  assert.strictEqual(model2.get('profile.country'), 'nz', 'Missing nested field should be saved with its default');
+
+  model2.set('status', 'deleted');
+
+  error = null;
+
+  try {
+    await model2.replace();
+  } catch (err) {
+    error = err;
+  }
+
+  assert.instanceOf(error, ValidationError, 'Replacing invalid model data should throw a ValidationError');
+  assert.deepEqual(error.paths, ['status']);
+}
+
+async function testHooks(Model, db) {
+  const calls = [];
+
+  class HookModel extends Model {
+    async beforeSave() {
+      calls.push(['beforeSave', Array.from(this.__updates)]);
+
+      // Normalise data before it is saved
+      if (this.get('email') != null) this.set('email', this.get('email').toLowerCase());
+    }
+
+    async afterFind() {
+      calls.push(['afterFind', this.get('_id')]);
+    }
+  }
+
+  HookModel.hook('beforeRemove', async (model) => {
+    calls.push(['beforeRemove', model.get('_id')]);
+
+    // Abort removing locked models
+    if (model.get('locked')) throw new Error('Model is locked');
+  });
+
+  HookModel.hook('afterRemove', async (model) => {
+    calls.push(['afterRemove', model.get('_id')]);
+  });
+
+  await db.register(HookModel);
+  await HookModel.remove({});
+
+  const model = new HookModel({ email : 'A@B.C' });
+  await model.save();
+
+  const id = model.get('_id');
+
+  assert.strictEqual((await HookModel.findById(id)).get('email'), 'a@b.c', 'beforeSave hook should change saved data');
+
+  model.set('locked', true);
+  await model.save();
+
+  assert.deepInclude(calls, ['beforeSave', ['locked']], 'beforeSave hook should see updated keys');
+
+  await HookModel.find();
+  await HookModel.findOne();
+  await model.refresh();
+
+  assert.lengthOf(calls.filter(([name]) => name === 'afterFind'), 4, 'afterFind hook should run for every found model');
+
+  let error = null;
+
+  try {
+    await model.remove();
+  } catch (err) {
+    error = err;
+  }
+
+  assert.isNotNull(error, 'Throwing beforeRemove hook should abort removal');
+  assert.strictEqual(await HookModel.count(), 1, 'Throwing beforeRemove hook should abort removal');
+
+  model.set('locked', false);
+  await model.save();
+  await model.remove();
+
+  assert.deepInclude(calls, ['afterRemove', id], 'afterRemove hook should run with removed model');
+  assert.strictEqual(await HookModel.count(), 0);
+}
+
+async function testUpdate(Model) {
+  await Model.remove({});
+
+  for (const n of [1, 2, 3]) {
+    await new Model({
+      n,
+      upd  : true,
+      gone : true,
+      meta : { a : n },
+    }).save();
+  }
+
+  await new Model({ n : 4, upd : false }).save();
+
+  const modifiedCount = await Model.where({ upd : true }).update({
+    val         : 5,
+    gone        : null,
+    'meta.b'    : 2,
+    'deep.er.k' : 'v',
+  });
+
+  assert.strictEqual(modifiedCount, 3, 'Update should return the amount of modified models');
+
+  const modelsData = (await Model.where({ upd : true }).find()).map((model) => {
+    const modelData = model.get();
+    delete modelData._id;
+    return modelData;
+  });
+
+  assert.sameDeepMembers(modelsData, [1, 2, 3].map(n => ({
+    n,
+    upd  : true,
+    val  : 5,
+    meta : { a : n, b : 2 },
+    deep : { er : { k : 'v' } },
+  })), 'Update should set, unset, and create nested keys');
+
+  assert.isUndefined((await Model.findOne({ upd : false })).get('val'), 'Update should only change matching models');
+  assert.strictEqual(await Model.where({ upd : true }).update({ val : 5 }), 0, 'Update should only count modified models');
+
+  const limitedCount = await Model.where({ upd : true }).sort('n', 'asc').limit(1).update({ first : true });
+  assert.strictEqual(limitedCount, 1, 'Update should respect limit');
+  assert.strictEqual((await Model.findOne({ first : true })).get('n'), 1, 'Update should respect sort');
+}
+
+async function testAtomicOps(Model) {
+  await Model.remove({});
+
+  const model = new Model({ count : 1, list : [1] });
+  await model.save();
+
+  // Change the same stored data through separately loaded models
+  const model1 = await Model.findById(model.get('_id'));
+  const model2 = await Model.findById(model.get('_id'));
+
+  model1.increment('count');
+  model1.push('list', 2);
+  model2.increment('count', 2);
+  model2.push('list', 3);
+  model2.decrement('stats.n');
+
+  await model1.save();
+  await model2.save();
+  await model.refresh();
+
+  assert.strictEqual(model.get('count'), 4, 'Increments from separate models should both apply');
+  assert.deepEqual(model.get('list'), [1, 2, 3], 'Pushes from separate models should both apply');
+  assert.strictEqual(model.get('stats.n'), -1, 'Decrementing missing values should start from 0');
+
+  model.set('count', 10);
+  model.increment('count');
+  await model.save();
+  await model.refresh();
+
+  assert.strictEqual(model.get('count'), 11, 'Incrementing set values should save the local value');
+}
+
+async function testNestedUpdate(Model) {
+  await Model.remove({});
+
+  const model = new Model({
+    profile : { name : 'a', address : { city : 'x', zip : '1' } },
+    tags    : ['a', 'b'],
+  });
+
+  await model.save();
+
+  // Change sibling fields through separately loaded models
+  const model1 = await Model.findById(model.get('_id'));
+  const model2 = await Model.findById(model.get('_id'));
+
+  model1.set('profile.address.city', 'y');
+  model2.set('profile.name', 'b');
+  model2.unset('profile.address.zip');
+
+  await model1.save();
+  await model2.save();
+  await model.refresh();
+
+  assert.deepEqual(model.get('profile'), { name : 'b', address : { city : 'y' } }, 'Nested updates should only change their exact paths');
+
+  model.set('tags.1', 'c');
+  model.set('profile.name.first', 'b');
+  await model.save();
+  await model.refresh();
+
+  assert.deepEqual(model.get('tags'), ['a', 'c'], 'Updating array items should save the array');
+  assert.deepEqual(model.get('profile.name'), { first : 'b' }, 'Updating keys nested in other values should replace the value');
+}
+
+async function testVersions(Model, db) {
+  class VersionModel extends Model {
+    static get versionKey() {
+      return 'version';
+    }
+  }
+
+  await db.register(VersionModel);
+  await VersionModel.remove({});
+
+  const model = new VersionModel({ name : 'a' });
+  await model.save();
+
+  assert.strictEqual(model.get('version'), 0, 'Inserted models should start at version 0');
+
+  // Change the same stored data through separately loaded models
+  const model1 = await VersionModel.findById(model.get('_id'));
+  const model2 = await VersionModel.findById(model.get('_id'));
+
+  model1.set('name', 'b');
+  await model1.save();
+
+  assert.strictEqual(model1.get('version'), 1, 'Saving should increment the version');
+
+  model2.set('name', 'c');
+
+  let error = null;
+
+  try {
+    await model2.save();
+  } catch (err) {
+    error = err;
+  }
+
+  assert.instanceOf(error, ConflictError, 'Saving over a newer version should throw');
+  assert.strictEqual(model2.get('version'), 0, 'Conflicting saves should keep the loaded version');
+
+  await model2.retrySave(async (retried) => {
+    retried.set('count', (retried.get('count') || 0) + 1);
+  });
+
+  await model.refresh();
+
+  assert.strictEqual(model.get('version'), 2, 'Retried saves should save the next version');
+  assert.strictEqual(model.get('name'), 'b', 'Retried saves should keep the other writer\'s changes');
+  assert.strictEqual(model.get('count'), 1, 'Retried saves should apply changes once');
+
+  error = null;
+
+  try {
+    await model1.replace();
+  } catch (err) {
+    error = err;
+  }
+
+  assert.instanceOf(error, ConflictError, 'Replacing over a newer version should throw');
+}
+
+async function testPopulate(Model, db) {
+  class Profile extends Model {}
+
+  // Declare Post before it's defined, as it and Author relate to each other
+  let Post = null;
+
+  class Author extends Model {
+    static get relations() {
+      return {
+        // Return related Model from a function as it's defined later
+        posts   : { type : 'hasMany', Model : () => Post },
+        profile : { type : 'hasOne', Model : Profile },
+
+        // Functions are only related Models if they extend DbModel
+        invalid : { type : 'hasOne', Model : Object.assign(() => null, { find : () => [] }) },
+      };
+    }
+  }
+
+  Post = class extends Model {
+    static get relations() {
+      return {
+        author : { type : 'belongsTo', Model : Author },
+      };
+    }
+  };
+
+  for (const RelatedModel of [Author, Post, Profile]) {
+    await db.register(RelatedModel);
+    await RelatedModel.remove({});
+  }
+
+  const author1 = new Author({ name : 'a' });
+  const author2 = new Author({ name : 'b' });
+  await author1.save();
+  await author2.save();
+
+  await new Post({ n : 1, authorId : author1.get('_id') }).save();
+  await new Post({ n : 2, authorId : author1.get('_id') }).save();
+  await new Post({ n : 3, authorId : author2.get('_id') }).save();
+  await new Post({ n : 4 }).save();
+  await new Profile({ bio : 'c', authorId : author1.get('_id') }).save();
+
+  const posts = await Post.populate('author').sort('n', 'asc').find();
+
+  assert.instanceOf(posts[0].get('author'), Author, 'Populated values should be Model instances');
+  assert.deepEqual(posts.map(post => post.get('author.name')), ['a', 'a', 'b', undefined]);
+  assert.isNull(posts[3].get('author'), 'Missing related Model instances should be null');
+
+  const authors = await Author.populate('posts', 'profile').sort('name', 'asc').find();
+
+  assert.sameMembers(authors[0].get('posts').map(post => post.get('n')), [1, 2], 'hasMany should populate all related');
+  assert.sameMembers(authors[1].get('posts').map(post => post.get('n')), [3], 'hasMany should populate all related');
+  assert.strictEqual(authors[0].get('profile.bio'), 'c', 'hasOne should populate the related');
+  assert.isNull(authors[1].get('profile'), 'hasOne should populate null if none are related');
+
+  const post = await Post.where({ n : 3 }).populate('author').findOne();
+  assert.strictEqual(post.get('author.name'), 'b', 'findOne should populate related');
+
+  let error = null;
+
+  try {
+    await Author.populate('invalid').find();
+  } catch (err) {
+    error = err;
+  }
+
+  assert.instanceOf(error, Error, 'Populating relations without a related Model should throw');
+  assert.include(error.message, 'has no related Model', 'Populating relations without a related Model should throw');
+}
+
+async function testSelect(Model, db) {
+  class SelectModel extends Model {
+    static get schema() {
+      return {
+        name : { type : 'string', required : true },
+        blob : { type : 'string', required : true },
+      };
+    }
+  }
+
+  await db.register(SelectModel);
+  await SelectModel.remove({});
+
+  await new SelectModel({ name : 'a', blob : 'x', meta : { n : 1, m : 2 } }).save();
+  await new SelectModel({ name : 'b', blob : 'y', meta : { n : 3, m : 4 } }).save();
+
+  const included = await SelectModel.select('name', 'meta.n').sort('name', 'asc').find();
+  assert.deepEqual(included.map(model => model.get()), [
+    { name : 'a', meta : { n : 1 } },
+    { name : 'b', meta : { n : 3 } },
+  ], 'Included fields should be the only fetched fields');
+
+  const excluded = await SelectModel.where({ name : 'b' }).select('-blob', '-meta.m').findOne();
+  assert.deepEqual(excluded.get(), { name : 'b', meta : { n : 3 } }, 'Excluded fields should not be fetched');
+
+  const model = await SelectModel.findById(included[0].get('_id'), ['name']);
+  assert.deepEqual(model.get(), { name : 'a' }, 'findById should only fetch selected fields');
+
+  // Saving partial Model instances should keep fields not fetched
+  model.set({ name : 'c' });
+  await model.save();
+  await model.refresh();
+
+  assert.deepEqual(model.get(), { name : 'c', blob : 'x', meta : { n : 1, m : 2 } }, 'Saving partial data should keep fields not fetched');
+
+  excluded.unset();
+  excluded.set('name', 'd');
+  await excluded.save();
+  await excluded.refresh();
+
+  assert.deepEqual(excluded.get(), { name : 'd', blob : 'y', meta : { m : 4 } }, 'Unsetting partial data should keep fields not fetched');
+
+  let error = null;
+
+  try {
+    await (await SelectModel.findById(model.get('_id'), '-blob')).replace();
+  } catch (err) {
+    error = err;
+  }
+
+  assert.isNotNull(error, 'Replacing partial data should throw');
+  assert.throws(() => SelectModel.select('name', '-blob'), 'include and exclude');
+}
+
+async function testIterate(Model) {
+  await Model.remove({});
+
+  for (let n = 1; n <= 5; n += 1) {
+    await new Model({ n }).save();
+  }
+
+  // Iterate with `for await`, saving while iterating
+  const iterated = [];
+
+  for await (const model of Model.where({}).sort('n', 'asc')) {
+    iterated.push(model.get('n'));
+
+    model.set('seen', true);
+    await model.save();
+  }
+
+  assert.deepEqual(iterated, [1, 2, 3, 4, 5], 'Iterating should find all in order');
+  assert.strictEqual(await Model.count({ seen : true }), 5, 'Saving while iterating should save');
+
+  // Iterate batches
+  const batches = [];
+
+  for await (const models of Model.where({}).sort('n', 'asc').batches(2)) {
+    batches.push(models.map(model => model.get('n')));
+  }
+
+  assert.deepEqual(batches, [[1, 2], [3, 4], [5]], 'Batches should be of up to the provided size');
+
+  // Stop iterating early
+  for await (const model of Model.gt('n', 2).sort('n', 'asc').iterate(2)) {
+    assert.strictEqual(model.get('n'), 3);
+    break;
+  }
+
+  assert.strictEqual(await Model.count({}), 5, 'Stopping iteration early should still allow querying');
+  assert.throws(() => Model.batches(0), 'Invalid batch size');
+}
+
+async function testPaginate(Model) {
+  await Model.remove({});
+
+  // Use equal values so pages are also ordered by ID, and a missing value sorting first
+  for (const [group, n] of [[1, 1], [1, 2], [2, 3], [2, 4], [2, 5], [3, 6]]) {
+    await new Model({ group, n }).save();
+  }
+
+  await new Model({ n : 0 }).save();
+
+  // Collect pages until there are no more
+  async function allPages(query, limit) {
+    const pages = [];
+    let after = null;
+
+    for (;;) {
+      const page = await query().paginate({ after, limit });
+      pages.push(page.items.map(model => model.get('n')));
+
+      if (!page.hasMore) {
+        assert.isNull(page.nextCursor, 'Last page should have no cursor');
+        return pages;
+      }
+
+      after = page.nextCursor;
+    }
+  }
+
+  const ascending = await allPages(() => Model.where({}).sort('group', 'asc'), 2);
+  const ascendingAll = await Model.where({}).sort('group', 'asc').sort('_id', 'asc').find();
+
+  assert.deepEqual(ascending.map(page => page.length), [2, 2, 2, 1], 'Pages should be of up to the limit');
+  assert.deepEqual([].concat(...ascending), ascendingAll.map(model => model.get('n')), 'Pages should continue in order');
+  assert.strictEqual(ascending[0][0], 0, 'Missing values should sort first');
+
+  const descending = await allPages(() => Model.gt('n', 1).sort('group', 'desc'), 3);
+  const descendingAll = await Model.gt('n', 1).sort('group', 'desc').sort('_id', 'asc').find();
+
+  assert.deepEqual(descending.map(page => page.length), [3, 2], 'Descending pages should be of up to the limit');
+  assert.deepEqual([].concat(...descending), descendingAll.map(model => model.get('n')), 'Descending pages should continue in order');
+  assert.strictEqual(descending[0][0], 6, 'Descending pages should start with the greatest');
+
+  // Changes between pages shouldn't skip or repeat Model instances
+  const first = await Model.sort('n', 'asc').paginate({ limit : 3 });
+  await Model.remove({ n : 1 });
+
+  const second = await Model.sort('n', 'asc').paginate({ after : first.nextCursor, limit : 3 });
+  assert.deepEqual(second.items.map(model => model.get('n')), [3, 4, 5], 'Removing found Model instances should not skip others');
+
+  let error = null;
+
+  try {
+    await Model.sort('group', 'asc').paginate({ after : first.nextCursor });
+  } catch (err) {
+    error = err;
+  }
+
+  assert.isNotNull(error, 'Cursors of other sorts should be invalid');
+}
+
+async function testAggregate(Model) {
+  await Model.remove({});
+
+  const data = [
+    { status : 'open', amount : 1, name : 'b' },
+    { status : 'open', amount : 4, name : 'a' },
+    { status : 'done', amount : 2, name : 'c' },
+    { status : 'done', amount : 'x' },
+    { amount : 3 },
+    { status : null, amount : 5, skip : true },
+  ];
+
+  for (const modelData of data) {
+    await new Model(modelData).save();
+  }
+
+  const aggregates = {
+    total  : sum('amount'),
+    n      : count(),
+    avg    : avg('amount'),
+    lowest : min('amount'),
+    first  : min('name'),
+    last   : max('name'),
+  };
+
+  // Group with missing and null values grouped together, sorted by group
+  const grouped = await Model.group('status').aggregate(aggregates);
+
+  assert.deepEqual(grouped.map(result => result.status), [null, 'done', 'open'], 'Groups are wrong');
+  assert.deepEqual(grouped.map(result => result.total), [8, 2, 5], 'Grouped sums are wrong');
+  assert.deepEqual(grouped.map(result => result.n), [2, 2, 2], 'Grouped counts are wrong');
+  assert.deepEqual(grouped.map(result => result.avg), [4, 2, 2.5], 'Grouped averages are wrong');
+  assert.deepEqual(grouped.map(result => result.lowest), [3, 2, 1], 'Grouped minimums are wrong');
+  assert.deepEqual(grouped.map(result => result.first), [null, 'c', 'a'], 'Grouped string minimums are wrong');
+  assert.deepEqual(grouped.map(result => result.last), [null, 'c', 'b'], 'Grouped string maximums are wrong');
+
+  // Aggregate all matching Model instances without groups, with strings greater than numbers
+  const filtered = await Model.ne('skip', true).aggregate({ total : sum('amount'), n : count(), highest : max('amount') });
+  assert.deepEqual(filtered, { total : 10, n : 5, highest : 'x' }, 'Aggregates of matching Model instances are wrong');
+
+  const none = await Model.where({ status : 'none' }).aggregate({ total : sum('amount'), n : count(), avg : avg('amount') });
+  assert.deepEqual(none, { total : 0, n : 0, avg : null }, 'Aggregates of nothing are wrong');
+
+  const noGroups = await Model.where({ status : 'none' }).group('status').aggregate({ n : count() });
+  assert.deepEqual(noGroups, [], 'Grouped aggregates of nothing should be empty');
+
+  let error = null;
+
+  try {
+    await Model.aggregate({ n : { type : 'median', key : 'amount' } });
+  } catch (err) {
+    error = err;
+  }
+
+  assert.isNotNull(error, 'Unsupported aggregates should be invalid');
+}
+
+async function testDistinct(Model) {
+  await Model.remove({});
+
+  const data = [
+    { status : 'open', tags : ['a', 'b'], n : 1 },
+    { status : 'open', tags : ['b', 'c'], n : 1.0 },
+    { status : 'done', tags : 'd', n : { deep : true } },
+    { status : null, tags : [], n : { deep : true } },
+    { tags : [['e'], null] },
+  ];
+
+  for (const modelData of data) {
+    await new Model(modelData).save();
+  }
+
+  // Null and missing values are ignored
+  assert.sameMembers(await Model.distinct('status'), ['open', 'done'], 'Distinct values are wrong');
+  assert.sameDeepMembers(await Model.distinct('n'), [1, { deep : true }], 'Distinct values should be deeply unique');
+
+  // Each element of arrays is a value, but arrays in arrays aren't flattened further
+  assert.sameDeepMembers(await Model.distinct('tags'), ['a', 'b', 'c', 'd', ['e']], 'Distinct array elements are wrong');
+
+  // Only matching Model instances are included
+  assert.sameMembers(await Model.where({ status : 'open' }).distinct('tags'), ['a', 'b', 'c'], 'Distinct values should only be of matching Model instances');
+  assert.deepEqual(await Model.where({ status : 'none' }).distinct('tags'), [], 'Distinct values of nothing should be empty');
+}
+
+async function testSearch(Model) {
+  await Model.remove({});
+  await Model.createIndex('search', { title : 'text', body : 'text' });
+
+  const data = [
+    { title : 'Green apple', body : 'Sour' },
+    { title : 'Red apple pie', body : 'Sweet' },
+    { title : 'Banana', body : 'Yellow pie' },
+    { title : 'Cherry', body : 17 },
+  ];
+
+  for (const modelData of data) {
+    await new Model(modelData).save();
+  }
+
+  const fields = ['title', 'body'];
+
+  // Match any word in any field
+  const found = await Model.search('APPLE', { fields, language : 'english' }).find();
+  assert.sameMembers(found.map(model => model.get('title')), ['Green apple', 'Red apple pie'], 'Searching should match words case-insensitively');
+
+  const sorted = await Model.search('apple pie', { fields }).sortByRelevance().find();
+  assert.strictEqual(sorted.length, 3, 'Searching should match any word');
+  assert.strictEqual(sorted[0].get('title'), 'Red apple pie', 'Most relevant should be first');
+
+  // Match special characters literally
+  assert.strictEqual(await Model.search('.*', { fields }).count(), 0, 'Searching should not match words as regexes');
+
+  // Only match the listed fields, even if a text index covers others
+  const inTitle = await Model.search('pie sweet', { fields : ['title'] }).find();
+  assert.sameMembers(inTitle.map(model => model.get('title')), ['Red apple pie'], 'Searching should only match the listed fields');
+  assert.strictEqual(await Model.search('yellow', { fields : ['title'] }).count(), 0, 'Searching should not match other fields');
+
+  // Sort by relevance without a text index of exactly the fields
+  const titleSorted = await Model.search('pie apple', { fields : ['title'] }).sortByRelevance().find();
+  assert.deepEqual(titleSorted.map(model => model.get('title')), ['Red apple pie', 'Green apple'], 'Most relevant should be first without a text index');
+
+  const titleFirst = await Model.search('pie apple', { fields : ['title'] }).sortByRelevance().select('title').findOne();
+  assert.strictEqual(titleFirst.get('title'), 'Red apple pie', 'Most relevant should be found first without a text index');
+  assert.deepEqual(Object.keys(titleFirst.get()), ['title'], 'Only selected fields should be found when sorting by relevance');
+
+  assert.throws(() => Model.search('apple'), 'requires fields');
+  assert.throws(() => Model.where({}).sortByRelevance(), 'requires a search');
+}
+
+async function testExists(Model) {
+  await Model.remove({});
+
+  const data = [
+    { name : 'number', c : 1 },
+    { name : 'null', c : null },
+    { name : 'missing' },
+    { name : 'array', c : [null] },
+    { name : 'string', c : 'x', nested : 'x' },
+    { name : 'object', c : { d : null }, nested : { deep : 1 } },
+  ];
+
+  for (const modelData of data) {
+    await new Model(modelData).save();
+  }
+
+  const names = async query => (await query.find()).map(model => model.get('name'));
+
+  // Null matches null and missing values, but not arrays containing null
+  assert.sameMembers(await names(Model.where({ c : null })), ['null', 'missing'], 'Null should match null and missing values');
+  assert.sameMembers(await names(Model.or({ c : null }, { name : 'number' })), ['number', 'null', 'missing'], 'Null should match missing values in or');
+  assert.sameMembers(await names(Model.ne('c', null)), ['number', 'array', 'string', 'object'], 'Not null should match other values');
+  assert.sameMembers(await names(Model.where({ 'nested.deep' : null })), ['number', 'null', 'missing', 'array', 'string'], 'Null should match keys of missing and non-object parents');
+
+  // Exists matches values that aren't null
+  assert.sameMembers(await names(Model.exists('c')), ['number', 'array', 'string', 'object'], 'Existing values are wrong');
+  assert.sameMembers(await names(Model.exists('c', false)), ['null', 'missing'], 'Non-existing values are wrong');
+
+  // Type matches values themselves, not arrays containing them
+  assert.sameMembers(await names(Model.type('c', 'null')), ['null', 'missing'], 'Null type should match null and missing values');
+  assert.sameMembers(await names(Model.type('c', 'number')), ['number'], 'Number type is wrong');
+  assert.sameMembers(await names(Model.type('c', 'string')), ['string'], 'String type is wrong');
+  assert.sameMembers(await names(Model.type('c', 'array')), ['array'], 'Array type is wrong');
+  assert.sameMembers(await names(Model.type('c', 'object')), ['object'], 'Object type is wrong');
+  assert.sameMembers(await names(Model.type('c', 'boolean')), [], 'Boolean type is wrong');
+
+  assert.throws(() => Model.type('c', 'thing'), 'Invalid type');
+}
+
+async function testGeo(Model) {
+  await Model.remove({});
+  await Model.createIndex('location', { location : '2dsphere' });
+
+  const data = [
+    { name : 'tower', location : { type : 'Point', coordinates : [-0.0754, 51.5055] } },
+    { name : 'heathrow', location : { type : 'Point', coordinates : [-0.4543, 51.4700] } },
+    { name : 'trafalgar', location : { type : 'Point', coordinates : [-0.1281, 51.5080] } },
+    { name : 'paris', location : { type : 'Point', coordinates : [2.3522, 48.8566] } },
+    { name : 'nowhere' },
+  ];
+
+  for (const modelData of data) {
+    await new Model(modelData).save();
+  }
+
+  const names = models => models.map(model => model.get('name'));
+  const trafalgar = [-0.1281, 51.5080];
+
+  // Find points within a distance, nearest first
+  assert.deepEqual(names(await Model.near('location', trafalgar, 5000).find()), ['trafalgar', 'tower'], 'Points within distance are wrong');
+  assert.deepEqual(names(await Model.near('location', trafalgar).find()), ['trafalgar', 'tower', 'heathrow', 'paris'], 'Points should be nearest first');
+  assert.strictEqual(await Model.near('location', trafalgar, 30000).count(), 3, 'Count of points within distance is wrong');
+
+  const nearest = await Model.ne('name', 'trafalgar').near('location', trafalgar).findOne();
+  assert.strictEqual(nearest.get('name'), 'tower', 'Nearest matching point is wrong');
+
+  // Sorts come before nearest first, which breaks their ties
+  assert.deepEqual(names(await Model.sort('name', 'asc').near('location', trafalgar, 30000).find()), ['heathrow', 'tower', 'trafalgar'], 'Points should be sorted before nearest first');
+  assert.deepEqual(names(await Model.sort('zone', 'asc').near('location', trafalgar, 30000).find()), ['trafalgar', 'tower', 'heathrow'], 'Points with equal sort values should be nearest first');
+
+  // Find points inside a polygon
+  const london = [[-0.2, 51.45], [0, 51.45], [0, 51.55], [-0.2, 51.55]];
+  assert.sameMembers(names(await Model.within('location', london).find()), ['trafalgar', 'tower'], 'Points inside polygon are wrong');
+
+  assert.throws(() => Model.within('location', [[0, 0], [1, 1]]), 'Invalid polygon');
+  assert.throws(() => Model.near('location', [0]), 'Invalid coordinates');
+
+  // Update and remove points within a distance
+  assert.strictEqual(await Model.near('location', trafalgar, 5000).update({ central : true }), 2, 'Amount of points updated is wrong');
+  assert.sameMembers(names(await Model.where({ central : true }).find()), ['trafalgar', 'tower'], 'Points within distance should be updated');
+
+  await Model.near('location', trafalgar, 5000).remove();
+  assert.sameMembers(names(await Model.find()), ['heathrow', 'paris', 'nowhere'], 'Points within distance should be removed');
+}
+
+async function testJson(Model) {
+  // Create a query of many kinds of filters, and rebuild it from its JSON
+  const query = Model.where({ a : { b : 1 } })
+    .elem('items', { qty : { gt : 5 } })
+    .or(Model.lt('price', 10), { tag : { in : ['x', /^y/] } })
+    .not({ archived : true })
+    .ne('c', null);
+
+  const json = JSON.parse(JSON.stringify(query));
+  const keys = ['a', 'items', 'price', 'tag', 'archived', 'c'];
+  const rebuilt = DbQuery.fromJSON(Model, json, { keys, regexes : true });
+
+  assert.strictEqual(json.version, 1, 'Query JSON version is wrong');
+  assert.deepEqual(rebuilt.pts, query.pts, 'Rebuilt query parts are wrong');
+
+  // Create data matching every filter but those changed
+  const entry = () => ({ a : { b : 1 }, c : 1 });
+
+  await testSimpleQuery({
+    Model,
+    query               : rebuilt,
+    testMatchEntries    : [
+      Object.assign(entry(), { items : [{ qty : 6 }], price : 5 }),
+      Object.assign(entry(), { items : [{ qty : 9 }], price : 20, tag : 'yes' }),
+    ],
+    testNotMatchEntries : [
+      { },
+      Object.assign(entry(), { items : [{ qty : 6 }], price : 20, tag : 'no' }),
+      Object.assign(entry(), { items : [{ qty : 6 }], price : 5, archived : true }),
+      Object.assign(entry(), { items : [{ qty : 6 }], price : 5, c : null }),
+      Object.assign(entry(), { items : [{ qty : 5 }], price : 5 }),
+    ],
+  });
+
+  // Searches, dates, sorting, paging, selections and groups are rebuilt as well
+  const date = new Date('2020-01-02T00:00:00.000Z');
+  const other = Model.search('apple pie', { fields : ['title'] }).sortByRelevance()
+    .gte('at', date)
+    .sort('price', 'asc')
+    .skip(1)
+    .limit(2)
+    .select('title', 'price')
+    .group('price');
+
+  const otherRebuilt = DbQuery.fromJSON(Model, JSON.parse(JSON.stringify(other)), {
+    keys : ['title', 'at', 'price'],
+  });
+
+  assert.deepEqual(otherRebuilt.pts, other.pts, 'Rebuilt query parts are wrong');
+  assert.deepEqual(otherRebuilt.selection, other.selection, 'Rebuilt selection is wrong');
+  assert.deepEqual(otherRebuilt.groups, other.groups, 'Rebuilt groups are wrong');
+
+  // Only allowed keys can be used, and no keys are allowed by default
+  assert.throws(() => DbQuery.fromJSON(Model, json, { keys : ['a', 'price'], regexes : true }), 'Invalid query key `items`');
+  assert.throws(() => DbQuery.fromJSON(Model, JSON.parse(JSON.stringify(Model.where({ a : 1 })))), 'Invalid query key `a`');
+  assert.doesNotThrow(() => DbQuery.fromJSON(Model, JSON.parse(JSON.stringify(Model.where({ a : 1 }))), { keys : ['a'] }));
+
+  // Regexes are only allowed if enabled, while searches always match their text literally
+  assert.throws(() => DbQuery.fromJSON(Model, json, { keys }), 'Regexes are not allowed in query JSON');
+  assert.deepEqual(DbQuery.fromJSON(Model, JSON.parse(JSON.stringify(Model.search('(a+)+$', { fields : ['a'] }))), {
+    keys : ['a'],
+  }).pts, Model.search('(a+)+$', { fields : ['a'] }).pts, 'Rebuilt search should match its text literally');
+
+  // Database operators, unknown or internal query parts and other versions are never allowed
+  const invalidJsons = [
+    [{ version : 1, pts : [{ type : 'filter', filter : { a : { $gt : 1 } } }] }, 'Invalid query JSON value'],
+    [{ version : 1, pts : [{ type : 'filter', filter : { 'a.$gt' : 1 } }] }, 'Invalid query key'],
+    [{ version : 1, pts : [{ type : 'ne', key : 'a', val : { $where : 'true' } }] }, 'Invalid query JSON value'],
+    [{ version : 1, pts : [{ type : 'raw', filter : {} }] }, 'Invalid query part `raw`'],
+    [{ version : 1, pts : [{ type : 'after', sorts : [] }] }, 'Invalid query part `after`'],
+    [{ version : 1, pts : [{ type : 'whereOr', branches : [[{ type : 'limit', limitAmount : 1 }]] }] }, 'Only filters can be nested'],
+    [{ version : 1, pts : [{ type : 'sort', sortKey : 'a', desc : 'yes' }] }, 'Invalid query part `sort`'],
+    [{ version : 2, pts : [] }, 'Unsupported query JSON version'],
+  ];
+
+  for (const [invalidJson, message] of invalidJsons) {
+    assert.throws(() => DbQuery.fromJSON(Model, invalidJson, { keys : ['a'] }), message);
+  }
+}
+
+async function testExplain(Model) {
+  await Model.remove({});
+
+  for (const n of [1, 2, 3]) {
+    await new Model({ n }).save();
+  }
+
+  const query = () => Model.where({ n : 2 }).sort('n').limit(1);
+
+  // Both the native query and the explanation are available without changing what is found
+  assert.exists(await query().toNative(), 'Native query should exist');
+
+  const explanation = await query().explain();
+
+  assert.exists(explanation.native, 'Explanation should include the native query');
+  assert.property(explanation, 'plan', 'Explanation should include the plan');
+  assert.lengthOf(await query().find(), 1, 'Explaining should not change what is found');
+  assert.strictEqual(await Model.count(), 3, 'Explaining should not change stored data');
+}
+
+async function testSession(Model, db) {
+  await Model.remove({});
+
+  const stored = new Model({ name : 'a', n : 1 });
+  await stored.save();
+  await new Model({ name : 'b', n : 2 }).save();
+
+  const session = db.session();
+
+  // Finding the same stored Model instance again returns the same instance
+  const byId = await session.findById(Model, stored.get('_id'));
+  const [found] = await session.find(Model.where({ name : 'a' }));
+
+  assert.strictEqual(found, byId, 'Found Model instances should be the kept instance');
+  assert.strictEqual(await session.findOne(Model.where({ n : 1 })), byId, 'Found single Model instance should be the kept instance');
+  assert.strictEqual(await session.findById(Model, stored.get('_id')), byId, 'Model instance found by ID should be the kept instance');
+
+  // Any find running in the session is kept, while finds outside of it aren't
+  const inSession = await session.run(async () => {
+    return [await Model.findById(stored.get('_id')), await Model.findOne({ name : 'a' }), ...await Model.find({ n : 1 })];
+  });
+
+  assert.isTrue(inSession.every(model => model === byId), 'Finds running in the session should find the kept instance');
+  assert.notStrictEqual(await Model.findById(stored.get('_id')), byId, 'Finds outside the session should find new instances');
+  assert.notStrictEqual(await db.session().findById(Model, stored.get('_id')), byId, 'Other sessions should find new instances');
+
+  // Partially fetched Model instances are the kept instance if there is one, and otherwise not kept
+  const [partialA] = await session.find(Model.where({ name : 'a' }).select('name'));
+  const partialB = await session.findOne(Model.where({ name : 'b' }).select('name'));
+
+  assert.strictEqual(partialA, byId, 'Partially fetched Model instance should be the kept instance');
+  assert.isTrue(partialB.isPartial(), 'Partially fetched Model instance should be partial');
+  assert.isFalse((await session.findOne(Model.where({ name : 'b' }))).isPartial(), 'Partially fetched Model instances should not be kept');
+
+  // Unsaved changes aren't overwritten by finding again
+  byId.set('n', 10);
+  await session.find(Model.where({}));
+
+  assert.strictEqual(byId.get('n'), 10, 'Finding again should keep unsaved changes');
+
+  // Flushing saves changed and added Model instances, and only those
+  const added = session.add(new Model({ name : 'c', n : 3 }));
+
+  assert.isTrue(byId.isDirty(), 'Changed Model instance should be dirty');
+  assert.strictEqual(await session.flush(), 2, 'Flush should save changed and added Model instances');
+  assert.isFalse(byId.isDirty(), 'Saved Model instance should not be dirty');
+  assert.strictEqual((await Model.findById(stored.get('_id'))).get('n'), 10, 'Flushed changes should be saved');
+  assert.strictEqual(await Model.count({ name : 'c' }), 1, 'Added Model instance should be saved');
+  assert.strictEqual(await session.findById(Model, added.get('_id')), added, 'Saved added Model instance should be kept');
+  assert.strictEqual(await session.flush(), 0, 'Flush without changes should save nothing');
+
+  // Removed Model instances are forgotten, and cleared sessions find new instances
+  const addedId = added.get('_id');
+  await added.remove();
+
+  assert.isNull(await session.findById(Model, addedId), 'Removed Model instance should not be found');
+  await session.flush();
+  assert.strictEqual(await Model.count({ name : 'c' }), 0, 'Removed Model instance should not be saved again');
+
+  session.clear();
+  assert.notStrictEqual(await session.findById(Model, stored.get('_id')), byId, 'Cleared session should find new instances');
+}
+
+async function testWatch(Model) {
+  await Model.remove({});
+
+  const feed = await Model.watch({ watched : true });
+  const changes = feed[Symbol.asyncIterator]();
+
+  const model = new Model({ watched : true, val : 1 });
+  await model.save();
+
+  const id = model.get('_id');
+
+  const inserted = (await changes.next()).value;
+  assert.strictEqual(inserted.type, 'insert', 'Inserting should feed an insert change');
+  assert.strictEqual(inserted.id, id, 'Change should have the changed model\'s ID');
+  assert.strictEqual(inserted.model.get('val'), 1, 'Change should have the changed model');
+
+  model.set('val', 2);
+  await model.save();
+
+  const updated = (await changes.next()).value;
+  assert.strictEqual(updated.type, 'update', 'Saving should feed an update change');
+  assert.strictEqual(updated.newValue.val, 2, 'Update change should have the new data');
+
+  // Changes to models not matching the query shouldn't be fed
+  await new Model({ watched : false, val : 3 }).save();
+  await model.remove();
+
+  const removed = (await changes.next()).value;
+  assert.strictEqual(removed.type, 'remove', 'Removing should feed a remove change');
+  assert.strictEqual(removed.id, id, 'Change should have the removed model\'s ID');
+
+  await feed.close();
+
+  assert.isTrue((await changes.next()).done, 'Closing feed should finish iteration');
+
+  // Changes to points near coordinates are fed as well
+  const nearFeed = await Model.near('location', [0, 0], 1000).watch();
+  const nearChanges = nearFeed[Symbol.asyncIterator]();
+
+  await new Model({ location : { type : 'Point', coordinates : [10, 10] } }).save();
+  await new Model({ location : { type : 'Point', coordinates : [0, 0.001] } }).save();
+
+  assert.strictEqual((await nearChanges.next()).value.newValue.location.coordinates[1], 0.001, 'Only changes near coordinates should be fed');
+
+  await nearFeed.close();
+}
+
+/**
+ * Scenarios run against a plug with a plain registered Model
+ */
+const scenarios = {
+  model        : testModel,
+  where        : testWhere,
+  deepWhere    : testDeepWhere,
+  elemVal      : testElemVal,
+  elemObj      : testElemObj,
+  elemOps      : testElemOps,
+  size         : testSize,
+  all          : testAll,
+  lt           : testLt,
+  gt           : testGt,
+  lte          : testLte,
+  gte          : testGte,
+  ne           : testNe,
+  nin          : testNin,
+  in           : testIn,
+  deepIn       : testDeepIn,
+  match        : testMatch,
+  dates        : testDates,
+  or           : testOr,
+  ors          : testOrs,
+  and          : testAnd,
+  not          : testNot,
+  nested       : testNested,
+  limit        : testLimit,
+  sort         : testSort,
+  sortSkip     : testSortSkip,
+  schema       : testSchema,
+  hooks        : testHooks,
+  update       : testUpdate,
+  atomicOps    : testAtomicOps,
+  nestedUpdate : testNestedUpdate,
+  versions     : testVersions,
+  populate     : testPopulate,
+  select       : testSelect,
+  iterate      : testIterate,
+  paginate     : testPaginate,
+  aggregate    : testAggregate,
+  distinct     : testDistinct,
+  search       : testSearch,
+  exists       : testExists,
+  geo          : testGeo,
+  json         : testJson,
+  explain      : testExplain,
+  session      : testSession,
+  watch        : testWatch,
+};
+
+/**
+ * Scenarios run against a plug with an indexed registered Model
+ */
+const indexedScenarios = {
+  where  : testWhere,
+  sort   : testSort,
+  in     : testIn,
+  deepIn : testDeepIn,
+};
+
+/**
+ * Run the conformance suite against a plug, throwing on the first failing scenario
+ *
+ * Uses and wipes the `models` and `indexmodels` collections
+ */
+async function run(plug, opts = {}) {
+  // Log nothing unless a log function is provided
+  const log = opts.log || (() => {});
+
+  // Skip nothing unless scenario names are provided
+  const skip = opts.skip || [];
+
+  const db = new Db(plug);
+
+  class Model extends DbModel {}
+
+  log('- Testing basic model functionality...');
+  log('-- Testing get/set');
+  testGetSet(Model);
+
+  log('- Testing standard...');
+  await db.register(Model);
+
+  for (const [name, scenario] of Object.entries(scenarios)) {
+    if (skip.includes(name)) continue;
+
+    log(`-- Testing ${name}`);
+    await scenario(Model, db);
+  }
+
+  log('- Testing indexed...');
+  class IndexModel extends DbModel {}
+  await db.register(IndexModel);
+  await IndexModel.createIndex('wow', { a : -1, b : -1 });
+  await IndexModel.createIndex('wew', { 'a.b' : -1, b : -1 });
+  await IndexModel.createIndex('a', { a : -1 });
+
+  for (const [name, scenario] of Object.entries(indexedScenarios)) {
+    if (skip.includes(name)) continue;
+
+    log(`-- Testing indexed ${name}`);
+    await scenario(IndexModel, db);
+  }
+}
+
+// Exports
+module.exports = {
+  run,
+  scenarios,
+  indexedScenarios,
+
+  testQueryActions,
+  testSimpleQuery,
+  testGetSet,
+};